@@ -1,444 +1,753 @@
 import { useCallback, useEffect, useRef, useState } from 'react';
-import { Button, Platform, SafeAreaView, StyleSheet, Text, View } from 'react-native';
+import {
+  Alert,
+  AppState,
+  Button,
+  Platform,
+  SafeAreaView,
+  ScrollView,
+  StyleSheet,
+  Text,
+  View
+} from 'react-native';
 import { StatusBar } from 'expo-status-bar';
 import * as Location from 'expo-location';
 import * as Haptics from 'expo-haptics';
-
-const MAX_HP = 1000;
-const SECONDARY_STAT_MAX = 10;
-const METERS_PER_DEG_LAT = 111320;
-const HEALING_ZONE_REGEN_PER_SECOND = 3;
-const PASSIVE_REGEN_PER_SECOND = 1;
-const HEALING_ZONE_ZERO_HP_DELAY_SECONDS = 60;
-
-const toRadians = (degrees) => (degrees * Math.PI) / 180;
-
-const metersPerDegreeLon = (latitude) => Math.cos(toRadians(latitude)) * METERS_PER_DEG_LAT;
-
-const offsetsToCoords = (center, offsetX, offsetY) => {
-  const deltaLat = offsetY / METERS_PER_DEG_LAT;
-  const deltaLon = offsetX / metersPerDegreeLon(center.latitude);
-  return {
-    latitude: center.latitude + deltaLat,
-    longitude: center.longitude + deltaLon
-  };
+import {
+  ITEM_STATUS,
+  MAX_HP,
+  OBJECTIVE_STATUS,
+  PLAY_AREA_STAGES,
+  PLAYER_STATUS,
+  SECONDARY_STAT_MAX,
+  catchUp,
+  canSenseHeading,
+  consumeItem,
+  createInitialState,
+  equipItem,
+  getFeedbackStage,
+  getHealingMultiplier,
+  getMaxObjectiveScore,
+  getNextEscalation,
+  getPlayerStats,
+  getScore,
+  isFixUsable,
+  step,
+  unequipItem
+} from './src/engine';
+import { BUNDLED_SCENARIOS, DEFAULT_SCENARIO, loadScenario } from './src/scenario';
+import { BUNDLED_TRACKS, createReplayLocationSource, filterPosition } from './src/location';
+import { createDeviceLocationSource } from './src/location/deviceSource';
+import { createSnapshot, restoreSnapshot } from './src/persistence';
+import {
+  deleteLayout,
+  loadFeedbackProfileId,
+  loadLayouts,
+  loadMultiplayerResume,
+  loadSavedSnapshot,
+  loadSessionSummaries,
+  saveFeedbackProfileId,
+  saveLayout,
+  saveMultiplayerResume,
+  saveSessionSummary,
+  saveSnapshot
+} from './src/persistence/storage';
+import {
+  createPositionEvent,
+  createSessionEvent,
+  describeItemChanges,
+  describeNewGame,
+  describeStep
+} from './src/eventLog';
+import { shareEventLog } from './src/eventLog/share';
+import {
+  appendEvents,
+  archiveEvents,
+  flushEvents,
+  loadArchivedEvents,
+  loadEvents,
+  pruneArchivedEvents
+} from './src/eventLog/storage';
+import { BACKGROUND_PLAY, requestBackgroundPlayPermissions } from './src/background/deviceTask';
+import { BUNDLED_FEEDBACK_PROFILES, findFeedbackProfile } from './src/feedback';
+import { createDeviceFeedbackPlayer } from './src/feedback/device';
+import { buildSessionSummary } from './src/summary';
+import {
+  createMultiplayerClient,
+  createWebSocketTransport,
+  rankPlayers,
+  summarizeTeammates
+} from './src/multiplayer';
+import ScenarioPicker from './src/components/ScenarioPicker';
+import InventoryModal from './src/components/InventoryModal';
+import LocationSourcePicker from './src/components/LocationSourcePicker';
+import MultiplayerPanel, { MULTIPLAYER_STATUS } from './src/components/MultiplayerPanel';
+import ObjectiveList from './src/components/ObjectiveList';
+import OrganizerModal from './src/components/OrganizerModal';
+import Radar from './src/components/Radar';
+import PlayerStatusBanner from './src/components/PlayerStatusBanner';
+import EventLogPanel from './src/components/EventLogPanel';
+import BackgroundPlayPanel from './src/components/BackgroundPlayPanel';
+import DirectionArrow from './src/components/DirectionArrow';
+import FeedbackProfilePicker from './src/components/FeedbackProfilePicker';
+import SafetyNavigator from './src/components/SafetyNavigator';
+import StatusEffectList from './src/components/StatusEffectList';
+import UpcomingSchedule from './src/components/UpcomingSchedule';
+import SessionHistory from './src/components/SessionHistory';
+import SessionSummaryModal from './src/components/SessionSummaryModal';
+import {
+  PENALTY_NOTICES,
+  SIMULATED_NOTICE,
+  TREND_LABELS,
+  describePlayArea,
+  describeResistance,
+  formatDistance,
+  formatHeading
+} from './src/components/format';
+
+const DEVICE_LOCATION_SOURCE = createDeviceLocationSource();
+const FEEDBACK_PLAYER = createDeviceFeedbackPlayer();
+// Longer gaps between ticks (e.g. the JS thread was suspended) are handled by
+// catchUp when the app returns to the foreground.
+const MAX_TICK_SECONDS = 2;
+const DISCONNECTED_MULTIPLAYER = {
+  status: MULTIPLAYER_STATUS.DISCONNECTED,
+  sessionId: null,
+  playerId: null,
+  error: null
 };
+// Oldest events are dropped beyond this (a few hours of play).
+const MAX_EVENT_LOG_LENGTH = 100000;
 
-const clampOffsetToRadius = (offset, radius) => {
-  const length = Math.hypot(offset.x, offset.y);
-  if (length === 0) {
-    return { x: 0, y: 0 };
-  }
-  if (length <= radius) {
-    return { x: offset.x, y: offset.y };
-  }
-  const scale = (radius * 0.98) / length;
-  return { x: offset.x * scale, y: offset.y * scale };
-};
+export default function App() {
+  const [permissionStatus, setPermissionStatus] = useState(null);
+  const [location, setLocation] = useState(null);
+  const [errorMsg, setErrorMsg] = useState(null);
+  const [engineState, setEngineState] = useState(() => createInitialState(DEFAULT_SCENARIO));
+  const [importedScenarios, setImportedScenarios] = useState([]);
+  const [locationSource, setLocationSource] = useState(DEVICE_LOCATION_SOURCE);
+  const [activeTrackId, setActiveTrackId] = useState(null);
+  const [replaySpeed, setReplaySpeed] = useState(1);
+  const [importedTracks, setImportedTracks] = useState([]);
+  const [deviceHeading, setDeviceHeading] = useState(null);
+  const [summaries, setSummaries] = useState([]);
+  const [openSummary, setOpenSummary] = useState(null);
+  // Venue layouts made in organiser mode, normalized like any scenario.
+  const [layouts, setLayouts] = useState([]);
+  const [isOrganizerOpen, setIsOrganizerOpen] = useState(false);
+  const [isInventoryOpen, setIsInventoryOpen] = useState(false);
+  const [backgroundPlay, setBackgroundPlay] = useState(false);
+  const [isNavigatingToSafety, setIsNavigatingToSafety] = useState(false);
+  const [feedbackProfile, setFeedbackProfile] = useState(() => findFeedbackProfile(null));
+  const [multiplayer, setMultiplayer] = useState(DISCONNECTED_MULTIPLAYER);
+  const [sessionPlayers, setSessionPlayers] = useState([]);
+  const watcherRef = useRef(null);
+  const sourceTokenRef = useRef(0);
+  const hasRestoredRef = useRef(false);
+  const engineStateRef = useRef(engineState);
+  const movementTimestampRef = useRef(Date.now());
+  const locationRef = useRef(null);
+  const feedbackProfileRef = useRef(feedbackProfile);
+  const eventLogRef = useRef([]);
+  // Kalman/outlier filter state for the device GPS; undefined while a replay
+  // (which needs no filtering) is the active source.
+  const positionFilterRef = useRef(null);
+  const locationSourceRef = useRef(DEVICE_LOCATION_SOURCE);
+  // While on, the background location task runs the game whenever the app is
+  // not in the foreground.
+  const backgroundPlayRef = useRef(false);
+  const multiplayerClientRef = useRef(null);
+  // Moving hazards from the last multiplayer `state` message; the server's
+  // copies replace the local simulation while connected.
+  const remoteHazardsRef = useRef(null);
+  // Lets the server recognise this player when they join the same session again.
+  const multiplayerResumeRef = useRef(null);
+  // While the player decides whether to join a session playing another
+  // scenario, nothing is exchanged with it.
+  const isJoinPendingRef = useRef(false);
+
+  const {
+    scenario,
+    stats,
+    zoneSummaries,
+    damagePerSecond,
+    isInHealingZone,
+    healingZoneId,
+    nearestHealingZone,
+    movingHazards,
+    lifecycle,
+    playArea,
+    elapsedSeconds,
+    integrity,
+    statusEffects,
+    objectives,
+    items
+  } = engineState;
+  // Guard and resonance as modified by status effects.
+  const playerStats = getPlayerStats(engineState);
+  const currentHealingZone = scenario.healingZones.find((zone) => zone.id === healingZoneId);
+  const detectedZones = zoneSummaries.filter((zone) => zone.isDetected);
+  const availableTracks = [
+    ...BUNDLED_TRACKS,
+    ...importedTracks.filter((imported) => !BUNDLED_TRACKS.some((track) => track.id === imported.id))
+  ];
 
-const normalizeVector = (vector) => {
-  const length = Math.hypot(vector.x, vector.y) || 1;
-  return { x: vector.x / length, y: vector.y / length };
-};
+  useEffect(() => {
+    startLocationSource(DEVICE_LOCATION_SOURCE);
 
-const calculateDistanceMeters = (origin, target) => {
-  const earthRadius = 6371e3;
-  const dLat = toRadians(target.latitude - origin.latitude);
-  const dLon = toRadians(target.longitude - origin.longitude);
-  const lat1 = toRadians(origin.latitude);
-  const lat2 = toRadians(target.latitude);
-
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(lat1) * Math.cos(lat2) *
-      Math.sin(dLon / 2) * Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return earthRadius * c;
-};
+    return () => {
+      watcherRef.current?.remove();
+    };
+  }, []);
 
-const evaluateZoneDamage = (distanceMeters, zone) => {
-  if (distanceMeters == null || !Number.isFinite(distanceMeters)) {
-    return 0;
-  }
-  const sourceRadius = zone.sourceRadius ?? 0;
-  const effectiveDistance = Math.max(0, distanceMeters - sourceRadius);
+  useEffect(() => {
+    if (permissionStatus !== Location.PermissionStatus.GRANTED) {
+      return undefined;
+    }
 
-  if (effectiveDistance >= zone.safeRadius) {
-    return 0;
-  }
+    let subscription = null;
+    let cancelled = false;
+    Location.watchHeadingAsync((heading) => {
+      setDeviceHeading(heading.trueHeading >= 0 ? heading.trueHeading : heading.magHeading);
+    })
+      .then((result) => {
+        if (cancelled) {
+          result.remove();
+          return;
+        }
+        subscription = result;
+      })
+      .catch(() => {
+        // Compass is unavailable (e.g. web); the radar falls back to north-up.
+      });
 
-  const baseDamage = zone.baseDamage ?? 0;
-  const scale = zone.scale ?? 0;
-  const offset = zone.offset ?? 0;
-  const denominator = effectiveDistance + offset;
-  const effectiveDenominator = denominator > 0 ? denominator : 0.1;
-  const uncappedDamage = baseDamage + scale / effectiveDenominator;
-  return zone.maxDamage == null ? uncappedDamage : Math.min(zone.maxDamage, uncappedDamage);
-};
+    return () => {
+      cancelled = true;
+      subscription?.remove();
+    };
+  }, [permissionStatus]);
 
-const formatDistance = (distanceMeters) => {
-  if (!Number.isFinite(distanceMeters)) {
-    return '---';
-  }
-  if (distanceMeters >= 1000) {
-    return `${(distanceMeters / 1000).toFixed(2)} km`;
-  }
-  return `${distanceMeters.toFixed(1)} m`;
-};
+  useEffect(() => {
+    loadFeedbackProfileId()
+      .then((id) => {
+        if (id) {
+          selectFeedbackProfile(findFeedbackProfile(id), { persist: false });
+        }
+      })
+      .catch(() => {});
 
-const getHapticsConfig = (damage) => {
-  if (!Number.isFinite(damage) || damage < 1) {
-    return { stage: 0, intervalMs: 0, style: Haptics.ImpactFeedbackStyle.Light };
-  }
-  if (damage >= 6) {
-    return { stage: 3, intervalMs: 1000, style: Haptics.ImpactFeedbackStyle.Heavy };
-  }
-  if (damage >= 3) {
-    return { stage: 2, intervalMs: 2000, style: Haptics.ImpactFeedbackStyle.Medium };
-  }
-  return { stage: 1, intervalMs: 3000, style: Haptics.ImpactFeedbackStyle.Light };
-};
+    return () => FEEDBACK_PLAYER.stop();
+  }, []);
 
-const advanceWithinCircle = (offset, direction, distance, radius) => {
-  let remaining = distance;
-  let position = { ...offset };
-  let currentDirection = { ...direction };
-  let guard = 0;
-
-  while (remaining > 0 && guard < 4) {
-    const targetX = position.x + currentDirection.x * remaining;
-    const targetY = position.y + currentDirection.y * remaining;
-    const targetDistance = Math.hypot(targetX, targetY);
-
-    if (targetDistance <= radius) {
-      position = { x: targetX, y: targetY };
-      remaining = 0;
-      break;
+  const selectFeedbackProfile = (profile, { persist = true } = {}) => {
+    feedbackProfileRef.current = profile;
+    setFeedbackProfile(profile);
+    FEEDBACK_PLAYER.update(getFeedbackStage(profile, engineStateRef.current));
+    if (persist) {
+      saveFeedbackProfileId(profile.id).catch(() => {});
     }
+  };
 
-    const pd = position.x * currentDirection.x + position.y * currentDirection.y;
-    const pp = position.x * position.x + position.y * position.y;
-    const radiusSquared = radius * radius;
-    const discriminant = pd * pd - (pp - radiusSquared);
-
-    if (discriminant < 0) {
-      // Numerically unstable; clamp to boundary and stop.
-      const safeScale = radius / Math.max(Math.hypot(position.x, position.y), 1);
-      position = { x: position.x * safeScale, y: position.y * safeScale };
-      remaining = 0;
-      break;
+  const recordEvents = useCallback((events) => {
+    const log = eventLogRef.current;
+    log.push(...events);
+    if (log.length > MAX_EVENT_LOG_LENGTH) {
+      log.splice(0, log.length - MAX_EVENT_LOG_LENGTH);
+    }
+    try {
+      appendEvents(events);
+    } catch (error) {
+      // Storage is full or unavailable; this run still has the events.
     }
+  }, []);
 
-    const travelToBoundary = -pd + Math.sqrt(discriminant);
-    position = {
-      x: position.x + currentDirection.x * travelToBoundary,
-      y: position.y + currentDirection.y * travelToBoundary
-    };
-    remaining = Math.max(remaining - travelToBoundary, 0);
-
-    const normalX = position.x / radius;
-    const normalY = position.y / radius;
-    const dot = currentDirection.x * normalX + currentDirection.y * normalY;
-    currentDirection = normalizeVector({
-      x: currentDirection.x - 2 * dot * normalX,
-      y: currentDirection.y - 2 * dot * normalY
-    });
+  // The stored log has everything recorded for the game so far, also before
+  // the app was last closed.
+  const reloadEventLog = useCallback(() => {
+    try {
+      eventLogRef.current = loadEvents(MAX_EVENT_LOG_LENGTH);
+    } catch (error) {
+      // Keep what this run has recorded.
+    }
+  }, []);
 
-    guard += 1;
-  }
+  const advanceEngine = useCallback(
+    (coords, dtSeconds, fix = null) => {
+      const previous = engineStateRef.current;
+      const previousStatus = previous.lifecycle.status;
+      const next = step(
+        previous,
+        { coords, fix, movingHazards: remoteHazardsRef.current },
+        dtSeconds
+      );
+      engineStateRef.current = next;
+      setEngineState(next);
+      FEEDBACK_PLAYER.update(getFeedbackStage(feedbackProfileRef.current, next));
+      recordEvents(describeStep(previous, next, Date.now(), feedbackProfileRef.current));
+
+      if (next.lifecycle.status !== previousStatus) {
+        const feedback =
+          next.lifecycle.status === PLAYER_STATUS.ALIVE
+            ? Haptics.NotificationFeedbackType.Success
+            : Haptics.NotificationFeedbackType.Error;
+        Haptics.notificationAsync(feedback).catch(() => {});
+      }
 
-  return { position, direction: currentDirection };
-};
+      const { playArea: previousArea } = previous;
+      if (
+        next.playArea?.stage === PLAY_AREA_STAGES.WARNING &&
+        (previousArea?.stage !== PLAY_AREA_STAGES.WARNING ||
+          previousArea.phaseIndex !== next.playArea.phaseIndex)
+      ) {
+        Haptics.notificationAsync(Haptics.NotificationFeedbackType.Warning).catch(() => {});
+      }
+    },
+    [recordEvents]
+  );
 
-const createInitialMovingHazardState = (config) => {
-  const offset = clampOffsetToRadius(
-    config.initialOffsetMeters ?? { x: config.radiusMeters * 0.5, y: 0 },
-    config.radiusMeters
+  const persistEngineState = useCallback((now) => {
+    // Never overwrite a saved session before it has been read back.
+    if (!hasRestoredRef.current) {
+      return;
+    }
+    saveSnapshot(createSnapshot(engineStateRef.current, now)).catch(() => {});
+  }, []);
+
+  const resumeSavedSession = useCallback(
+    () =>
+      loadSavedSnapshot()
+        .then((snapshot) => {
+          const now = Date.now();
+          const restored = restoreSnapshot(snapshot, now);
+          if (!restored) {
+            return;
+          }
+          engineStateRef.current = restored;
+          // Picks up what the background task appended while the app was away.
+          reloadEventLog();
+          recordEvents([createSessionEvent(restored, now, 'resume')]);
+          movementTimestampRef.current = now;
+          const { scenario: restoredScenario } = restored;
+          if (!BUNDLED_SCENARIOS.some((bundled) => bundled.id === restoredScenario.id)) {
+            setImportedScenarios((prev) => [
+              ...prev.filter((entry) => entry.id !== restoredScenario.id),
+              restoredScenario
+            ]);
+          }
+          advanceEngine(locationRef.current?.coords ?? null, 0);
+        })
+        .catch(() => {})
+        .finally(() => {
+          hasRestoredRef.current = true;
+        }),
+    [advanceEngine, recordEvents, reloadEventLog]
   );
-  return {
-    offset,
-    coords: offsetsToCoords(config.center, offset.x, offset.y)
-  };
-};
 
-const DANGER_ZONES = [
-  {
-    id: 'garakuta',
-    name: 'がらくた',
-    coords: { latitude: 37.5637209353559, longitude: 140.99321916494142 },
-    safeRadius: 60,
-    baseDamage: 6,
-    scale: 30,
-    offset: 0.1,
-    maxDamage: 18
-  },
-  {
-    id: 'station-rift',
-    name: 'テック工房',
-    coords: { latitude: 37.56385812102285, longitude: 140.99152814703658 },
-    safeRadius: 60,
-    baseDamage: 6,
-    scale: 30,
-    offset: 0.1,
-    maxDamage: 18
-  },
-  {
-    id: 'area-center',
-    name: '交流センター広場',
-    coords: { latitude: 37.56434331449345, longitude: 140.99237426307516 },
-    safeRadius: 60,
-    baseDamage: 6,
-    scale: 30,
-    offset: 0.1,
-    maxDamage: 18
-  },
-  {
-    id: 'puku',
-    name: 'puku',
-    coords: { latitude: 37.56334549068359, longitude: 140.98913906488454 },
-    safeRadius: 60,
-    baseDamage: 6,
-    scale: 30,
-    offset: 0.1,
-    maxDamage: 18
-  },
-  {
-    id: 'haccoba',
-    name: 'sake',
-    coords: { latitude: 37.561486942859, longitude: 140.9914438352546 },
-    safeRadius: 60,
-    baseDamage: 6,
-    scale: 30,
-    offset: 0.1,
-    maxDamage: 18
-  }
-];
-
-const MOVING_HAZARD = {
-  id: 'phantom-scout',
-  name: 'center',
-  center: { latitude: 37.563886, longitude: 140.991698 },
-  radiusMeters: 300,
-  sourceRadius: 5,
-  safeRadius: 60,
-  baseDamage: 6,
-  scale: 135,
-  offset: 0.1,
-  speedMetersPerSecond: 4,
-  initialHeadingDegrees: 45,
-  initialOffsetMeters: { x: 120, y: -60 }
-};
+  useEffect(() => {
+    reloadEventLog();
+    recordEvents([createSessionEvent(engineStateRef.current, Date.now(), 'launch')]);
+    resumeSavedSession();
+  }, [recordEvents, reloadEventLog, resumeSavedSession]);
 
-const HEALING_ZONE = {
-  id: 'sanctuary-courtyard',
-  name: '神の住まう場所',
-  center: { latitude: 37.568509, longitude: 140.990278 },
-  radiusMeters: 58
-};
+  useEffect(() => {
+    BACKGROUND_PLAY.isRunning()
+      .then((isRunning) => {
+        backgroundPlayRef.current = isRunning;
+        setBackgroundPlay(isRunning);
+      })
+      .catch(() => {});
+  }, []);
 
-const INITIAL_STATS = {
-  hp: 1000,
-  guard: 5,
-  resonance: 5
-};
+  const toggleBackgroundPlay = async (enable) => {
+    if (enable) {
+      const granted = await requestBackgroundPlayPermissions();
+      if (!granted) {
+        throw new Error('位置情報を「常に許可」にするとバックグラウンドでプレイできます');
+      }
+      await BACKGROUND_PLAY.start();
+    } else {
+      await BACKGROUND_PLAY.stop();
+    }
+    backgroundPlayRef.current = enable;
+    setBackgroundPlay(enable);
+  };
 
-export default function App() {
-  const [permissionStatus, setPermissionStatus] = useState(null);
-  const [location, setLocation] = useState(null);
-  const [errorMsg, setErrorMsg] = useState(null);
-  const [stats, setStats] = useState(INITIAL_STATS);
-  const [lastDamage, setLastDamage] = useState(0);
-  const [zoneSummaries, setZoneSummaries] = useState([]);
-  const [isInHealingZone, setIsInHealingZone] = useState(false);
-  const [movingHazardState, setMovingHazardState] = useState(() =>
-    createInitialMovingHazardState(MOVING_HAZARD)
-  );
-  const watcherRef = useRef(null);
-  const movingHazardRef = useRef(movingHazardState);
-  const movingDirectionRef = useRef(
-    normalizeVector({
-      x: Math.cos(toRadians(MOVING_HAZARD.initialHeadingDegrees)),
-      y: Math.sin(toRadians(MOVING_HAZARD.initialHeadingDegrees))
-    })
+  const selectScenario = useCallback(
+    (nextScenario, elapsedSeconds = 0) => {
+      const previous = engineStateRef.current;
+      engineStateRef.current = { ...createInitialState(nextScenario), elapsedSeconds };
+      recordEvents(describeNewGame(previous, engineStateRef.current, Date.now()));
+      advanceEngine(locationRef.current?.coords ?? null, 0);
+      persistEngineState(Date.now());
+    },
+    [advanceEngine, persistEngineState, recordEvents]
   );
-  const movementTimestampRef = useRef(Date.now());
-  const locationRef = useRef(null);
-  const hpRef = useRef(INITIAL_STATS.hp);
-  const isInHealingZoneRef = useRef(false);
-  const healingZoneTimerRef = useRef(0);
-  const hapticStageRef = useRef(0);
-  const hapticIntervalRef = useRef(0);
-  const hapticStyleRef = useRef(Haptics.ImpactFeedbackStyle.Light);
-  const lastHapticTimeRef = useRef(0);
 
   useEffect(() => {
-    requestPermissions();
+    loadSessionSummaries()
+      .then((saved) => {
+        setSummaries((prev) => [...prev, ...saved]);
+      })
+      .catch(() => {});
+  }, []);
 
-    return () => {
-      watcherRef.current?.remove();
+  // Saves the game in progress as a result before the next one starts, so a
+  // new game never quietly throws away what happened in the last one.
+  const finishSession = (nextScenario = engineStateRef.current.scenario, elapsedSeconds = 0) => {
+    const now = Date.now();
+    const finished = engineStateRef.current;
+    recordEvents([createSessionEvent(finished, now, 'finish')]);
+    const summary = {
+      ...buildSessionSummary(finished, now),
+      eventCount: eventLogRef.current.length
     };
-  }, []);
+    // The game's log stays with its result; the next game starts a new one.
+    try {
+      archiveEvents(summary.id);
+    } catch (error) {
+      // Left in place, it carries on into the next game's log.
+    }
+    eventLogRef.current = [];
+    setSummaries((prev) => [summary, ...prev]);
+    setOpenSummary(summary);
+    saveSessionSummary(summary)
+      .then((saved) => pruneArchivedEvents(saved.map((entry) => entry.id)))
+      .catch(() => {});
+    selectScenario(nextScenario, elapsedSeconds);
+  };
 
-  useEffect(() => {
-    movingHazardRef.current = movingHazardState;
-  }, [movingHazardState]);
+  // Starting over revives an eliminated player; say that it stays on record.
+  const describeEliminationKept = () =>
+    engineStateRef.current.lifecycle.status === PLAYER_STATUS.ELIMINATED
+      ? '\n脱落したことは結果とイベントログに残ります。'
+      : '';
+
+  const confirmFinishSession = () => {
+    Alert.alert(
+      'セッションを終了',
+      `結果を保存し、同じシナリオで新しいゲームを始めます。${describeEliminationKept()}`,
+      [
+        { text: 'キャンセル', style: 'cancel' },
+        { text: '終了する', style: 'destructive', onPress: () => finishSession() }
+      ]
+    );
+  };
 
-  useEffect(() => {
-    hpRef.current = stats.hp;
-  }, [stats.hp]);
+  const confirmSwitchScenario = (nextScenario) => {
+    Alert.alert(
+      'シナリオを切り替える',
+      `今のゲームを終了して結果を保存し、「${nextScenario.name}」で新しいゲームを始めます。` +
+        describeEliminationKept(),
+      [
+        { text: 'キャンセル', style: 'cancel' },
+        { text: '切り替える', style: 'destructive', onPress: () => finishSession(nextScenario) }
+      ]
+    );
+  };
 
-  const updateDamageHaptics = useCallback((damage) => {
-    const { stage, intervalMs, style } = getHapticsConfig(damage);
-    const previousStage = hapticStageRef.current;
+  useEffect(() => {
+    loadLayouts()
+      .then((saved) => {
+        // A layout that no longer validates (e.g. edited by hand) is skipped.
+        const loaded = saved.flatMap((layout) => {
+          try {
+            return [loadScenario(layout)];
+          } catch (error) {
+            return [];
+          }
+        });
+        setLayouts(loaded);
+      })
+      .catch(() => {});
+  }, []);
 
-    hapticStageRef.current = stage;
-    hapticIntervalRef.current = intervalMs;
-    hapticStyleRef.current = style;
+  const storeLayout = async (layout) => {
+    const normalized = loadScenario(layout);
+    await saveLayout(layout);
+    setLayouts((prev) => [...prev.filter((entry) => entry.id !== layout.id), normalized]);
+  };
 
-    if (stage === 0) {
-      lastHapticTimeRef.current = 0;
-      return;
-    }
+  const removeLayout = async (id) => {
+    await deleteLayout(id);
+    setLayouts((prev) => prev.filter((entry) => entry.id !== id));
+  };
 
-    if (previousStage < stage || lastHapticTimeRef.current === 0) {
-      Haptics.impactAsync(style).catch(() => {});
-      lastHapticTimeRef.current = Date.now();
-    }
-  }, []);
+  const playLayout = (layout) => {
+    setIsOrganizerOpen(false);
+    confirmSwitchScenario(loadScenario(layout));
+  };
 
-  const applyProximityEffects = useCallback(
-    (coords) => {
-      if (!coords) {
-        setZoneSummaries([]);
-        setLastDamage(0);
-        setIsInHealingZone(false);
-        isInHealingZoneRef.current = false;
-        healingZoneTimerRef.current = 0;
-        return;
-      }
+  const importScenario = (imported) => {
+    setImportedScenarios((prev) => [...prev.filter((entry) => entry.id !== imported.id), imported]);
+    confirmSwitchScenario(imported);
+  };
 
-      const guardValue = stats.guard;
-      const insideHealingZone =
-        calculateDistanceMeters(coords, HEALING_ZONE.center) <= HEALING_ZONE.radiusMeters;
+  // Item actions happen between steps; the state is saved straight away so a
+  // used item is not back after a restart.
+  const applyItemAction = (action, itemId) => {
+    const previous = engineStateRef.current;
+    const next = action(previous, itemId);
+    if (next === previous) {
+      return;
+    }
+    const now = Date.now();
+    engineStateRef.current = next;
+    recordEvents(describeItemChanges(previous, next, now));
+    advanceEngine(locationRef.current?.coords ?? null, 0);
+    persistEngineState(now);
+  };
 
-      setIsInHealingZone(insideHealingZone);
-      isInHealingZoneRef.current = insideHealingZone;
-      if (!insideHealingZone) {
-        healingZoneTimerRef.current = 0;
-      }
+  const resetMultiplayer = (error = null) => {
+    multiplayerClientRef.current = null;
+    remoteHazardsRef.current = null;
+    isJoinPendingRef.current = false;
+    setSessionPlayers([]);
+    setMultiplayer({ ...DISCONNECTED_MULTIPLAYER, error });
+  };
 
-      const summaries = DANGER_ZONES.map((zone) => {
-        const distance = calculateDistanceMeters(coords, zone.coords);
-        const rawDamage = insideHealingZone ? 0 : evaluateZoneDamage(distance, zone);
-        const mitigatedDamage = Math.max(rawDamage - guardValue, 0);
-
-        return {
-          id: zone.id,
-          name: zone.name,
-          distance,
-          rawDamage,
-          mitigatedDamage,
-          maxDamage: zone.maxDamage ?? null,
-          isDynamic: false
-        };
+  const connectMultiplayer = ({ url, name, sessionId }) => {
+    if (locationSource.isSimulated) {
+      setMultiplayer({
+        ...DISCONNECTED_MULTIPLAYER,
+        error: 'リプレイ中は接続できません。位置ソースを端末の GPS に戻してください'
       });
-
-      const dynamicState = movingHazardRef.current;
-      if (dynamicState) {
-        const dynamicZone = {
-          id: MOVING_HAZARD.id,
-          name: MOVING_HAZARD.name,
-          coords: dynamicState.coords,
-          safeRadius: MOVING_HAZARD.safeRadius,
-          baseDamage: MOVING_HAZARD.baseDamage,
-          scale: MOVING_HAZARD.scale,
-          offset: MOVING_HAZARD.offset,
-          maxDamage: MOVING_HAZARD.maxDamage ?? null
-        };
-
-        const distance = calculateDistanceMeters(coords, dynamicZone.coords);
-        const rawDamage = insideHealingZone ? 0 : evaluateZoneDamage(distance, dynamicZone);
-        const mitigatedDamage = Math.max(rawDamage - guardValue, 0);
-
-        summaries.push({
-          id: dynamicZone.id,
-          name: dynamicZone.name,
-          distance,
-          rawDamage,
-          mitigatedDamage,
-          maxDamage: dynamicZone.maxDamage,
-          isDynamic: true
-        });
+      return;
+    }
+    setMultiplayer({
+      ...DISCONNECTED_MULTIPLAYER,
+      status: MULTIPLAYER_STATUS.CONNECTING,
+      sessionId
+    });
+    let lastError = null;
+    const saved = multiplayerResumeRef.current;
+    const client = createMultiplayerClient({
+      transport: createWebSocketTransport(url),
+      sessionId,
+      name,
+      resumeToken: saved?.url === url && saved.sessionId === sessionId ? saved.resumeToken : null,
+      onWelcome: (welcome) => {
+        let joined;
+        try {
+          joined = loadScenario(welcome.scenario);
+        } catch (error) {
+          resetMultiplayer(`サーバーのシナリオを読み込めません: ${error.message}`);
+          client.close();
+          return;
+        }
+        multiplayerResumeRef.current = { url, sessionId, resumeToken: welcome.resumeToken };
+        saveMultiplayerResume(multiplayerResumeRef.current).catch(() => {});
+        const markConnected = () =>
+          setMultiplayer((prev) => ({
+            ...prev,
+            status: MULTIPLAYER_STATUS.CONNECTED,
+            playerId: welcome.playerId
+          }));
+        // Join the match clock, so scheduled zones line up with everyone else's.
+        // A game of the same scenario carries on as it is: rejoining never
+        // brings back HP, lives or items.
+        const current = engineStateRef.current;
+        if (current.scenario.id === joined.id) {
+          const now = Date.now();
+          engineStateRef.current = { ...current, elapsedSeconds: welcome.elapsedSeconds };
+          recordEvents([createSessionEvent(engineStateRef.current, now, 'join')]);
+          advanceEngine(locationRef.current?.coords ?? null, 0);
+          persistEngineState(now);
+          markConnected();
+          return;
+        }
+        // Another scenario ends the local game, so the player is asked first;
+        // declining leaves the session and keeps the game.
+        const receivedAt = Date.now();
+        const isCurrentClient = () => multiplayerClientRef.current === client;
+        isJoinPendingRef.current = true;
+        Alert.alert(
+          'セッションに参加する',
+          `サーバーのシナリオ「${joined.name}」で参加するため、今のゲームを終了して結果を保存します。` +
+            describeEliminationKept(),
+          [
+            {
+              text: 'キャンセル',
+              style: 'cancel',
+              onPress: () => {
+                if (isCurrentClient()) {
+                  disconnectMultiplayer();
+                }
+              }
+            },
+            {
+              text: '参加する',
+              style: 'destructive',
+              onPress: () => {
+                // The connection may have dropped while the dialog was open.
+                if (!isCurrentClient()) {
+                  return;
+                }
+                isJoinPendingRef.current = false;
+                setImportedScenarios((prev) => [
+                  ...prev.filter((entry) => entry.id !== joined.id),
+                  joined
+                ]);
+                finishSession(joined, welcome.elapsedSeconds + (Date.now() - receivedAt) / 1000);
+                markConnected();
+              }
+            }
+          ]
+        );
+      },
+      onState: (message) => {
+        if (isJoinPendingRef.current) {
+          return;
+        }
+        remoteHazardsRef.current = message.movingHazards;
+        setSessionPlayers(message.players);
+      },
+      onError: (message) => {
+        lastError = message.message;
+        setMultiplayer((prev) => ({ ...prev, error: message.message }));
+        // A rejected join leaves the socket open with nothing to do.
+        if (!client.getPlayerId()) {
+          client.close();
+        }
+      },
+      onClose: () => {
+        // A deliberate disconnect has already moved on from this client.
+        if (multiplayerClientRef.current !== client) {
+          return;
+        }
+        resetMultiplayer(lastError ?? 'サーバーに接続できないか、接続が切れました');
       }
+    });
+    multiplayerClientRef.current = client;
+  };
 
-      setZoneSummaries(summaries);
+  useEffect(() => {
+    loadMultiplayerResume()
+      .then((record) => {
+        multiplayerResumeRef.current = record;
+      })
+      .catch(() => {});
+  }, []);
 
-      const totalMitigatedDamage = summaries.reduce((sum, entry) => sum + entry.mitigatedDamage, 0);
-      const damageApplied = Number(totalMitigatedDamage.toFixed(2));
+  const disconnectMultiplayer = () => {
+    const client = multiplayerClientRef.current;
+    resetMultiplayer();
+    client?.close();
+  };
 
-      updateDamageHaptics(damageApplied);
+  useEffect(() => () => multiplayerClientRef.current?.close(), []);
 
-      if (damageApplied > 0) {
-        setStats((prev) => {
-          const nextHp = Math.max(prev.hp - damageApplied, 0);
-          if (nextHp === prev.hp) {
-            return prev;
-          }
-          hpRef.current = nextHp;
-          return { ...prev, hp: nextHp };
-        });
+  const handlePosition = useCallback(
+    (rawPosition) => {
+      let position = rawPosition;
+      // Only device fixes are filtered; replayed ones are flagged as simulated.
+      if (positionFilterRef.current !== undefined) {
+        const filtered = filterPosition(positionFilterRef.current, rawPosition);
+        positionFilterRef.current = filtered.filterState;
+        position = filtered.position;
+      }
+      recordEvents([
+        createPositionEvent(rawPosition, Date.now(), position, locationSourceRef.current.id)
+      ]);
+      if (!position) {
+        // A rejected outlier still counts towards teleport detection.
+        advanceEngine(locationRef.current?.coords ?? null, 0, rawPosition);
+        return;
       }
 
-      setLastDamage(damageApplied);
+      setLocation(position);
+      locationRef.current = position;
+      advanceEngine(position.coords, 0, rawPosition);
     },
-    [stats.guard, updateDamageHaptics]
+    [advanceEngine, recordEvents]
   );
 
-  const requestPermissions = async () => {
+  const startLocationSource = async (source) => {
+    const token = sourceTokenRef.current + 1;
+    sourceTokenRef.current = token;
+    const isStale = () => sourceTokenRef.current !== token;
+
+    watcherRef.current?.remove();
+    watcherRef.current = null;
+    locationSourceRef.current = source;
+    positionFilterRef.current = source.isSimulated ? undefined : null;
+
     try {
-      const { status } = await Location.requestForegroundPermissionsAsync();
-      setPermissionStatus(status);
-
-      if (status !== Location.PermissionStatus.GRANTED) {
-        watcherRef.current?.remove();
-        watcherRef.current = null;
-        setLocation(null);
-        locationRef.current = null;
-        setErrorMsg('位置情報へのアクセスが許可されていません');
-        setZoneSummaries([]);
-        setLastDamage(0);
-        return;
+      if (source.requiresPermission) {
+        const { status } = await Location.requestForegroundPermissionsAsync();
+        if (isStale()) {
+          return;
+        }
+        setPermissionStatus(status);
+
+        if (status !== Location.PermissionStatus.GRANTED) {
+          setLocation(null);
+          locationRef.current = null;
+          setErrorMsg('位置情報へのアクセスが許可されていません');
+          advanceEngine(null, 0);
+          return;
+        }
       }
 
       setErrorMsg(null);
-      const currentLocation = await Location.getCurrentPositionAsync({});
-      setLocation(currentLocation);
-      locationRef.current = currentLocation;
-      applyProximityEffects(currentLocation.coords);
-
-      watcherRef.current?.remove();
-
-      const subscription = await Location.watchPositionAsync(
-        {
-          accuracy: Location.Accuracy.High,
-          distanceInterval: 5
-        },
-        (position) => {
-          setLocation(position);
-          locationRef.current = position;
-          applyProximityEffects(position.coords);
-        }
-      );
+      const currentLocation = await source.getCurrentPosition();
+      if (isStale()) {
+        return;
+      }
+      handlePosition(currentLocation);
 
+      const subscription = await source.watchPosition(handlePosition);
+      if (isStale()) {
+        subscription.remove();
+        return;
+      }
       watcherRef.current = subscription;
     } catch (error) {
-      setErrorMsg(error.message ?? '現在地の取得中に問題が発生しました');
+      if (!isStale()) {
+        setErrorMsg(error.message ?? '現在地の取得中に問題が発生しました');
+      }
+    }
+  };
+
+  const selectLocationSource = (trackEntry, speed = replaySpeed) => {
+    // Replayed positions would be shared with everyone in the session.
+    if (trackEntry && multiplayer.status !== MULTIPLAYER_STATUS.DISCONNECTED) {
+      return;
+    }
+    const source = trackEntry
+      ? createReplayLocationSource(trackEntry.track, {
+          id: `replay:${trackEntry.id}`,
+          name: trackEntry.name,
+          speed
+        })
+      : DEVICE_LOCATION_SOURCE;
+    setActiveTrackId(trackEntry?.id ?? null);
+    setLocationSource(source);
+    // The background task only knows the device GPS.
+    if (trackEntry && backgroundPlayRef.current) {
+      toggleBackgroundPlay(false).catch(() => {});
+    }
+    startLocationSource(source);
+  };
+
+  const changeReplaySpeed = (speed) => {
+    setReplaySpeed(speed);
+    const activeTrack = availableTracks.find((track) => track.id === activeTrackId);
+    if (activeTrack) {
+      selectLocationSource(activeTrack, speed);
     }
   };
 
+  const importTrack = (imported) => {
+    setImportedTracks((prev) => [...prev.filter((entry) => entry.id !== imported.id), imported]);
+    selectLocationSource(imported);
+  };
+
   useEffect(() => {
     movementTimestampRef.current = Date.now();
     const interval = setInterval(() => {
+      if (backgroundPlayRef.current && AppState.currentState !== 'active') {
+        return;
+      }
       const now = Date.now();
       let deltaSeconds = (now - movementTimestampRef.current) / 1000;
       movementTimestampRef.current = now;
@@ -446,116 +755,83 @@ export default function App() {
       if (!Number.isFinite(deltaSeconds) || deltaSeconds <= 0) {
         deltaSeconds = 1;
       }
-      deltaSeconds = Math.min(deltaSeconds, 2);
-
-      setMovingHazardState((prev) => {
-        const travelDistance = MOVING_HAZARD.speedMetersPerSecond * deltaSeconds;
-        const { position, direction } = advanceWithinCircle(
-          prev.offset,
-          movingDirectionRef.current,
-          travelDistance,
-          MOVING_HAZARD.radiusMeters
-        );
-
-        movingDirectionRef.current = direction;
-        const coords = offsetsToCoords(MOVING_HAZARD.center, position.x, position.y);
-        const updated = { offset: position, coords };
-        movingHazardRef.current = updated;
-        return updated;
-      });
+      deltaSeconds = Math.min(deltaSeconds, MAX_TICK_SECONDS);
 
-      if (deltaSeconds > 0) {
-        const passiveRegenAmount = PASSIVE_REGEN_PER_SECOND * deltaSeconds;
-        if (passiveRegenAmount > 0) {
-          setStats((prev) => {
-            if (prev.hp <= 0 || prev.hp >= MAX_HP) {
-              return prev;
-            }
-            const nextHp = Math.min(prev.hp + passiveRegenAmount, MAX_HP);
-            if (nextHp === prev.hp) {
-              return prev;
-            }
-            const rounded = Number(nextHp.toFixed(2));
-            hpRef.current = rounded;
-            return { ...prev, hp: rounded };
-          });
-        }
+      advanceEngine(locationRef.current?.coords ?? null, deltaSeconds);
+      persistEngineState(now);
+      if (!isJoinPendingRef.current) {
+        multiplayerClientRef.current?.update(engineStateRef.current);
       }
+    }, 1000);
 
-      const insideHealingZone = isInHealingZoneRef.current;
-      if (insideHealingZone) {
-        if (deltaSeconds > 0) {
-          if (hpRef.current <= 0) {
-            healingZoneTimerRef.current = Math.min(
-              healingZoneTimerRef.current + deltaSeconds,
-              HEALING_ZONE_ZERO_HP_DELAY_SECONDS
-            );
-          } else {
-            healingZoneTimerRef.current = 0;
-          }
-        }
+    return () => clearInterval(interval);
+  }, [advanceEngine, persistEngineState]);
 
-        const canRegen =
-          hpRef.current > 0 || healingZoneTimerRef.current >= HEALING_ZONE_ZERO_HP_DELAY_SECONDS;
-        if (canRegen && deltaSeconds > 0) {
-          const regenAmount = HEALING_ZONE_REGEN_PER_SECOND * deltaSeconds;
-          setStats((prev) => {
-            const currentHp = prev.hp;
-            const readyForZeroHpRegen =
-              currentHp > 0 ||
-              (currentHp <= 0 && healingZoneTimerRef.current >= HEALING_ZONE_ZERO_HP_DELAY_SECONDS);
-            if (!readyForZeroHpRegen || currentHp >= MAX_HP) {
-              return prev;
-            }
-            const nextHp = Math.min(currentHp + regenAmount, MAX_HP);
-            if (nextHp === currentHp) {
-              return prev;
-            }
-            const rounded = Number(nextHp.toFixed(2));
-            hpRef.current = rounded;
-            if (rounded > 0) {
-              healingZoneTimerRef.current = 0;
-            }
-            return { ...prev, hp: rounded };
-          });
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', (nextAppState) => {
+      const now = Date.now();
+      if (nextAppState !== 'active') {
+        persistEngineState(now);
+        try {
+          flushEvents();
+        } catch (error) {
+          // The events stay in memory for this run.
         }
-      } else {
-        healingZoneTimerRef.current = 0;
+        // The next step after returning restarts the feedback.
+        FEEDBACK_PLAYER.stop();
+        return;
       }
 
-      const stage = hapticStageRef.current;
-      const intervalMs = hapticIntervalRef.current;
-      if (stage > 0 && intervalMs > 0) {
-        const lastTriggered = lastHapticTimeRef.current || 0;
-        if (now - lastTriggered >= intervalMs) {
-          Haptics.impactAsync(hapticStyleRef.current).catch(() => {});
-          lastHapticTimeRef.current = now;
-        }
+      // The background task has been saving the game; continue from there.
+      if (backgroundPlayRef.current) {
+        hasRestoredRef.current = false;
+        resumeSavedSession();
+        return;
       }
 
-      const currentCoords = locationRef.current?.coords;
-      if (currentCoords) {
-        applyProximityEffects(currentCoords);
+      const elapsedSeconds = (now - movementTimestampRef.current) / 1000;
+      if (elapsedSeconds > MAX_TICK_SECONDS) {
+        engineStateRef.current = catchUp(engineStateRef.current, elapsedSeconds);
+        movementTimestampRef.current = now;
+        recordEvents([createSessionEvent(engineStateRef.current, now, 'resume')]);
+        advanceEngine(locationRef.current?.coords ?? null, 0);
       }
-    }, 1000);
+    });
 
-    return () => clearInterval(interval);
-  }, [applyProximityEffects]);
+    return () => subscription.remove();
+  }, [advanceEngine, persistEngineState, recordEvents, resumeSavedSession]);
+
+  const shareLog = (format) =>
+    shareEventLog(eventLogRef.current, {
+      format,
+      scenario: engineStateRef.current.scenario,
+      exportedAt: Date.now()
+    });
+
+  const shareSummaryLog = (summary, format) =>
+    shareEventLog(loadArchivedEvents(summary.id, MAX_EVENT_LOG_LENGTH), {
+      format,
+      scenario: { id: summary.scenarioId, name: summary.scenarioName },
+      exportedAt: Date.now()
+    });
 
   const renderContent = () => {
     if (errorMsg) {
       return <Text style={styles.errorText}>{errorMsg}</Text>;
     }
 
-    if (!permissionStatus) {
+    if (locationSource.requiresPermission && !permissionStatus) {
       return <Text style={styles.infoText}>位置情報の権限を確認しています...</Text>;
     }
 
-    if (permissionStatus !== Location.PermissionStatus.GRANTED) {
+    if (
+      locationSource.requiresPermission &&
+      permissionStatus !== Location.PermissionStatus.GRANTED
+    ) {
       return (
         <View style={styles.centered}>
           <Text style={styles.infoText}>位置情報へのアクセスを許可してください。</Text>
-          <Button title="再試行" onPress={requestPermissions} />
+          <Button title="再試行" onPress={() => startLocationSource(locationSource)} />
         </View>
       );
     }
@@ -565,7 +841,7 @@ export default function App() {
     }
 
     const { latitude, longitude, altitude, accuracy } = location.coords;
-    const nearestZone = zoneSummaries.reduce((closest, zone) => {
+    const nearestZone = detectedZones.reduce((closest, zone) => {
       if (!Number.isFinite(zone.distance)) {
         return closest;
       }
@@ -585,106 +861,364 @@ export default function App() {
         {typeof accuracy === 'number' && (
           <Text style={styles.meta}>精度: ±{accuracy.toFixed(1)} m</Text>
         )}
+        {!isFixUsable(location.coords, scenario.positionAccuracy) && (
+          <Text style={styles.warningText}>
+            精度が低いため、この位置はダメージ判定に使われていません
+          </Text>
+        )}
         <Text style={styles.meta}>更新: {new Date(location.timestamp).toLocaleString()}</Text>
-        {nearestZone && (
+        {locationSource.isSimulated && (
           <Text style={styles.meta}>
-            最寄り危険源: {nearestZone.name}（{formatDistance(nearestZone.distance)}）
+            位置ソース: {locationSource.name}（×{locationSource.speed} で再生中）
           </Text>
         )}
-        {Platform.OS === 'android' && (
+        {nearestZone && (
+          <View style={styles.directionRow}>
+            <DirectionArrow
+              bearingDegrees={nearestZone.bearingDegrees}
+              headingDegrees={headingDegrees}
+              color="#f87171"
+            />
+            <Text style={styles.meta}>
+              最寄り危険源: {nearestZone.name}（{formatDistance(nearestZone.distance)}・
+              {TREND_LABELS[nearestZone.trend]}）
+            </Text>
+          </View>
+        )}
+        {Platform.OS === 'android' && !locationSource.isSimulated && (
           <Text style={styles.meta}>Androidで精度が低い場合は位置設定を高精度にしてください。</Text>
         )}
       </View>
     );
   };
 
+  // Replays have no compass, so their direction of travel stands in for it.
+  const headingDegrees = locationSource.isSimulated
+    ? location?.coords.heading ?? null
+    : deviceHeading;
+
   const activeHazardCount = zoneSummaries.filter((zone) => zone.mitigatedDamage > 0).length;
   const totalHazardCount = zoneSummaries.length;
-  const lastDamageDisplay = lastDamage > 0 ? lastDamage.toFixed(1) : '0';
+  const { resonanceEffects } = scenario;
+  const resonanceHints = [
+    resonanceEffects.detectionMetersPerPoint != null &&
+      `感知 +${Math.round(playerStats.resonance * resonanceEffects.detectionMetersPerPoint)} m`,
+    resonanceEffects.healingBonusPerPoint > 0 &&
+      `回復 ×${getHealingMultiplier(playerStats.resonance, resonanceEffects).toFixed(1)}`,
+    canSenseHeading(playerStats.resonance, resonanceEffects) && '進行方向を感知'
+  ].filter(Boolean);
+  const describeResistances = (resistStat) =>
+    Object.values(scenario.damageTypes)
+      .filter((typeConfig) => typeConfig.resistStat === resistStat && typeConfig.mitigation !== 'none')
+      .map((typeConfig) => describeResistance(typeConfig, playerStats));
+  const guardResistances = describeResistances('guard');
+  const resonanceResistances = describeResistances('resonance');
+  const damageRateDisplay = damagePerSecond > 0 ? damagePerSecond.toFixed(1) : '0';
+  // Downed players who must reach a healing zone are always guided there.
+  const isGuidingToSafety =
+    isNavigatingToSafety ||
+    (lifecycle.status === PLAYER_STATUS.DOWNED && scenario.respawn.rule === 'healingZone');
+  const objectiveTargets = objectives
+    .filter((progress) => progress.status === OBJECTIVE_STATUS.ACTIVE)
+    .map((progress) => {
+      const objective = scenario.objectives.find((entry) => entry.id === progress.id);
+      const target =
+        objective.type === 'checkpoints'
+          ? objective.checkpoints[progress.checkpointIndex]
+          : objective;
+      return {
+        id: progress.id,
+        name: target.name ?? objective.name,
+        coords: target.coords,
+        radiusMeters: target.radiusMeters
+      };
+    });
+  const carriedItemCount = items.filter(
+    (itemState) =>
+      itemState.status === ITEM_STATUS.CARRIED || itemState.status === ITEM_STATUS.EQUIPPED
+  ).length;
+  const teammates = summarizeTeammates(
+    sessionPlayers,
+    multiplayer.playerId,
+    location?.coords ?? null
+  );
+
+  const availableScenarios = [
+    ...BUNDLED_SCENARIOS,
+    ...layouts,
+    ...importedScenarios.filter(
+      (imported) =>
+        !BUNDLED_SCENARIOS.some((bundled) => bundled.id === imported.id) &&
+        !layouts.some((layout) => layout.id === imported.id)
+    )
+  ];
 
   return (
     <SafeAreaView style={styles.container}>
       <StatusBar style="auto" />
-      <Text style={styles.title}>現在地ビューアー</Text>
-      {renderContent()}
-      <View style={styles.statusSection}>
-        <Text style={styles.sectionTitle}>ステータス</Text>
-        <View style={styles.statCard}>
-          <View style={styles.statHeader}>
-            <Text style={styles.statName}>HP</Text>
-            <Text style={styles.statValue}>{stats.hp}/{MAX_HP}</Text>
-          </View>
-          <View style={styles.progressTrack}>
-            <View
-              style={[
-                styles.progressFill,
-                styles.hpFill,
-                { width: `${Math.min(stats.hp, MAX_HP) / MAX_HP * 100}%` }
-              ]}
-            />
-          </View>
-        </View>
-        <View style={styles.statRow}>
-          <View style={styles.statCardHalf}>
-            <Text style={styles.statName}>護力</Text>
-            <Text style={styles.statValue}>{stats.guard}</Text>
-            <View style={styles.progressTrackSmall}>
-              <View
-                style={[
-                  styles.progressFill,
-                  styles.guardFill,
-                  { width: `${Math.min(stats.guard, SECONDARY_STAT_MAX) / SECONDARY_STAT_MAX * 100}%` }
-                ]}
-              />
+      <ScrollView contentContainerStyle={styles.scrollContent}>
+        <Text style={styles.title}>現在地ビューアー</Text>
+        {renderContent()}
+        {location && !errorMsg && (
+          <Radar
+            playerCoords={location.coords}
+            headingDegrees={headingDegrees}
+            scenario={scenario}
+            movingHazards={movingHazards}
+            zoneSummaries={zoneSummaries}
+            playArea={playArea}
+            navigationTarget={isGuidingToSafety ? nearestHealingZone?.center : null}
+            teammates={teammates.filter((teammate) => teammate.isConnected)}
+            objectiveTargets={objectiveTargets}
+            placedItems={scenario.items.filter(
+              (item, index) => items[index].status === ITEM_STATUS.PLACED
+            )}
+          />
+        )}
+        {location && !errorMsg && (
+          <SafetyNavigator
+            target={nearestHealingZone}
+            headingDegrees={headingDegrees}
+            hp={stats.hp}
+            isActive={isGuidingToSafety}
+            isInHealingZone={isInHealingZone}
+            onToggle={setIsNavigatingToSafety}
+          />
+        )}
+        <View style={styles.statusSection}>
+          <Text style={styles.sectionTitle}>ステータス</Text>
+          <PlayerStatusBanner
+            lifecycle={lifecycle}
+            respawnConfig={scenario.respawn}
+            nearestHealingZone={nearestHealingZone}
+          />
+          {integrity.penalty && (
+            <Text style={styles.warningText}>{PENALTY_NOTICES[integrity.penalty]}</Text>
+          )}
+          {integrity.isSimulated && <Text style={styles.warningText}>{SIMULATED_NOTICE}</Text>}
+          <View style={styles.statCard}>
+            <View style={styles.statHeader}>
+              <Text style={styles.statName}>HP</Text>
+              <Text style={styles.statValue}>{stats.hp}/{MAX_HP}</Text>
             </View>
-          </View>
-          <View style={styles.statCardHalf}>
-            <Text style={styles.statName}>響力</Text>
-            <Text style={styles.statValue}>{stats.resonance}</Text>
-            <View style={styles.progressTrackSmall}>
+            <View style={styles.progressTrack}>
               <View
                 style={[
                   styles.progressFill,
-                  styles.resonanceFill,
-                  { width: `${Math.min(stats.resonance, SECONDARY_STAT_MAX) / SECONDARY_STAT_MAX * 100}%` }
+                  styles.hpFill,
+                  { width: `${Math.min(stats.hp, MAX_HP) / MAX_HP * 100}%` }
                 ]}
               />
             </View>
           </View>
-        </View>
-        <View style={styles.statusMetaBlock}>
-          <Text style={styles.statusMeta}>直近ダメージ合計: -{lastDamageDisplay} HP</Text>
-          <Text style={styles.statusMeta}>
-            影響中の危険源: {activeHazardCount}/{totalHazardCount}
-          </Text>
-          <Text style={styles.statusMeta}>
-            ヒーリングゾーン: {isInHealingZone ? '内' : '外'}
-          </Text>
-        </View>
-      </View>
-      {zoneSummaries.length > 0 && (
-        <View style={styles.dangerSection}>
-          <Text style={styles.sectionTitle}>ダメージ源</Text>
-          {zoneSummaries.map((zone) => (
-            <View key={zone.id} style={styles.dangerCard}>
-              <Text style={styles.dangerName}>
-                {zone.name}
-                {zone.isDynamic ? '（移動中）' : ''}
+          <View style={styles.statRow}>
+            <View style={styles.statCardHalf}>
+              <Text style={styles.statName}>護力</Text>
+              <Text style={styles.statValue}>
+                {playerStats.guard}
+                {playerStats.guard !== stats.guard ? `（基本 ${stats.guard}）` : ''}
               </Text>
-              <Text style={styles.dangerMeta}>距離: {formatDistance(zone.distance)}</Text>
-              <Text style={styles.dangerMeta}>
-                想定ダメージ: -{zone.rawDamage.toFixed(1)} HP
-              </Text>
-              <Text style={styles.dangerMeta}>
-                ガード後: -{zone.mitigatedDamage.toFixed(1)} HP
+              <View style={styles.progressTrackSmall}>
+                <View
+                  style={[
+                    styles.progressFill,
+                    styles.guardFill,
+                    { width: `${Math.min(playerStats.guard, SECONDARY_STAT_MAX) / SECONDARY_STAT_MAX * 100}%` }
+                  ]}
+                />
+              </View>
+              {guardResistances.length > 0 && (
+                <Text style={styles.statHint}>{guardResistances.join(' / ')}</Text>
+              )}
+            </View>
+            <View style={styles.statCardHalf}>
+              <Text style={styles.statName}>響力</Text>
+              <Text style={styles.statValue}>
+                {playerStats.resonance}
+                {playerStats.resonance !== stats.resonance ? `（基本 ${stats.resonance}）` : ''}
               </Text>
-              <Text style={styles.dangerMeta}>
-                上限: {zone.maxDamage != null ? `-${zone.maxDamage.toFixed(1)} HP` : 'なし'}
+              <View style={styles.progressTrackSmall}>
+                <View
+                  style={[
+                    styles.progressFill,
+                    styles.resonanceFill,
+                    { width: `${Math.min(playerStats.resonance, SECONDARY_STAT_MAX) / SECONDARY_STAT_MAX * 100}%` }
+                  ]}
+                />
+              </View>
+              {resonanceHints.length > 0 && (
+                <Text style={styles.statHint}>{resonanceHints.join(' / ')}</Text>
+              )}
+              {resonanceResistances.length > 0 && (
+                <Text style={styles.statHint}>{resonanceResistances.join(' / ')}</Text>
+              )}
+            </View>
+          </View>
+          <View style={styles.statusMetaBlock}>
+            <Text style={styles.statusMeta}>被ダメージ: -{damageRateDisplay} HP/秒</Text>
+            <Text style={styles.statusMeta}>
+              影響中の危険源: {activeHazardCount}/{totalHazardCount}（感知中 {detectedZones.length}）
+            </Text>
+            {playArea && (
+              <Text
+                style={[
+                  styles.statusMeta,
+                  (playArea.isOutside || playArea.stage === PLAY_AREA_STAGES.WARNING) &&
+                    styles.statusWarning
+                ]}
+              >
+                {describePlayArea(playArea)}
               </Text>
+            )}
+            <Text style={styles.statusMeta}>
+              ヒーリングゾーン: {isInHealingZone ? `内（${currentHealingZone?.name ?? ''}）` : '外'}
+            </Text>
+          </View>
+          <StatusEffectList statusEffects={statusEffects} definitions={scenario.statusEffects} />
+          <ObjectiveList
+            objectives={objectives}
+            definitions={scenario.objectives}
+            score={getScore(engineState)}
+            maxScore={getMaxObjectiveScore(scenario.objectives)}
+            elapsedSeconds={elapsedSeconds}
+            headingDegrees={headingDegrees}
+          />
+          {scenario.items.length > 0 && (
+            <View style={styles.inventoryEntry}>
+              <Button
+                title={`持ち物（${carriedItemCount}）`}
+                onPress={() => setIsInventoryOpen(true)}
+              />
             </View>
-          ))}
+          )}
+        </View>
+        <UpcomingSchedule
+          zoneSummaries={zoneSummaries}
+          nextEscalation={getNextEscalation(scenario.difficultyPhases, elapsedSeconds)}
+          elapsedSeconds={elapsedSeconds}
+        />
+        {detectedZones.length > 0 && (
+          <View style={styles.dangerSection}>
+            <Text style={styles.sectionTitle}>ダメージ源</Text>
+            {detectedZones.map((zone) => (
+              <View key={zone.id} style={styles.dangerCard}>
+                <Text style={styles.dangerName}>
+                  {zone.name}
+                  {zone.isDynamic ? '（移動中）' : ''}
+                  {zone.isActive ? '' : '（休止中）'}
+                </Text>
+                <Text style={styles.dangerMeta}>距離: {formatDistance(zone.distance)}</Text>
+                <View style={styles.directionRow}>
+                  <DirectionArrow
+                    bearingDegrees={zone.bearingDegrees}
+                    headingDegrees={headingDegrees}
+                    size={16}
+                    color="#fca5a5"
+                  />
+                  <Text style={styles.dangerMeta}>
+                    {formatHeading(zone.bearingDegrees)} ・ {TREND_LABELS[zone.trend]}
+                  </Text>
+                </View>
+                <Text style={styles.dangerMeta}>
+                  想定ダメージ: -{zone.rawDamage.toFixed(1)} HP/秒
+                </Text>
+                <Text style={styles.dangerMeta}>
+                  軽減後: -{zone.mitigatedDamage.toFixed(1)} HP/秒
+                </Text>
+                {zone.damageByType.length > 1 &&
+                  zone.damageByType.map((entry) => (
+                    <Text key={entry.type} style={styles.dangerMeta}>
+                      ・{entry.name}: -{entry.mitigatedDamage.toFixed(1)} HP/秒（軽減前 -{entry.rawDamage.toFixed(1)}）
+                    </Text>
+                  ))}
+                {zone.damageByType.length === 1 && (
+                  <Text style={styles.dangerMeta}>種類: {zone.damageByType[0].name}</Text>
+                )}
+                <Text style={styles.dangerMeta}>
+                  上限: {zone.maxDamage != null ? `-${zone.maxDamage.toFixed(1)} HP` : 'なし'}
+                </Text>
+                {zone.damageMultiplier !== 1 && (
+                  <Text style={styles.dangerMeta}>強化: ダメージ ×{zone.damageMultiplier}</Text>
+                )}
+                {zone.headingDegrees != null && (
+                  <Text style={styles.dangerMeta}>進行方向: {formatHeading(zone.headingDegrees)}</Text>
+                )}
+              </View>
+            ))}
+          </View>
+        )}
+        <MultiplayerPanel
+          status={multiplayer.status}
+          sessionId={multiplayer.sessionId}
+          teammates={teammates}
+          standings={rankPlayers(sessionPlayers)}
+          playerId={multiplayer.playerId}
+          headingDegrees={headingDegrees}
+          error={multiplayer.error}
+          onConnect={connectMultiplayer}
+          onDisconnect={disconnectMultiplayer}
+        />
+        <ScenarioPicker
+          scenarios={availableScenarios}
+          activeScenarioId={scenario.id}
+          onSelect={confirmSwitchScenario}
+          onImport={importScenario}
+        />
+        <LocationSourcePicker
+          tracks={availableTracks}
+          activeTrackId={activeTrackId}
+          isReplayAllowed={multiplayer.status === MULTIPLAYER_STATUS.DISCONNECTED}
+          speed={replaySpeed}
+          onSelect={selectLocationSource}
+          onSpeedChange={changeReplaySpeed}
+          onImport={importTrack}
+        />
+        <FeedbackProfilePicker
+          profiles={BUNDLED_FEEDBACK_PROFILES}
+          activeProfileId={feedbackProfile.id}
+          onSelect={selectFeedbackProfile}
+          onPreview={(pattern) => FEEDBACK_PLAYER.preview(pattern)}
+        />
+        <BackgroundPlayPanel
+          isEnabled={backgroundPlay}
+          isAvailable={!locationSource.isSimulated}
+          onToggle={toggleBackgroundPlay}
+        />
+        <SessionHistory
+          summaries={summaries}
+          onFinish={confirmFinishSession}
+          onOpen={setOpenSummary}
+        />
+        <EventLogPanel eventCount={eventLogRef.current.length} onShare={shareLog} />
+        <View style={styles.organizerEntry}>
+          <Button title="主催者モード" onPress={() => setIsOrganizerOpen(true)} />
         </View>
-      )}
+      </ScrollView>
+      <SessionSummaryModal
+        summary={openSummary}
+        onShareLog={shareSummaryLog}
+        onClose={() => setOpenSummary(null)}
+      />
+      <InventoryModal
+        visible={isInventoryOpen}
+        items={items}
+        scenario={scenario}
+        canUse={lifecycle.status === PLAYER_STATUS.ALIVE}
+        onUse={(itemId) => applyItemAction(consumeItem, itemId)}
+        onEquip={(itemId) => applyItemAction(equipItem, itemId)}
+        onUnequip={(itemId) => applyItemAction(unequipItem, itemId)}
+        onClose={() => setIsInventoryOpen(false)}
+      />
+      <OrganizerModal
+        visible={isOrganizerOpen}
+        currentCoords={location?.coords ?? null}
+        activeScenario={scenario}
+        layouts={layouts}
+        onSave={storeLayout}
+        onDelete={removeLayout}
+        onPlay={playLayout}
+        onClose={() => setIsOrganizerOpen(false)}
+      />
     </SafeAreaView>
   );
 }
@@ -692,9 +1226,12 @@ export default function App() {
 const styles = StyleSheet.create({
   container: {
     flex: 1,
-    backgroundColor: '#0f172a',
+    backgroundColor: '#0f172a'
+  },
+  scrollContent: {
     paddingHorizontal: 24,
-    paddingTop: 48
+    paddingTop: 48,
+    paddingBottom: 48
   },
   title: {
     fontSize: 24,
@@ -721,6 +1258,10 @@ const styles = StyleSheet.create({
     fontSize: 16,
     lineHeight: 24
   },
+  warningText: {
+    color: '#fbbf24',
+    fontSize: 14
+  },
   locationContainer: {
     backgroundColor: '#1e293b',
     padding: 24,
@@ -798,6 +1339,11 @@ const styles = StyleSheet.create({
   resonanceFill: {
     backgroundColor: '#a855f7'
   },
+  statHint: {
+    color: '#cbd5f5',
+    fontSize: 12,
+    marginTop: 8
+  },
   statusMetaBlock: {
     marginTop: 12,
     gap: 4
@@ -806,6 +1352,9 @@ const styles = StyleSheet.create({
     color: '#cbd5f5',
     fontSize: 14
   },
+  statusWarning: {
+    color: '#fbbf24'
+  },
   dangerSection: {
     width: '100%',
     marginTop: 24,
@@ -825,5 +1374,16 @@ const styles = StyleSheet.create({
   dangerMeta: {
     color: '#cbd5f5',
     fontSize: 14
+  },
+  directionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6
+  },
+  organizerEntry: {
+    marginTop: 24
+  },
+  inventoryEntry: {
+    marginTop: 12
   }
 });
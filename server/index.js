@@ -0,0 +1,60 @@
+// Reference multiplayer server for a laptop on the venue's network:
+//   npm run server -- [--port 8787] [--scenario scenarios/practice.json]
+// Players connect to ws://<this machine's address>:<port> from the app.
+import { readFileSync } from 'fs';
+import { networkInterfaces } from 'os';
+import { WebSocketServer } from 'ws';
+import { DEFAULT_SERVER_PORT, createSessionServer } from '../src/multiplayer';
+import { DEFAULT_SCENARIO, parseScenarioJson } from '../src/scenario';
+
+const TICK_MILLISECONDS = 1000;
+
+const readOption = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index >= 0 ? process.argv[index + 1] : undefined;
+};
+
+const port = Number(readOption('port') ?? DEFAULT_SERVER_PORT);
+const scenarioPath = readOption('scenario');
+const scenario = scenarioPath
+  ? parseScenarioJson(readFileSync(scenarioPath, 'utf8'))
+  : DEFAULT_SCENARIO;
+
+const server = createSessionServer({ scenario });
+const socketServer = new WebSocketServer({ port });
+
+socketServer.on('connection', (socket) => {
+  const connection = server.connect((text) => socket.send(text));
+  socket.on('message', (data) => connection.receive(String(data)));
+  socket.on('close', () => connection.close());
+  // A malformed frame only ends that player's connection; `close` follows.
+  socket.on('error', (error) => {
+    console.warn(`接続を切断しました: ${error.message}`);
+    socket.terminate();
+  });
+});
+
+socketServer.on('error', (error) => {
+  console.error(
+    error.code === 'EADDRINUSE'
+      ? `ポート ${port} は使用中です。--port で別のポートを指定してください`
+      : `サーバーを起動できません: ${error.message}`
+  );
+  process.exit(1);
+});
+
+let lastTick = Date.now();
+setInterval(() => {
+  const now = Date.now();
+  server.tick((now - lastTick) / 1000);
+  lastTick = now;
+}, TICK_MILLISECONDS);
+
+socketServer.on('listening', () => {
+  const addresses = Object.values(networkInterfaces())
+    .flat()
+    .filter((entry) => entry.family === 'IPv4' && !entry.internal)
+    .map((entry) => `ws://${entry.address}:${port}`);
+  console.log(`「${scenario.name}」でサーバーを起動しました`);
+  console.log(addresses.length > 0 ? addresses.join('\n') : `ws://localhost:${port}`);
+});
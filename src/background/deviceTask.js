@@ -0,0 +1,56 @@
+import { AppState, Platform } from 'react-native';
+import * as Location from 'expo-location';
+import * as Notifications from 'expo-notifications';
+import * as TaskManager from 'expo-task-manager';
+import { appendEvents, flushEvents } from '../eventLog/storage';
+import { findFeedbackProfile } from '../feedback/profiles';
+import { loadFeedbackProfileId, loadSavedSnapshot, saveSnapshot } from '../persistence/storage';
+import { createBackgroundRunner, createBackgroundTask } from './runner';
+
+const NOTIFICATION_CHANNEL_ID = 'game';
+
+export const BACKGROUND_PLAY = createBackgroundTask({
+  taskManager: TaskManager,
+  location: Location,
+  runner: createBackgroundRunner({
+    loadSnapshot: loadSavedSnapshot,
+    saveSnapshot,
+    // Written out at once: the OS may end the task's process at any time.
+    appendEvents: (events) => {
+      appendEvents(events);
+      flushEvents();
+    },
+    notify: ({ title, body }) =>
+      Notifications.scheduleNotificationAsync({
+        content: { title, body },
+        trigger: Platform.OS === 'android' ? { channelId: NOTIFICATION_CHANNEL_ID } : null
+      }),
+    loadFeedbackProfile: async () => findFeedbackProfile(await loadFeedbackProfileId()),
+    // The foreground timer runs the game while the app is open.
+    isAppActive: () => AppState.currentState === 'active'
+  })
+});
+
+BACKGROUND_PLAY.define();
+
+// Background location needs the "always" permission on top of the foreground
+// one; notifications are optional and only their absence is tolerated.
+export const requestBackgroundPlayPermissions = async () => {
+  const foreground = await Location.requestForegroundPermissionsAsync();
+  if (foreground.status !== Location.PermissionStatus.GRANTED) {
+    return false;
+  }
+  const background = await Location.requestBackgroundPermissionsAsync();
+  if (background.status !== Location.PermissionStatus.GRANTED) {
+    return false;
+  }
+  if (Platform.OS === 'android') {
+    // Android 13+ only asks for notification permission once a channel exists.
+    await Notifications.setNotificationChannelAsync(NOTIFICATION_CHANNEL_ID, {
+      name: 'ゲームの通知',
+      importance: Notifications.AndroidImportance.HIGH
+    });
+  }
+  await Notifications.requestPermissionsAsync();
+  return true;
+};
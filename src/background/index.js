@@ -0,0 +1,6 @@
+export {
+  MOVING_HAZARD_WARNING_METERS,
+  NOTIFICATION_KINDS,
+  describeNotifications
+} from './notifications';
+export { BACKGROUND_LOCATION_TASK, createBackgroundRunner, createBackgroundTask } from './runner';
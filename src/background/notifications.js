@@ -0,0 +1,60 @@
+import { HP_THRESHOLDS } from '../eventLog';
+
+export const NOTIFICATION_KINDS = {
+  SAFE_RADIUS_ENTER: 'safeRadiusEnter',
+  HP_THRESHOLD: 'hpThreshold',
+  MOVING_HAZARD_APPROACH: 'movingHazardApproach'
+};
+
+// A moving hazard counts as approaching once it is this close to reaching
+// the player with its safeRadius.
+export const MOVING_HAZARD_WARNING_METERS = 50;
+
+const isApproachDistance = (zone) =>
+  zone.distance <= zone.safeRadius + MOVING_HAZARD_WARNING_METERS;
+
+// Local notifications for one engine step, derived by comparing the state
+// before and after it like describeStep. Every rule fires on crossing a line
+// rather than while past it, so standing still never repeats a notification.
+export const describeNotifications = (previous, next) => {
+  const notifications = [];
+  const previousZones = new Map(previous.zoneSummaries.map((zone) => [zone.id, zone]));
+
+  next.zoneSummaries.forEach((zone) => {
+    const before = previousZones.get(zone.id);
+    if (!before) {
+      return;
+    }
+    if (zone.isInsideSafeRadius && !before.isInsideSafeRadius) {
+      notifications.push({
+        kind: NOTIFICATION_KINDS.SAFE_RADIUS_ENTER,
+        zoneId: zone.id,
+        title: '危険地帯に入りました',
+        body: `${zone.name} の危険範囲内です（-${zone.mitigatedDamage.toFixed(1)} HP/秒）`
+      });
+    } else if (zone.isDynamic && isApproachDistance(zone) && !isApproachDistance(before)) {
+      notifications.push({
+        kind: NOTIFICATION_KINDS.MOVING_HAZARD_APPROACH,
+        zoneId: zone.id,
+        title: '移動危険源が接近中',
+        body: `${zone.name} まで ${Math.round(zone.distance)} m です`
+      });
+    }
+  });
+
+  // Only the lowest threshold crossed in one step is worth a notification.
+  const crossed = HP_THRESHOLDS.filter(
+    (threshold) => previous.stats.hp >= threshold && next.stats.hp < threshold
+  );
+  if (crossed.length > 0) {
+    const threshold = Math.min(...crossed);
+    notifications.push({
+      kind: NOTIFICATION_KINDS.HP_THRESHOLD,
+      threshold,
+      title: 'HP が減っています',
+      body: `HP が ${threshold} を下回りました（残り ${Math.round(next.stats.hp)}）`
+    });
+  }
+
+  return notifications;
+};
@@ -0,0 +1,142 @@
+import { step } from '../engine';
+import { createPositionEvent, describeStep } from '../eventLog';
+import { filterPosition } from '../location/filter';
+import { createSnapshot, restoreSnapshot } from '../persistence';
+import { describeNotifications } from './notifications';
+
+export const BACKGROUND_LOCATION_TASK = 'posigame/background-location';
+
+// Long gaps between fixes are stepped in short chunks at the last known
+// position, like the foreground timer (moving hazards only resolve a few
+// bounces per step).
+const MAX_STEP_SECONDS = 2;
+
+// Runs the game rules on location batches delivered while the app is not in
+// the foreground. Storage, notifications and the app state are passed in so
+// the runner works in Node against stubs. The saved snapshot is the hand-off
+// between the foreground and the task: whichever side saved last owns it.
+// Events go to the same stored log the foreground appends to, before the
+// snapshot is saved, so the app finds them when it resumes.
+export const createBackgroundRunner = ({
+  loadSnapshot,
+  saveSnapshot,
+  appendEvents,
+  notify,
+  loadFeedbackProfile = async () => undefined,
+  isAppActive = () => false
+}) => {
+  let state = null;
+  // `savedAt` of the snapshot this runner wrote last; the game clock of `state`.
+  let clock = null;
+  let filterState = null;
+  let queue = Promise.resolve();
+
+  const resume = async (firstTimestamp) => {
+    const snapshot = await loadSnapshot();
+    if (state && snapshot?.savedAt === clock) {
+      return state;
+    }
+    // The foreground saved in the meantime (or this is a fresh process).
+    filterState = null;
+    const restored = restoreSnapshot(snapshot, firstTimestamp);
+    clock = restored ? Math.max(snapshot.savedAt, firstTimestamp) : null;
+    return restored;
+  };
+
+  const run = async (locations) => {
+    if (isAppActive() || !Array.isArray(locations) || locations.length === 0) {
+      return [];
+    }
+    const positions = [...locations].sort((a, b) => a.timestamp - b.timestamp);
+    let current = await resume(positions[0].timestamp);
+    if (!current) {
+      return [];
+    }
+
+    const feedbackProfile = await loadFeedbackProfile();
+    const notifications = [];
+    const events = [];
+    const advance = (input, dtSeconds, timestamp) => {
+      const next = step(current, input, dtSeconds);
+      notifications.push(...describeNotifications(current, next));
+      events.push(...describeStep(current, next, timestamp, feedbackProfile));
+      current = next;
+    };
+
+    positions.forEach((position) => {
+      const filtered = filterPosition(filterState, position);
+      filterState = filtered.filterState;
+      let remaining = Math.max(position.timestamp - clock, 0) / 1000;
+      let timestamp = clock;
+      clock = Math.max(clock, position.timestamp);
+      while (remaining > MAX_STEP_SECONDS) {
+        timestamp += MAX_STEP_SECONDS * 1000;
+        advance({ coords: current.playerCoords }, MAX_STEP_SECONDS, timestamp);
+        remaining -= MAX_STEP_SECONDS;
+      }
+      events.push(createPositionEvent(position, position.timestamp, filtered.position, 'device'));
+      advance(
+        { coords: filtered.position?.coords ?? current.playerCoords, fix: position },
+        remaining,
+        clock
+      );
+    });
+
+    state = current;
+    try {
+      await appendEvents(events);
+    } catch (error) {
+      // The game goes on without the log rather than losing the snapshot.
+    }
+    await saveSnapshot(createSnapshot(current, clock));
+    for (const notification of notifications) {
+      await notify(notification);
+    }
+    return notifications;
+  };
+
+  // Task invocations can overlap; batches are handled one at a time.
+  const handleLocations = (locations) => {
+    const result = queue.then(() => run(locations));
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  return { handleLocations };
+};
+
+// Wraps the task and location modules (expo-task-manager / expo-location or
+// stubs with the same functions).
+export const createBackgroundTask = ({
+  taskManager,
+  location,
+  runner,
+  taskName = BACKGROUND_LOCATION_TASK
+}) => ({
+  // Must run when the JS bundle loads, also when the OS starts the app
+  // headless just to deliver locations.
+  define: () =>
+    taskManager.defineTask(taskName, async ({ data, error }) => {
+      if (error || !data?.locations) {
+        return;
+      }
+      await runner.handleLocations(data.locations);
+    }),
+  start: () =>
+    location.startLocationUpdatesAsync(taskName, {
+      accuracy: location.Accuracy?.High,
+      distanceInterval: 5,
+      pausesUpdatesAutomatically: false,
+      showsBackgroundLocationIndicator: true,
+      foregroundService: {
+        notificationTitle: 'PosiGame をプレイ中',
+        notificationBody: 'バックグラウンドでゲームを進めています'
+      }
+    }),
+  stop: async () => {
+    if (await location.hasStartedLocationUpdatesAsync(taskName)) {
+      await location.stopLocationUpdatesAsync(taskName);
+    }
+  },
+  isRunning: () => location.hasStartedLocationUpdatesAsync(taskName)
+});
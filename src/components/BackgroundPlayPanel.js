@@ -0,0 +1,59 @@
+import { useState } from 'react';
+import { Button, StyleSheet, Text, View } from 'react-native';
+
+export default function BackgroundPlayPanel({ isEnabled, isAvailable, onToggle }) {
+  const [isChanging, setIsChanging] = useState(false);
+  const [toggleError, setToggleError] = useState(null);
+
+  const handleToggle = async () => {
+    setIsChanging(true);
+    setToggleError(null);
+    try {
+      await onToggle(!isEnabled);
+    } catch (error) {
+      setToggleError(error.message ?? 'バックグラウンドプレイを切り替えられませんでした');
+    } finally {
+      setIsChanging(false);
+    }
+  };
+
+  return (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>バックグラウンドプレイ</Text>
+      <Text style={styles.meta}>
+        画面を消してもゲームを続け、危険地帯への侵入・HP の低下・移動危険源の接近を通知でお知らせします。
+      </Text>
+      {!isAvailable && !isEnabled && (
+        <Text style={styles.meta}>端末の GPS を使っているときだけ利用できます。</Text>
+      )}
+      <Button
+        title={isEnabled ? 'バックグラウンドプレイをやめる' : 'バックグラウンドでも続ける'}
+        onPress={handleToggle}
+        disabled={isChanging || (!isAvailable && !isEnabled)}
+      />
+      {toggleError && <Text style={styles.errorText}>{toggleError}</Text>}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  section: {
+    width: '100%',
+    marginTop: 24,
+    gap: 12
+  },
+  sectionTitle: {
+    color: '#cbd5f5',
+    fontSize: 18,
+    fontWeight: '600'
+  },
+  meta: {
+    color: '#cbd5f5',
+    fontSize: 14
+  },
+  errorText: {
+    color: '#f87171',
+    fontSize: 14,
+    lineHeight: 20
+  }
+});
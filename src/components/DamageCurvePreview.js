@@ -0,0 +1,74 @@
+import { StyleSheet, Text, View } from 'react-native';
+import Svg, { Line, Polyline, Text as SvgText } from 'react-native-svg';
+import { sampleDamageCurve } from '../organizer';
+
+const WIDTH = 280;
+const HEIGHT = 120;
+const PADDING = 24;
+
+const isUsable = (zone) =>
+  ['safeRadius', 'baseDamage', 'scale', 'offset'].every((key) => Number.isFinite(zone[key] ?? 0)) &&
+  zone.safeRadius > 0;
+
+// Damage per second against distance from the source; the dashed line marks
+// safeRadius.
+export default function DamageCurvePreview({ zone }) {
+  if (!isUsable(zone)) {
+    return <Text style={styles.meta}>値を入力するとダメージ曲線を表示します</Text>;
+  }
+
+  const samples = sampleDamageCurve(zone);
+  const maxDistance = samples[samples.length - 1].distance;
+  const peak = Math.max(...samples.map((sample) => sample.damage), 1);
+  const toX = (distance) => PADDING + (distance / maxDistance) * (WIDTH - PADDING * 2);
+  const toY = (damage) => HEIGHT - PADDING - (damage / peak) * (HEIGHT - PADDING * 2);
+  const edgeX = toX((zone.sourceRadius ?? 0) + zone.safeRadius);
+  const edgeDamage = samples.filter((sample) => sample.damage > 0).pop()?.damage ?? 0;
+
+  return (
+    <View style={styles.container}>
+      <Svg width={WIDTH} height={HEIGHT}>
+        <Line
+          x1={PADDING}
+          y1={HEIGHT - PADDING}
+          x2={WIDTH - PADDING}
+          y2={HEIGHT - PADDING}
+          stroke="#475569"
+        />
+        <Line
+          x1={edgeX}
+          y1={PADDING}
+          x2={edgeX}
+          y2={HEIGHT - PADDING}
+          stroke="#64748b"
+          strokeDasharray="4 4"
+        />
+        <Polyline
+          points={samples.map((sample) => `${toX(sample.distance)},${toY(sample.damage)}`).join(' ')}
+          fill="none"
+          stroke="#f87171"
+          strokeWidth={2}
+        />
+        <SvgText x={PADDING} y={PADDING - 8} fill="#cbd5f5" fontSize={10}>
+          {`${peak.toFixed(1)} HP/秒`}
+        </SvgText>
+        <SvgText x={edgeX} y={HEIGHT - 8} fill="#cbd5f5" fontSize={10} textAnchor="middle">
+          {`${Math.round((zone.sourceRadius ?? 0) + zone.safeRadius)} m`}
+        </SvgText>
+      </Svg>
+      <Text style={styles.meta}>
+        中心 -{samples[0].damage.toFixed(1)} HP/秒 ・ 端の手前 -{edgeDamage.toFixed(1)} HP/秒
+      </Text>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    gap: 4
+  },
+  meta: {
+    color: '#cbd5f5',
+    fontSize: 12
+  }
+});
@@ -0,0 +1,18 @@
+import Svg, { Polygon } from 'react-native-svg';
+import { getRelativeBearing } from '../engine';
+
+// Points from the player towards `bearingDegrees`, relative to the direction
+// the player faces (north-up when the heading is unknown).
+export default function DirectionArrow({ bearingDegrees, headingDegrees, size = 20, color = '#f8fafc' }) {
+  const rotation = getRelativeBearing(bearingDegrees, headingDegrees);
+  const half = size / 2;
+  return (
+    <Svg width={size} height={size}>
+      <Polygon
+        points={`${half},${size * 0.05} ${size * 0.85},${size * 0.9} ${half},${size * 0.7} ${size * 0.15},${size * 0.9}`}
+        fill={color}
+        transform={`rotate(${rotation} ${half} ${half})`}
+      />
+    </Svg>
+  );
+}
@@ -0,0 +1,67 @@
+import { useState } from 'react';
+import { Button, StyleSheet, Text, View } from 'react-native';
+
+export default function EventLogPanel({ eventCount, onShare }) {
+  const [isSharing, setIsSharing] = useState(false);
+  const [shareError, setShareError] = useState(null);
+
+  const handleShare = async (format) => {
+    setIsSharing(true);
+    setShareError(null);
+    try {
+      await onShare(format);
+    } catch (error) {
+      setShareError(error.message ?? 'イベントログの書き出しに失敗しました');
+    } finally {
+      setIsSharing(false);
+    }
+  };
+
+  return (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>イベントログ</Text>
+      <Text style={styles.meta}>
+        位置・ゾーンごとのダメージ・ヒーリングゾーンの出入り・バイブ段階・HP の変化を記録しています（{eventCount} 件）
+      </Text>
+      <View style={styles.buttonRow}>
+        <Button
+          title="JSON で共有"
+          onPress={() => handleShare('json')}
+          disabled={isSharing || eventCount === 0}
+        />
+        <Button
+          title="CSV で共有"
+          onPress={() => handleShare('csv')}
+          disabled={isSharing || eventCount === 0}
+        />
+      </View>
+      {shareError && <Text style={styles.errorText}>{shareError}</Text>}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  section: {
+    width: '100%',
+    marginTop: 24,
+    gap: 12
+  },
+  sectionTitle: {
+    color: '#cbd5f5',
+    fontSize: 18,
+    fontWeight: '600'
+  },
+  meta: {
+    color: '#cbd5f5',
+    fontSize: 14
+  },
+  buttonRow: {
+    flexDirection: 'row',
+    gap: 12
+  },
+  errorText: {
+    color: '#f87171',
+    fontSize: 14,
+    lineHeight: 20
+  }
+});
@@ -0,0 +1,80 @@
+import { Pressable, StyleSheet, Text, View } from 'react-native';
+
+const describeStages = (profile) => {
+  const unit = profile.metric === 'nearestHazardMeters' ? ' m 以内' : ' HP/秒〜';
+  const hasAudio = profile.stages.some((stage) => stage.audio);
+  return `${profile.stages.map((stage) => `${stage.threshold}${unit}`).join(' / ')}${hasAudio ? ' ・ 音あり' : ''}`;
+};
+
+export default function FeedbackProfilePicker({ profiles, activeProfileId, onSelect, onPreview }) {
+  return (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>バイブと音</Text>
+      {profiles.map((profile) => {
+        const strongest = profile.stages[profile.stages.length - 1];
+        return (
+          <Pressable
+            key={profile.id}
+            onPress={() => onSelect(profile)}
+            style={[styles.card, activeProfileId === profile.id && styles.cardActive]}
+          >
+            <View style={styles.header}>
+              <Text style={styles.name}>{profile.name}</Text>
+              {strongest?.pattern.length > 0 && (
+                <Pressable onPress={() => onPreview(strongest.pattern)} style={styles.chip}>
+                  <Text style={styles.meta}>試す</Text>
+                </Pressable>
+              )}
+            </View>
+            <Text style={styles.meta}>{profile.description}</Text>
+            <Text style={styles.meta}>{describeStages(profile)}</Text>
+          </Pressable>
+        );
+      })}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  section: {
+    width: '100%',
+    marginTop: 24,
+    gap: 12
+  },
+  sectionTitle: {
+    color: '#cbd5f5',
+    fontSize: 18,
+    fontWeight: '600'
+  },
+  card: {
+    backgroundColor: '#111827',
+    padding: 16,
+    borderRadius: 16,
+    gap: 4,
+    borderWidth: 1,
+    borderColor: 'transparent'
+  },
+  cardActive: {
+    borderColor: '#38bdf8'
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center'
+  },
+  name: {
+    color: '#f8fafc',
+    fontSize: 16,
+    fontWeight: '600'
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 4,
+    borderRadius: 12,
+    backgroundColor: '#1e293b'
+  },
+  meta: {
+    color: '#cbd5f5',
+    fontSize: 14
+  }
+});
@@ -0,0 +1,116 @@
+import { Button, Modal, ScrollView, StyleSheet, Text, View } from 'react-native';
+import { ITEM_STATUS, SECONDARY_STAT_MAX, countEquipped } from '../engine';
+
+const formatBonus = (label, value) => `${label} ${value > 0 ? '+' : ''}${value}`;
+
+const describeItemType = (itemType, statusEffects) =>
+  [
+    itemType.hp > 0 && `HP +${itemType.hp}`,
+    itemType.guard !== 0 && formatBonus('護力', itemType.guard),
+    itemType.resonance !== 0 && formatBonus('響力', itemType.resonance),
+    itemType.applies.length > 0 &&
+      `状態効果: ${itemType.applies.map((id) => statusEffects[id].name).join('・')}`
+  ]
+    .filter(Boolean)
+    .join(' / ');
+
+export default function InventoryModal({
+  visible,
+  items,
+  scenario,
+  canUse,
+  onUse,
+  onEquip,
+  onUnequip,
+  onClose
+}) {
+  const equippedCount = countEquipped(items);
+  const { maxEquipped } = scenario.inventory;
+  const carried = items
+    .map((itemState, index) => ({
+      ...itemState,
+      itemType: scenario.itemTypes[scenario.items[index].type]
+    }))
+    .filter(
+      (entry) => entry.status === ITEM_STATUS.CARRIED || entry.status === ITEM_STATUS.EQUIPPED
+    );
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={onClose}>
+      <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+        <Text style={styles.title}>持ち物</Text>
+        <Text style={styles.meta}>装備 {equippedCount}/{maxEquipped}</Text>
+        <Text style={styles.meta}>
+          消耗品の護力・響力は基本値に加わり、装備品のものは装備している間だけ加わります（最大 {SECONDARY_STAT_MAX}）。
+        </Text>
+        {!canUse && <Text style={styles.warningText}>ダウン中・脱落後は使えません</Text>}
+        {carried.length === 0 && (
+          <Text style={styles.meta}>まだ何も持っていません。レーダーの ◆ に近づくと拾えます。</Text>
+        )}
+        {carried.map((entry) => (
+          <View key={entry.id} style={styles.card}>
+            <Text style={styles.itemName}>
+              {entry.itemType.name}
+              {entry.status === ITEM_STATUS.EQUIPPED ? '（装備中）' : ''}
+            </Text>
+            {entry.itemType.description && (
+              <Text style={styles.meta}>{entry.itemType.description}</Text>
+            )}
+            <Text style={styles.meta}>{describeItemType(entry.itemType, scenario.statusEffects)}</Text>
+            {entry.itemType.kind === 'consumable' && (
+              <Button title="使う" onPress={() => onUse(entry.id)} disabled={!canUse} />
+            )}
+            {entry.itemType.kind === 'equipment' &&
+              (entry.status === ITEM_STATUS.EQUIPPED ? (
+                <Button title="外す" onPress={() => onUnequip(entry.id)} />
+              ) : (
+                <Button
+                  title="装備する"
+                  onPress={() => onEquip(entry.id)}
+                  disabled={equippedCount >= maxEquipped}
+                />
+              ))}
+          </View>
+        ))}
+        <Button title="閉じる" onPress={onClose} />
+      </ScrollView>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#0f172a'
+  },
+  content: {
+    paddingHorizontal: 24,
+    paddingTop: 48,
+    paddingBottom: 48,
+    gap: 12
+  },
+  title: {
+    color: '#f8fafc',
+    fontSize: 24,
+    fontWeight: '700'
+  },
+  card: {
+    backgroundColor: '#111827',
+    padding: 16,
+    borderRadius: 16,
+    gap: 6
+  },
+  itemName: {
+    color: '#fde68a',
+    fontSize: 16,
+    fontWeight: '600'
+  },
+  meta: {
+    color: '#cbd5f5',
+    fontSize: 14
+  },
+  warningText: {
+    color: '#fbbf24',
+    fontSize: 14
+  }
+});
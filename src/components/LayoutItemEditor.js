@@ -0,0 +1,138 @@
+import { useState } from 'react';
+import { Button, StyleSheet, Text, TextInput, View } from 'react-native';
+import { DAMAGE_CURVE_KEYS, LAYOUT_ITEM_KINDS } from '../organizer';
+import DamageCurvePreview from './DamageCurvePreview';
+
+const FIELD_LABELS = {
+  safeRadius: 'safeRadius（m）',
+  baseDamage: 'baseDamage',
+  scale: 'scale',
+  offset: 'offset',
+  maxDamage: 'maxDamage（空欄で上限なし）',
+  radiusMeters: 'radiusMeters（m）',
+  sourceRadius: 'sourceRadius（m）',
+  speedMetersPerSecond: '速さ（m/秒）'
+};
+
+const FIELDS = {
+  [LAYOUT_ITEM_KINDS.DANGER_ZONE]: DAMAGE_CURVE_KEYS,
+  [LAYOUT_ITEM_KINDS.HEALING_ZONE]: ['radiusMeters'],
+  [LAYOUT_ITEM_KINDS.MOVING_HAZARD]: [
+    'radiusMeters',
+    'speedMetersPerSecond',
+    'sourceRadius',
+    ...DAMAGE_CURVE_KEYS
+  ]
+};
+
+const OPTIONAL_FIELDS = ['maxDamage'];
+
+// Keeps what was typed while it is not a number yet (e.g. "0."), and only
+// passes parsed values up.
+const NumberField = ({ label, value, isOptional, error, onChange }) => {
+  const [text, setText] = useState(value == null ? '' : String(value));
+
+  const handleChange = (nextText) => {
+    setText(nextText);
+    const trimmed = nextText.trim();
+    if (trimmed === '' && isOptional) {
+      onChange(null);
+      return;
+    }
+    const parsed = Number(trimmed);
+    if (trimmed !== '' && Number.isFinite(parsed)) {
+      onChange(parsed);
+    }
+  };
+
+  return (
+    <View style={styles.field}>
+      <Text style={styles.label}>{label}</Text>
+      <TextInput
+        style={styles.input}
+        value={text}
+        onChangeText={handleChange}
+        keyboardType="decimal-pad"
+        placeholderTextColor="#64748b"
+      />
+      {error && <Text style={styles.errorText}>{error}</Text>}
+    </View>
+  );
+};
+
+export default function LayoutItemEditor({ kind, item, errors, onChange, onMoveHere, onRemove }) {
+  const errorFor = (key) => errors.find((error) => error.path.endsWith(`.${key}`))?.message;
+  const position = item.coords ?? item.center;
+
+  return (
+    <View style={styles.card}>
+      <TextInput
+        style={[styles.input, styles.nameInput]}
+        value={item.name}
+        onChangeText={(name) => onChange({ name })}
+        placeholder="名前"
+        placeholderTextColor="#64748b"
+      />
+      {position && (
+        <Text style={styles.meta}>
+          {position.latitude.toFixed(6)}, {position.longitude.toFixed(6)}
+        </Text>
+      )}
+      {FIELDS[kind].map((key) => (
+        <NumberField
+          key={key}
+          label={FIELD_LABELS[key]}
+          value={item[key]}
+          isOptional={OPTIONAL_FIELDS.includes(key)}
+          error={errorFor(key)}
+          onChange={(value) => onChange({ [key]: value })}
+        />
+      ))}
+      {kind !== LAYOUT_ITEM_KINDS.HEALING_ZONE && <DamageCurvePreview zone={item} />}
+      <View style={styles.actions}>
+        <Button title="現在地へ移動" onPress={onMoveHere} disabled={!onMoveHere} />
+        <Button title="削除" color="#f87171" onPress={onRemove} />
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  card: {
+    backgroundColor: '#111827',
+    padding: 16,
+    borderRadius: 16,
+    gap: 8
+  },
+  field: {
+    gap: 4
+  },
+  label: {
+    color: '#cbd5f5',
+    fontSize: 12
+  },
+  input: {
+    backgroundColor: '#1e293b',
+    color: '#f8fafc',
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    fontSize: 14
+  },
+  nameInput: {
+    fontSize: 16,
+    fontWeight: '600'
+  },
+  meta: {
+    color: '#cbd5f5',
+    fontSize: 12
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'space-between'
+  },
+  errorText: {
+    color: '#f87171',
+    fontSize: 12
+  }
+});
@@ -0,0 +1,165 @@
+import { useState } from 'react';
+import { Button, Pressable, StyleSheet, Text, TextInput, View } from 'react-native';
+import { fetchTrack } from '../location';
+
+const REPLAY_SPEEDS = [1, 5, 20];
+
+export default function LocationSourcePicker({
+  tracks,
+  activeTrackId,
+  isReplayAllowed,
+  speed,
+  onSelect,
+  onSpeedChange,
+  onImport
+}) {
+  const [url, setUrl] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [importError, setImportError] = useState(null);
+
+  const handleImport = async () => {
+    const trimmed = url.trim();
+    if (!trimmed) {
+      setImportError('GPX / GeoJSON の URL を入力してください');
+      return;
+    }
+
+    setIsLoading(true);
+    setImportError(null);
+    try {
+      const imported = await fetchTrack(trimmed);
+      onImport(imported);
+      setUrl('');
+    } catch (error) {
+      setImportError(error.message ?? 'トラックの読み込みに失敗しました');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>位置ソース</Text>
+      <Pressable
+        onPress={() => onSelect(null)}
+        style={[styles.card, activeTrackId == null && styles.cardActive]}
+      >
+        <Text style={styles.name}>端末の GPS</Text>
+      </Pressable>
+      <Text style={styles.meta}>
+        {isReplayAllowed
+          ? 'リプレイの位置を使ったセッションの結果は無効になります'
+          : 'マルチプレイに接続している間はリプレイを使えません'}
+      </Text>
+      {tracks.map((track) => (
+        <Pressable
+          key={track.id}
+          onPress={() => onSelect(track)}
+          disabled={!isReplayAllowed}
+          style={[
+            styles.card,
+            activeTrackId === track.id && styles.cardActive,
+            !isReplayAllowed && styles.cardDisabled
+          ]}
+        >
+          <Text style={styles.name}>リプレイ: {track.name}</Text>
+          {track.description ? <Text style={styles.meta}>{track.description}</Text> : null}
+        </Pressable>
+      ))}
+      <View style={styles.speedRow}>
+        <Text style={styles.meta}>再生速度</Text>
+        {REPLAY_SPEEDS.map((option) => (
+          <Pressable
+            key={option}
+            onPress={() => onSpeedChange(option)}
+            style={[styles.speedChip, option === speed && styles.cardActive]}
+          >
+            <Text style={styles.meta}>×{option}</Text>
+          </Pressable>
+        ))}
+      </View>
+      <View style={styles.importRow}>
+        <TextInput
+          style={styles.input}
+          value={url}
+          onChangeText={setUrl}
+          placeholder="https://example.com/route.gpx"
+          placeholderTextColor="#64748b"
+          autoCapitalize="none"
+          autoCorrect={false}
+          keyboardType="url"
+        />
+        <Button title={isLoading ? '読込中...' : '読み込み'} onPress={handleImport} disabled={isLoading} />
+      </View>
+      {importError && <Text style={styles.errorText}>{importError}</Text>}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  section: {
+    width: '100%',
+    marginTop: 24,
+    gap: 12
+  },
+  sectionTitle: {
+    color: '#cbd5f5',
+    fontSize: 18,
+    fontWeight: '600'
+  },
+  card: {
+    backgroundColor: '#111827',
+    padding: 16,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: 'transparent',
+    gap: 4
+  },
+  cardActive: {
+    borderColor: '#a855f7'
+  },
+  cardDisabled: {
+    opacity: 0.5
+  },
+  name: {
+    color: '#f8fafc',
+    fontSize: 16,
+    fontWeight: '600'
+  },
+  meta: {
+    color: '#cbd5f5',
+    fontSize: 14
+  },
+  speedRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8
+  },
+  speedChip: {
+    backgroundColor: '#111827',
+    borderRadius: 999,
+    borderWidth: 1,
+    borderColor: 'transparent',
+    paddingHorizontal: 12,
+    paddingVertical: 4
+  },
+  importRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8
+  },
+  input: {
+    flex: 1,
+    backgroundColor: '#1e293b',
+    color: '#f8fafc',
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    fontSize: 14
+  },
+  errorText: {
+    color: '#f87171',
+    fontSize: 14,
+    lineHeight: 20
+  }
+});
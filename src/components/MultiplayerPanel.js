@@ -0,0 +1,191 @@
+import { useState } from 'react';
+import { Button, StyleSheet, Text, TextInput, View } from 'react-native';
+import { DEFAULT_SERVER_PORT } from '../multiplayer';
+import DirectionArrow from './DirectionArrow';
+import { STATUS_LABELS, formatDistance, formatHeading } from './format';
+
+export const MULTIPLAYER_STATUS = {
+  DISCONNECTED: 'disconnected',
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected'
+};
+
+const STATUS_TEXT = {
+  [MULTIPLAYER_STATUS.DISCONNECTED]: '未接続',
+  [MULTIPLAYER_STATUS.CONNECTING]: '接続中...',
+  [MULTIPLAYER_STATUS.CONNECTED]: '接続済み'
+};
+
+export default function MultiplayerPanel({
+  status,
+  sessionId,
+  teammates,
+  standings,
+  playerId,
+  headingDegrees,
+  error,
+  onConnect,
+  onDisconnect
+}) {
+  const [url, setUrl] = useState('');
+  const [name, setName] = useState('');
+  const [session, setSession] = useState('');
+  const isDisconnected = status === MULTIPLAYER_STATUS.DISCONNECTED;
+  const canConnect = url.trim() !== '' && name.trim() !== '' && session.trim() !== '';
+
+  const handleConnect = () => {
+    onConnect({ url: url.trim(), name: name.trim(), sessionId: session.trim() });
+  };
+
+  return (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>マルチプレイ</Text>
+      <Text style={styles.meta}>
+        {STATUS_TEXT[status]}
+        {status === MULTIPLAYER_STATUS.CONNECTED ? `（セッション: ${sessionId}）` : ''}
+      </Text>
+      {isDisconnected ? (
+        <>
+          <TextInput
+            style={styles.input}
+            value={url}
+            onChangeText={setUrl}
+            autoCapitalize="none"
+            autoCorrect={false}
+            keyboardType="url"
+            placeholder={`ws://192.168.0.10:${DEFAULT_SERVER_PORT}`}
+            placeholderTextColor="#64748b"
+          />
+          <TextInput
+            style={styles.input}
+            value={name}
+            onChangeText={setName}
+            placeholder="表示名"
+            placeholderTextColor="#64748b"
+          />
+          <TextInput
+            style={styles.input}
+            value={session}
+            onChangeText={setSession}
+            autoCapitalize="none"
+            autoCorrect={false}
+            placeholder="セッション名（同じ名前の人と一緒に遊びます）"
+            placeholderTextColor="#64748b"
+          />
+          <Button title="接続" onPress={handleConnect} disabled={!canConnect} />
+        </>
+      ) : (
+        <Button title="切断" onPress={onDisconnect} />
+      )}
+      {error && <Text style={styles.errorText}>{error}</Text>}
+      {standings.length > 1 && (
+        <View style={styles.standings}>
+          <Text style={styles.meta}>順位（目標の得点）</Text>
+          {standings.map((player) => (
+            <Text
+              key={player.id}
+              style={[
+                styles.standing,
+                player.id === playerId && styles.ownStanding,
+                player.rank == null && styles.unranked
+              ]}
+            >
+              {player.rank != null ? `${player.rank} 位` : '順位外'} {player.name}
+              {player.id === playerId ? '（あなた）' : ''}・{player.score} 点
+              {player.rank == null ? '（結果無効）' : ''}
+            </Text>
+          ))}
+        </View>
+      )}
+      {status === MULTIPLAYER_STATUS.CONNECTED && teammates.length === 0 && (
+        <Text style={styles.meta}>ほかの参加者を待っています</Text>
+      )}
+      {teammates.map((teammate) => (
+        <View key={teammate.id} style={styles.teammateCard}>
+          <Text style={styles.teammateName}>
+            {teammate.name}・
+            {teammate.isConnected ? STATUS_LABELS[teammate.status] ?? teammate.status : '切断中'}
+          </Text>
+          <Text style={styles.meta}>
+            HP: {teammate.hp != null ? teammate.hp.toFixed(0) : '―'} ・ 得点: {teammate.score}
+          </Text>
+          {teammate.distance != null ? (
+            <View style={styles.directionRow}>
+              <DirectionArrow
+                bearingDegrees={teammate.bearingDegrees}
+                headingDegrees={headingDegrees}
+                size={16}
+                color="#93c5fd"
+              />
+              <Text style={styles.meta}>
+                {formatDistance(teammate.distance)}・{formatHeading(teammate.bearingDegrees)}
+              </Text>
+            </View>
+          ) : (
+            <Text style={styles.meta}>位置不明</Text>
+          )}
+        </View>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  section: {
+    width: '100%',
+    marginTop: 24,
+    gap: 12
+  },
+  sectionTitle: {
+    color: '#cbd5f5',
+    fontSize: 18,
+    fontWeight: '600'
+  },
+  meta: {
+    color: '#cbd5f5',
+    fontSize: 14
+  },
+  input: {
+    backgroundColor: '#1e293b',
+    color: '#f8fafc',
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    fontSize: 14
+  },
+  errorText: {
+    color: '#f87171',
+    fontSize: 14,
+    lineHeight: 20
+  },
+  standings: {
+    gap: 4
+  },
+  standing: {
+    color: '#cbd5f5',
+    fontSize: 14
+  },
+  ownStanding: {
+    color: '#f8fafc',
+    fontWeight: '600'
+  },
+  unranked: {
+    color: '#94a3b8'
+  },
+  teammateCard: {
+    backgroundColor: '#1e293b',
+    borderRadius: 12,
+    padding: 12,
+    gap: 4
+  },
+  teammateName: {
+    color: '#bfdbfe',
+    fontSize: 16,
+    fontWeight: '600'
+  },
+  directionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8
+  }
+});
@@ -0,0 +1,116 @@
+import { StyleSheet, Text, View } from 'react-native';
+import { OBJECTIVE_STATUS } from '../engine';
+import DirectionArrow from './DirectionArrow';
+import { OBJECTIVE_STATUS_LABELS, formatDistance, formatDuration, formatHeading } from './format';
+
+const describeGoal = (progress, objective) => {
+  switch (objective.type) {
+    case 'checkpoints': {
+      const { checkpoints } = objective;
+      const number = Math.min(progress.checkpointIndex + 1, checkpoints.length);
+      const label = `チェックポイント ${number}/${checkpoints.length}`;
+      const checkpoint = checkpoints[progress.checkpointIndex];
+      return progress.status === OBJECTIVE_STATUS.ACTIVE && checkpoint.name
+        ? `${label}（${checkpoint.name}）`
+        : label;
+    }
+    case 'capture': {
+      const held = `確保 ${Math.floor(progress.heldSeconds)}/${objective.holdSeconds} 秒`;
+      return progress.isInside ? `${held}（範囲内）` : held;
+    }
+    default:
+      return `HP ${objective.minHp} 以上で到達`;
+  }
+};
+
+export default function ObjectiveList({
+  objectives,
+  definitions,
+  score,
+  maxScore,
+  elapsedSeconds,
+  headingDegrees
+}) {
+  if (objectives.length === 0) {
+    return null;
+  }
+
+  return (
+    <View style={styles.block}>
+      <Text style={styles.title}>
+        目標（得点 {score}/{maxScore}）
+      </Text>
+      {objectives.map((progress, index) => {
+        const objective = definitions[index];
+        const isActive = progress.status === OBJECTIVE_STATUS.ACTIVE;
+        return (
+          <View key={progress.id} style={styles.row}>
+            <Text
+              style={[
+                styles.name,
+                progress.status === OBJECTIVE_STATUS.COMPLETED && styles.completed,
+                progress.status === OBJECTIVE_STATUS.FAILED && styles.failed
+              ]}
+            >
+              {objective.name}（{objective.score} 点・{OBJECTIVE_STATUS_LABELS[progress.status]}）
+            </Text>
+            <Text style={styles.meta}>
+              {describeGoal(progress, objective)}
+              {isActive && objective.timeLimitSeconds != null
+                ? ` ・ 残り ${formatDuration(objective.timeLimitSeconds - elapsedSeconds)}`
+                : ''}
+            </Text>
+            {isActive && progress.distance != null && (
+              <View style={styles.directionRow}>
+                <DirectionArrow
+                  bearingDegrees={progress.bearingDegrees}
+                  headingDegrees={headingDegrees}
+                  size={14}
+                  color="#c4b5fd"
+                />
+                <Text style={styles.meta}>
+                  {formatDistance(progress.distance)} ・ {formatHeading(progress.bearingDegrees)}
+                </Text>
+              </View>
+            )}
+          </View>
+        );
+      })}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  block: {
+    marginTop: 12,
+    gap: 6
+  },
+  title: {
+    color: '#cbd5f5',
+    fontSize: 14,
+    fontWeight: '600'
+  },
+  row: {
+    gap: 2
+  },
+  name: {
+    color: '#ddd6fe',
+    fontSize: 14,
+    fontWeight: '600'
+  },
+  completed: {
+    color: '#86efac'
+  },
+  failed: {
+    color: '#94a3b8'
+  },
+  meta: {
+    color: '#cbd5f5',
+    fontSize: 12
+  },
+  directionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6
+  }
+});
@@ -0,0 +1,302 @@
+import { useEffect, useState } from 'react';
+import { Button, Modal, ScrollView, StyleSheet, Text, TextInput, View } from 'react-native';
+import {
+  LAYOUT_ITEM_KINDS,
+  copyToLayout,
+  createLayout,
+  placeItem,
+  removeItem,
+  updateItem,
+  validateLayout
+} from '../organizer';
+import { MIN_PASSCODE_LENGTH, createPasscodeRecord, verifyPasscode } from '../organizer/passcode';
+import { loadOrganizerPasscode, saveOrganizerPasscode } from '../persistence/storage';
+import LayoutItemEditor from './LayoutItemEditor';
+
+const SECTIONS = [
+  { kind: LAYOUT_ITEM_KINDS.DANGER_ZONE, title: '危険源', placeLabel: 'ここに危険源を置く' },
+  {
+    kind: LAYOUT_ITEM_KINDS.HEALING_ZONE,
+    title: 'ヒーリングゾーン',
+    placeLabel: 'ここにヒーリングゾーンを置く'
+  },
+  {
+    kind: LAYOUT_ITEM_KINDS.MOVING_HAZARD,
+    title: '移動危険源の範囲',
+    placeLabel: 'ここを移動危険源の範囲にする'
+  }
+];
+
+// First use sets the passcode; afterwards it has to be entered every time the
+// organiser mode is opened.
+const PasscodeGate = ({ onUnlock }) => {
+  const [record, setRecord] = useState(undefined);
+  const [passcode, setPasscode] = useState('');
+  const [gateError, setGateError] = useState(null);
+
+  useEffect(() => {
+    loadOrganizerPasscode()
+      .then(setRecord)
+      .catch(() => setRecord(null));
+  }, []);
+
+  const handleSubmit = async () => {
+    setGateError(null);
+    if (record) {
+      if (await verifyPasscode(record, passcode)) {
+        onUnlock();
+      } else {
+        setGateError('パスコードが違います');
+      }
+      return;
+    }
+    if (passcode.length < MIN_PASSCODE_LENGTH) {
+      setGateError(`${MIN_PASSCODE_LENGTH} 文字以上で設定してください`);
+      return;
+    }
+    try {
+      await saveOrganizerPasscode(await createPasscodeRecord(passcode));
+      onUnlock();
+    } catch (error) {
+      setGateError(error.message ?? 'パスコードを保存できませんでした');
+    }
+  };
+
+  if (record === undefined) {
+    return <Text style={styles.meta}>読み込み中...</Text>;
+  }
+
+  return (
+    <View style={styles.section}>
+      <Text style={styles.meta}>
+        {record
+          ? '主催者パスコードを入力してください。'
+          : 'この端末で初めて主催者モードを使います。パスコードを設定してください。'}
+      </Text>
+      <TextInput
+        style={styles.input}
+        value={passcode}
+        onChangeText={setPasscode}
+        secureTextEntry
+        autoCapitalize="none"
+        autoCorrect={false}
+        placeholder="パスコード"
+        placeholderTextColor="#64748b"
+      />
+      <Button title={record ? '解除' : '設定して開く'} onPress={handleSubmit} />
+      {gateError && <Text style={styles.errorText}>{gateError}</Text>}
+    </View>
+  );
+};
+
+export default function OrganizerModal({
+  visible,
+  currentCoords,
+  activeScenario,
+  layouts,
+  onSave,
+  onDelete,
+  onPlay,
+  onClose
+}) {
+  const [isUnlocked, setIsUnlocked] = useState(false);
+  const [layout, setLayout] = useState(null);
+  const [saveError, setSaveError] = useState(null);
+  const [savedMessage, setSavedMessage] = useState(null);
+
+  const close = () => {
+    setIsUnlocked(false);
+    setLayout(null);
+    setSaveError(null);
+    setSavedMessage(null);
+    onClose();
+  };
+
+  const editLayout = (nextLayout) => {
+    setLayout(nextLayout);
+    setSavedMessage(null);
+  };
+
+  const errors = layout ? validateLayout(layout) : [];
+
+  const handleSave = async () => {
+    setSaveError(null);
+    try {
+      await onSave(layout);
+      setSavedMessage(`「${layout.name}」を保存しました`);
+    } catch (error) {
+      setSaveError(error.message ?? 'レイアウトを保存できませんでした');
+    }
+  };
+
+  const renderLayoutList = () => (
+    <View style={styles.section}>
+      <Button
+        title="新しいレイアウト"
+        onPress={() => editLayout(createLayout('新しい会場', Date.now()))}
+      />
+      <Button
+        title={`プレイ中のシナリオ（${activeScenario.name}）を元に作る`}
+        onPress={() => editLayout(copyToLayout(activeScenario, Date.now()))}
+      />
+      <Text style={styles.sectionTitle}>保存済みのレイアウト</Text>
+      {layouts.length === 0 && <Text style={styles.meta}>まだありません</Text>}
+      {layouts.map((saved) => (
+        <View key={saved.id} style={styles.card}>
+          <Text style={styles.name}>{saved.name}</Text>
+          <Text style={styles.meta}>
+            危険源 {saved.dangerZones.length} ・ 移動危険源 {saved.movingHazards.length} ・
+            ヒーリングゾーン {saved.healingZones.length}
+          </Text>
+          <View style={styles.actions}>
+            <Button title="編集" onPress={() => editLayout(saved)} />
+            <Button title="削除" color="#f87171" onPress={() => onDelete(saved.id)} />
+          </View>
+        </View>
+      ))}
+    </View>
+  );
+
+  const renderEditor = () => (
+    <View style={styles.section}>
+      <TextInput
+        style={[styles.input, styles.layoutName]}
+        value={layout.name}
+        onChangeText={(name) => editLayout({ ...layout, name })}
+        placeholder="会場名"
+        placeholderTextColor="#64748b"
+      />
+      {!currentCoords && (
+        <Text style={styles.warningText}>現在地を取得するまで配置できません</Text>
+      )}
+      {SECTIONS.map(({ kind, title, placeLabel }) => (
+        <View key={kind} style={styles.section}>
+          <Text style={styles.sectionTitle}>{title}</Text>
+          {layout[kind].map((item, index) => (
+            <LayoutItemEditor
+              key={item.id}
+              kind={kind}
+              item={item}
+              errors={errors.filter((error) => error.path.startsWith(`${kind}[${index}]`))}
+              onChange={(changes) => editLayout(updateItem(layout, kind, item.id, changes))}
+              onMoveHere={
+                currentCoords && !item.shape && !item.motion?.waypoints
+                  ? () =>
+                      editLayout(
+                        updateItem(layout, kind, item.id, {
+                          [kind === LAYOUT_ITEM_KINDS.DANGER_ZONE ? 'coords' : 'center']: {
+                            latitude: currentCoords.latitude,
+                            longitude: currentCoords.longitude
+                          }
+                        })
+                      )
+                  : null
+              }
+              onRemove={() => editLayout(removeItem(layout, kind, item.id))}
+            />
+          ))}
+          <Button
+            title={placeLabel}
+            onPress={() => editLayout(placeItem(layout, kind, currentCoords))}
+            disabled={!currentCoords}
+          />
+        </View>
+      ))}
+      {errors.length > 0 && (
+        <Text style={styles.errorText}>
+          保存するには {errors.length} 件の問題を直してください（{errors[0].path}: {errors[0].message}）
+        </Text>
+      )}
+      <Button title="レイアウトを保存" onPress={handleSave} disabled={errors.length > 0} />
+      {saveError && <Text style={styles.errorText}>{saveError}</Text>}
+      {savedMessage && (
+        <>
+          <Text style={styles.meta}>{savedMessage}</Text>
+          <Button title="このレイアウトで遊ぶ" onPress={() => onPlay(layout)} />
+        </>
+      )}
+      <Button title="一覧に戻る" onPress={() => editLayout(null)} />
+    </View>
+  );
+
+  let content = <PasscodeGate onUnlock={() => setIsUnlocked(true)} />;
+  if (isUnlocked) {
+    content = layout ? renderEditor() : renderLayoutList();
+  }
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={close}>
+      <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+        <Text style={styles.title}>主催者モード</Text>
+        {content}
+        <Button title="閉じる" onPress={close} />
+      </ScrollView>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#0f172a'
+  },
+  content: {
+    paddingHorizontal: 24,
+    paddingTop: 48,
+    paddingBottom: 48,
+    gap: 16
+  },
+  title: {
+    color: '#f8fafc',
+    fontSize: 22,
+    fontWeight: '600'
+  },
+  section: {
+    gap: 12
+  },
+  sectionTitle: {
+    color: '#cbd5f5',
+    fontSize: 18,
+    fontWeight: '600'
+  },
+  card: {
+    backgroundColor: '#111827',
+    padding: 16,
+    borderRadius: 16,
+    gap: 4
+  },
+  name: {
+    color: '#f8fafc',
+    fontSize: 16,
+    fontWeight: '600'
+  },
+  meta: {
+    color: '#cbd5f5',
+    fontSize: 14
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'space-between'
+  },
+  input: {
+    backgroundColor: '#1e293b',
+    color: '#f8fafc',
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    fontSize: 14
+  },
+  layoutName: {
+    fontSize: 18,
+    fontWeight: '600'
+  },
+  warningText: {
+    color: '#fbbf24',
+    fontSize: 14
+  },
+  errorText: {
+    color: '#f87171',
+    fontSize: 14,
+    lineHeight: 20
+  }
+});
@@ -0,0 +1,92 @@
+import { StyleSheet, Text, View } from 'react-native';
+import { PLAYER_STATUS, getLivesRemaining } from '../engine';
+import { STATUS_LABELS, formatDistance } from './format';
+
+const describeStatus = (lifecycle, respawnConfig, nearestHealingZone) => {
+  switch (lifecycle.status) {
+    case PLAYER_STATUS.DOWNED: {
+      const lines = [];
+      if (respawnConfig.rule === 'inPlace') {
+        const remaining = Math.max(respawnConfig.waitSeconds - lifecycle.downedSeconds, 0);
+        lines.push(`その場で待機してください（復活まで ${Math.ceil(remaining)} 秒）`);
+      } else if (nearestHealingZone) {
+        lines.push(
+          `ヒーリングゾーン「${nearestHealingZone.name}」へ向かってください（${formatDistance(nearestHealingZone.distance)}）`
+        );
+      } else {
+        lines.push('ヒーリングゾーンへ向かってください');
+      }
+      if (respawnConfig.downedTimeoutSeconds != null) {
+        const remaining = Math.max(respawnConfig.downedTimeoutSeconds - lifecycle.downedSeconds, 0);
+        lines.push(`脱落まで残り ${Math.ceil(remaining)} 秒`);
+      }
+      return lines;
+    }
+    case PLAYER_STATUS.RESPAWNING: {
+      const remaining = Math.max(respawnConfig.waitSeconds - lifecycle.respawnSeconds, 0);
+      return [`ゾーン内に留まってください（復活まで ${Math.ceil(remaining)} 秒）`];
+    }
+    case PLAYER_STATUS.ELIMINATED:
+      return ['残機がなくなりました。ゲームから脱落しています。'];
+    default:
+      return [];
+  }
+};
+
+export default function PlayerStatusBanner({ lifecycle, respawnConfig, nearestHealingZone }) {
+  const livesRemaining = getLivesRemaining(lifecycle, respawnConfig);
+  const lines = describeStatus(lifecycle, respawnConfig, nearestHealingZone);
+
+  return (
+    <View style={[styles.banner, styles[lifecycle.status]]}>
+      <View style={styles.header}>
+        <Text style={styles.status}>{STATUS_LABELS[lifecycle.status]}</Text>
+        <Text style={styles.meta}>
+          残機: {livesRemaining == null ? '無制限' : livesRemaining}
+          {' ・ '}
+          復活回数: {lifecycle.respawnsUsed}
+        </Text>
+      </View>
+      {lines.map((line) => (
+        <Text key={line} style={styles.meta}>
+          {line}
+        </Text>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  banner: {
+    padding: 16,
+    borderRadius: 16,
+    marginBottom: 16,
+    gap: 4
+  },
+  [PLAYER_STATUS.ALIVE]: {
+    backgroundColor: '#14532d'
+  },
+  [PLAYER_STATUS.DOWNED]: {
+    backgroundColor: '#7f1d1d'
+  },
+  [PLAYER_STATUS.RESPAWNING]: {
+    backgroundColor: '#713f12'
+  },
+  [PLAYER_STATUS.ELIMINATED]: {
+    backgroundColor: '#27272a'
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center'
+  },
+  status: {
+    color: '#f8fafc',
+    fontSize: 18,
+    fontWeight: '600'
+  },
+  meta: {
+    color: '#e2e8f0',
+    fontSize: 14
+  }
+});
@@ -0,0 +1,378 @@
+import { useState } from 'react';
+import { Pressable, StyleSheet, Text, View } from 'react-native';
+import Svg, {
+  Circle,
+  ClipPath,
+  Defs,
+  G,
+  Line,
+  Path,
+  Polygon,
+  Polyline,
+  Text as SvgText
+} from 'react-native-svg';
+import { coordsToOffsets, offsetsToCoords, toRadians } from '../engine';
+
+const RADAR_SIZE = 280;
+const RADAR_CENTER = RADAR_SIZE / 2;
+const RADAR_RANGES_METERS = [100, 250, 500, 1000];
+
+// Heading-up projection: the direction the player faces is drawn at the top.
+const createProjector = (origin, headingDegrees, rangeMeters) => {
+  const pixelsPerMeter = RADAR_CENTER / rangeMeters;
+  const rotation = toRadians(headingDegrees ?? 0);
+  const cos = Math.cos(rotation);
+  const sin = Math.sin(rotation);
+
+  return {
+    pixelsPerMeter,
+    project: (coords) => {
+      const { x: east, y: north } = coordsToOffsets(origin, coords);
+      return {
+        x: RADAR_CENTER + (east * cos - north * sin) * pixelsPerMeter,
+        y: RADAR_CENTER - (east * sin + north * cos) * pixelsPerMeter
+      };
+    }
+  };
+};
+
+const positionToCoords = ([longitude, latitude]) => ({ latitude, longitude });
+
+const ShapeOverlay = ({ shape, project, pixelsPerMeter, color, fillOpacity }) => {
+  const toPoints = (positions) =>
+    positions.map((position) => project(positionToCoords(position)));
+
+  if (shape.type === 'LineString') {
+    return (
+      <Polyline
+        points={toPoints(shape.coordinates).map((point) => `${point.x},${point.y}`).join(' ')}
+        fill="none"
+        stroke={color}
+        strokeOpacity={fillOpacity * 2}
+        strokeWidth={Math.max(shape.bufferMeters * 2 * pixelsPerMeter, 2)}
+        strokeLinecap="round"
+        strokeLinejoin="round"
+      />
+    );
+  }
+
+  const path = shape.coordinates
+    .map((ring) => {
+      const [first, ...rest] = toPoints(ring);
+      return `M${first.x},${first.y} ${rest.map((point) => `L${point.x},${point.y}`).join(' ')} Z`;
+    })
+    .join(' ');
+  return <Path d={path} fill={color} fillOpacity={fillOpacity} fillRule="evenodd" stroke={color} />;
+};
+
+export default function Radar({
+  playerCoords,
+  headingDegrees,
+  scenario,
+  movingHazards,
+  zoneSummaries,
+  playArea,
+  navigationTarget,
+  teammates = [],
+  objectiveTargets = [],
+  placedItems = []
+}) {
+  const [rangeIndex, setRangeIndex] = useState(1);
+  const summariesById = new Map(zoneSummaries.map((summary) => [summary.id, summary]));
+  // Before the first evaluation there are no summaries; show everything then.
+  const isDetected = (id) => summariesById.get(id)?.isDetected ?? zoneSummaries.length === 0;
+  const rangeMeters = RADAR_RANGES_METERS[rangeIndex];
+  const { project, pixelsPerMeter } = createProjector(playerCoords, headingDegrees, rangeMeters);
+  const north = project(offsetsToCoords(playerCoords, 0, rangeMeters * 0.9));
+
+  const cycleRange = () => {
+    setRangeIndex((prev) => (prev + 1) % RADAR_RANGES_METERS.length);
+  };
+
+  return (
+    <View style={styles.section}>
+      <View style={styles.header}>
+        <Text style={styles.sectionTitle}>レーダー</Text>
+        <Pressable onPress={cycleRange} style={styles.rangeChip}>
+          <Text style={styles.meta}>半径 {rangeMeters} m</Text>
+        </Pressable>
+      </View>
+      <View style={styles.radarFrame}>
+        <Svg width={RADAR_SIZE} height={RADAR_SIZE}>
+          <Defs>
+            <ClipPath id="radar-clip">
+              <Circle cx={RADAR_CENTER} cy={RADAR_CENTER} r={RADAR_CENTER - 1} />
+            </ClipPath>
+          </Defs>
+          <Circle cx={RADAR_CENTER} cy={RADAR_CENTER} r={RADAR_CENTER - 1} fill="#020617" stroke="#334155" />
+          <Circle cx={RADAR_CENTER} cy={RADAR_CENTER} r={RADAR_CENTER / 2} fill="none" stroke="#1e293b" />
+          <Line x1={RADAR_CENTER} y1={0} x2={RADAR_CENTER} y2={RADAR_SIZE} stroke="#1e293b" />
+          <Line x1={0} y1={RADAR_CENTER} x2={RADAR_SIZE} y2={RADAR_CENTER} stroke="#1e293b" />
+
+          <G clipPath="url(#radar-clip)">
+            {playArea && (
+              <Circle
+                cx={project(playArea.center).x}
+                cy={project(playArea.center).y}
+                r={playArea.radiusMeters * pixelsPerMeter}
+                fill="none"
+                stroke="#38bdf8"
+                strokeWidth={2}
+              />
+            )}
+            {playArea?.nextCenter && (
+              <Circle
+                cx={project(playArea.nextCenter).x}
+                cy={project(playArea.nextCenter).y}
+                r={playArea.nextRadiusMeters * pixelsPerMeter}
+                fill="none"
+                stroke="#f8fafc"
+                strokeDasharray="4 6"
+                strokeOpacity={0.7}
+              />
+            )}
+
+            {scenario.movingHazards.map((config) => {
+              if (config.motion.type === 'patrol') {
+                const route = config.motion.waypoints.map(project);
+                return (
+                  <Polygon
+                    key={`route-${config.id}`}
+                    points={route.map((point) => `${point.x},${point.y}`).join(' ')}
+                    fill="none"
+                    stroke="#f59e0b"
+                    strokeDasharray="6 6"
+                    strokeOpacity={0.6}
+                  />
+                );
+              }
+              if (config.radiusMeters == null) {
+                return null;
+              }
+              const center = project(config.center);
+              return (
+                <Circle
+                  key={`arena-${config.id}`}
+                  cx={center.x}
+                  cy={center.y}
+                  r={config.radiusMeters * pixelsPerMeter}
+                  fill="none"
+                  stroke="#f59e0b"
+                  strokeDasharray="6 6"
+                  strokeOpacity={0.6}
+                />
+              );
+            })}
+
+            {scenario.healingZones.map((zone) => {
+              const center = project(zone.center);
+              return (
+                <G key={`healing-${zone.id}`}>
+                  {zone.shape ? (
+                    <ShapeOverlay
+                      shape={zone.shape}
+                      project={project}
+                      pixelsPerMeter={pixelsPerMeter}
+                      color="#22c55e"
+                      fillOpacity={0.2}
+                    />
+                  ) : (
+                    <Circle
+                      cx={center.x}
+                      cy={center.y}
+                      r={zone.radiusMeters * pixelsPerMeter}
+                      fill="#22c55e"
+                      fillOpacity={0.2}
+                      stroke="#22c55e"
+                    />
+                  )}
+                  <SvgText x={center.x} y={center.y} fill="#bbf7d0" fontSize={10} textAnchor="middle">
+                    {zone.name}
+                  </SvgText>
+                </G>
+              );
+            })}
+
+            {scenario.dangerZones.filter((zone) => isDetected(zone.id)).map((zone) => {
+              const center = project(zone.coords);
+              const summary = summariesById.get(zone.id);
+              // Scheduled zones that are not active yet are drawn faded.
+              return (
+                <G key={`danger-${zone.id}`} opacity={summary?.isActive === false ? 0.35 : 1}>
+                  {zone.shape ? (
+                    <ShapeOverlay
+                      shape={zone.shape}
+                      project={project}
+                      pixelsPerMeter={pixelsPerMeter}
+                      color="#ef4444"
+                      fillOpacity={0.3}
+                    />
+                  ) : (
+                    <Circle
+                      cx={center.x}
+                      cy={center.y}
+                      r={(summary?.safeRadius ?? zone.safeRadius) * pixelsPerMeter}
+                      fill="#ef4444"
+                      fillOpacity={0.15}
+                      stroke="#ef4444"
+                    />
+                  )}
+                  <Circle cx={center.x} cy={center.y} r={3} fill="#f87171" />
+                  <SvgText x={center.x} y={center.y - 6} fill="#fecaca" fontSize={10} textAnchor="middle">
+                    {zone.name}
+                  </SvgText>
+                </G>
+              );
+            })}
+
+            {movingHazards.map((hazardState, index) => {
+              if (!isDetected(hazardState.id)) {
+                return null;
+              }
+              const config = scenario.movingHazards[index];
+              const position = project(hazardState.coords);
+              const summary = summariesById.get(hazardState.id);
+              const safeRadius = summary?.safeRadius ?? config.safeRadius;
+              const sensedHeading = summary?.headingDegrees;
+              const arrowTip =
+                sensedHeading != null
+                  ? project(
+                      offsetsToCoords(
+                        hazardState.coords,
+                        hazardState.direction.x * safeRadius,
+                        hazardState.direction.y * safeRadius
+                      )
+                    )
+                  : null;
+              return (
+                <G key={`moving-${hazardState.id}`} opacity={summary?.isActive === false ? 0.35 : 1}>
+                  <Circle
+                    cx={position.x}
+                    cy={position.y}
+                    r={safeRadius * pixelsPerMeter}
+                    fill="#f59e0b"
+                    fillOpacity={0.15}
+                    stroke="#f59e0b"
+                  />
+                  <Circle cx={position.x} cy={position.y} r={4} fill="#fbbf24" />
+                  {arrowTip && (
+                    <Line
+                      x1={position.x}
+                      y1={position.y}
+                      x2={arrowTip.x}
+                      y2={arrowTip.y}
+                      stroke="#fbbf24"
+                      strokeWidth={2}
+                    />
+                  )}
+                </G>
+              );
+            })}
+            {objectiveTargets.map((target) => {
+              const center = project(target.coords);
+              return (
+                <G key={`objective-${target.id}`}>
+                  <Circle
+                    cx={center.x}
+                    cy={center.y}
+                    r={target.radiusMeters * pixelsPerMeter}
+                    fill="#a78bfa"
+                    fillOpacity={0.15}
+                    stroke="#a78bfa"
+                    strokeDasharray="4 3"
+                  />
+                  <SvgText x={center.x} y={center.y - 6} fill="#ddd6fe" fontSize={10} textAnchor="middle">
+                    {target.name}
+                  </SvgText>
+                </G>
+              );
+            })}
+            {placedItems.map((item) => {
+              const { x, y } = project(item.coords);
+              return (
+                <G key={`item-${item.id}`}>
+                  <Circle
+                    cx={x}
+                    cy={y}
+                    r={item.pickupRadiusMeters * pixelsPerMeter}
+                    fill="#facc15"
+                    fillOpacity={0.1}
+                  />
+                  <Polygon points={`${x},${y - 5} ${x + 4},${y} ${x},${y + 5} ${x - 4},${y}`} fill="#facc15" />
+                </G>
+              );
+            })}
+            {teammates
+              .filter((teammate) => teammate.coords)
+              .map((teammate) => {
+                const position = project(teammate.coords);
+                return (
+                  <G key={`teammate-${teammate.id}`}>
+                    <Circle cx={position.x} cy={position.y} r={4} fill="#93c5fd" />
+                    <SvgText x={position.x} y={position.y - 6} fill="#bfdbfe" fontSize={10} textAnchor="middle">
+                      {teammate.name}
+                    </SvgText>
+                  </G>
+                );
+              })}
+            {navigationTarget && (
+              <Line
+                x1={RADAR_CENTER}
+                y1={RADAR_CENTER}
+                x2={project(navigationTarget).x}
+                y2={project(navigationTarget).y}
+                stroke="#4ade80"
+                strokeWidth={2}
+                strokeDasharray="6 4"
+              />
+            )}
+          </G>
+
+          <SvgText x={north.x} y={north.y} fill="#e2e8f0" fontSize={12} fontWeight="bold" textAnchor="middle">
+            N
+          </SvgText>
+          <Polygon
+            points={`${RADAR_CENTER},${RADAR_CENTER - 9} ${RADAR_CENTER - 6},${RADAR_CENTER + 6} ${RADAR_CENTER + 6},${RADAR_CENTER + 6}`}
+            fill="#38bdf8"
+          />
+        </Svg>
+      </View>
+      <Text style={styles.meta}>
+        {headingDegrees == null
+          ? '方位が取得できないため北を上に表示しています'
+          : `進行方向を上に表示（方位 ${Math.round(headingDegrees)}°）`}
+      </Text>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  section: {
+    width: '100%',
+    marginBottom: 32,
+    gap: 12
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center'
+  },
+  sectionTitle: {
+    color: '#cbd5f5',
+    fontSize: 18,
+    fontWeight: '600'
+  },
+  rangeChip: {
+    backgroundColor: '#111827',
+    borderRadius: 999,
+    paddingHorizontal: 12,
+    paddingVertical: 4
+  },
+  radarFrame: {
+    alignItems: 'center'
+  },
+  meta: {
+    color: '#cbd5f5',
+    fontSize: 14
+  }
+});
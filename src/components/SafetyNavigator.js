@@ -0,0 +1,95 @@
+import { Button, StyleSheet, Text, View } from 'react-native';
+import { MAX_HP } from '../engine';
+import DirectionArrow from './DirectionArrow';
+import { TREND_LABELS, formatDistance, formatHeading } from './format';
+
+const LOW_HP_RATIO = 0.25;
+
+export default function SafetyNavigator({
+  target,
+  headingDegrees,
+  hp,
+  isActive,
+  isInHealingZone,
+  onToggle
+}) {
+  if (!target) {
+    return null;
+  }
+
+  if (!isActive) {
+    return (
+      <View style={styles.section}>
+        {hp < MAX_HP * LOW_HP_RATIO && (
+          <Text style={styles.warningText}>
+            HP が少なくなっています。最寄りのヒーリングゾーンまで案内できます。
+          </Text>
+        )}
+        <Button title="最寄りのヒーリングゾーンへ案内" onPress={() => onToggle(true)} />
+      </View>
+    );
+  }
+
+  return (
+    <View style={[styles.section, styles.card]}>
+      <Text style={styles.sectionTitle}>安全地帯へのナビ</Text>
+      {isInHealingZone ? (
+        <Text style={styles.meta}>ヒーリングゾーン「{target.name}」の中にいます</Text>
+      ) : (
+        <View style={styles.guide}>
+          <DirectionArrow
+            bearingDegrees={target.bearingDegrees}
+            headingDegrees={headingDegrees}
+            size={96}
+            color="#4ade80"
+          />
+          <Text style={styles.target}>
+            {target.name} まで {formatDistance(target.distance)}
+          </Text>
+          <Text style={styles.meta}>
+            {formatHeading(target.bearingDegrees)} ・ {TREND_LABELS[target.trend]}
+          </Text>
+          {headingDegrees == null && (
+            <Text style={styles.meta}>方位が取得できないため、矢印は北を上にしています</Text>
+          )}
+        </View>
+      )}
+      <Button title="ナビを終了" onPress={() => onToggle(false)} />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  section: {
+    width: '100%',
+    marginBottom: 24,
+    gap: 12
+  },
+  card: {
+    backgroundColor: '#052e16',
+    padding: 16,
+    borderRadius: 16
+  },
+  sectionTitle: {
+    color: '#bbf7d0',
+    fontSize: 18,
+    fontWeight: '600'
+  },
+  guide: {
+    alignItems: 'center',
+    gap: 8
+  },
+  target: {
+    color: '#f8fafc',
+    fontSize: 20,
+    fontWeight: '700'
+  },
+  meta: {
+    color: '#cbd5f5',
+    fontSize: 14
+  },
+  warningText: {
+    color: '#fbbf24',
+    fontSize: 14
+  }
+});
@@ -0,0 +1,124 @@
+import { useState } from 'react';
+import { Button, Pressable, StyleSheet, Text, TextInput, View } from 'react-native';
+import { fetchScenario } from '../scenario';
+
+export default function ScenarioPicker({ scenarios, activeScenarioId, onSelect, onImport }) {
+  const [url, setUrl] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [importError, setImportError] = useState(null);
+
+  const handleImport = async () => {
+    const trimmed = url.trim();
+    if (!trimmed) {
+      setImportError('シナリオ JSON の URL を入力してください');
+      return;
+    }
+
+    setIsLoading(true);
+    setImportError(null);
+    try {
+      const scenario = await fetchScenario(trimmed);
+      onImport(scenario);
+      setUrl('');
+    } catch (error) {
+      setImportError(error.message ?? 'シナリオの読み込みに失敗しました');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>シナリオ</Text>
+      {scenarios.map((scenario) => {
+        const isActive = scenario.id === activeScenarioId;
+        return (
+          <Pressable
+            key={scenario.id}
+            onPress={() => onSelect(scenario)}
+            disabled={isActive}
+            style={[styles.card, isActive && styles.cardActive]}
+          >
+            <Text style={styles.name}>
+              {scenario.name}
+              {isActive ? '（プレイ中）' : ''}
+            </Text>
+            {scenario.description ? (
+              <Text style={styles.meta}>{scenario.description}</Text>
+            ) : null}
+            <Text style={styles.meta}>
+              危険源 {scenario.dangerZones.length} ・ 移動危険源 {scenario.movingHazards.length} ・
+              ヒーリングゾーン {scenario.healingZones.length}
+            </Text>
+          </Pressable>
+        );
+      })}
+      <View style={styles.importRow}>
+        <TextInput
+          style={styles.input}
+          value={url}
+          onChangeText={setUrl}
+          placeholder="https://example.com/scenario.json"
+          placeholderTextColor="#64748b"
+          autoCapitalize="none"
+          autoCorrect={false}
+          keyboardType="url"
+        />
+        <Button title={isLoading ? '読込中...' : '読み込み'} onPress={handleImport} disabled={isLoading} />
+      </View>
+      {importError && <Text style={styles.errorText}>{importError}</Text>}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  section: {
+    width: '100%',
+    marginTop: 24,
+    gap: 12
+  },
+  sectionTitle: {
+    color: '#cbd5f5',
+    fontSize: 18,
+    fontWeight: '600'
+  },
+  card: {
+    backgroundColor: '#111827',
+    padding: 16,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: 'transparent',
+    gap: 4
+  },
+  cardActive: {
+    borderColor: '#a855f7'
+  },
+  name: {
+    color: '#f8fafc',
+    fontSize: 16,
+    fontWeight: '600'
+  },
+  meta: {
+    color: '#cbd5f5',
+    fontSize: 14
+  },
+  importRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8
+  },
+  input: {
+    flex: 1,
+    backgroundColor: '#1e293b',
+    color: '#f8fafc',
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    fontSize: 14
+  },
+  errorText: {
+    color: '#f87171',
+    fontSize: 14,
+    lineHeight: 20
+  }
+});
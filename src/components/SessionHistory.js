@@ -0,0 +1,53 @@
+import { Button, Pressable, StyleSheet, Text, View } from 'react-native';
+import { describeVerdict, formatDateTime, formatDuration } from './format';
+
+export default function SessionHistory({ summaries, onFinish, onOpen }) {
+  return (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>セッション</Text>
+      <Button title="セッションを終了して結果を見る" onPress={onFinish} />
+      {summaries.length > 0 && <Text style={styles.meta}>過去のセッション</Text>}
+      {summaries.map((summary) => (
+        <Pressable key={summary.id} onPress={() => onOpen(summary)} style={styles.card}>
+          <Text style={styles.name}>
+            {formatDateTime(summary.finishedAt)} ・ {summary.scenarioName}
+            {summary.penalty || summary.isSimulated ? `（${describeVerdict(summary)}）` : ''}
+          </Text>
+          <Text style={styles.meta}>
+            {formatDuration(summary.durationSeconds)} ・ 被ダメージ {summary.totalDamage.toFixed(1)} HP ・
+            最低 HP {summary.lowestHp.toFixed(1)}
+            {summary.maxScore > 0 ? ` ・ 得点 ${summary.score}/${summary.maxScore}` : ''}
+          </Text>
+        </Pressable>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  section: {
+    width: '100%',
+    marginTop: 24,
+    gap: 12
+  },
+  sectionTitle: {
+    color: '#cbd5f5',
+    fontSize: 18,
+    fontWeight: '600'
+  },
+  card: {
+    backgroundColor: '#111827',
+    padding: 16,
+    borderRadius: 16,
+    gap: 4
+  },
+  name: {
+    color: '#f8fafc',
+    fontSize: 16,
+    fontWeight: '600'
+  },
+  meta: {
+    color: '#cbd5f5',
+    fontSize: 14
+  }
+});
@@ -0,0 +1,175 @@
+import { Button, Modal, ScrollView, StyleSheet, Text, View } from 'react-native';
+import EventLogPanel from './EventLogPanel';
+import {
+  OBJECTIVE_STATUS_LABELS,
+  SEVERITY_LABELS,
+  STATUS_LABELS,
+  describeVerdict,
+  formatDateTime,
+  formatDistance,
+  formatDuration
+} from './format';
+
+const SummaryRow = ({ label, value }) => (
+  <View style={styles.row}>
+    <Text style={styles.label}>{label}</Text>
+    <Text style={styles.value}>{value}</Text>
+  </View>
+);
+
+export default function SessionSummaryModal({ summary, onShareLog, onClose }) {
+  return (
+    <Modal visible={summary != null} animationType="slide" onRequestClose={onClose}>
+      {summary && (
+        <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+          <Text style={styles.title}>セッション結果</Text>
+          <Text style={styles.meta}>
+            {summary.scenarioName} ・ {formatDateTime(summary.startedAt)} 〜 {formatDateTime(summary.finishedAt)}
+          </Text>
+
+          <View style={styles.card}>
+            {summary.maxScore > 0 && (
+              <SummaryRow label="得点" value={`${summary.score} / ${summary.maxScore}`} />
+            )}
+            <SummaryRow label="プレイ時間" value={formatDuration(summary.durationSeconds)} />
+            <SummaryRow label="総被ダメージ" value={`${summary.totalDamage.toFixed(1)} HP`} />
+            <SummaryRow
+              label="最大ダメージ（毎秒）"
+              value={`${summary.peakDamagePerSecond.toFixed(1)} HP/s`}
+            />
+            <SummaryRow label="最低 HP" value={summary.lowestHp.toFixed(1)} />
+            <SummaryRow label="終了時 HP" value={summary.finalHp.toFixed(1)} />
+            <SummaryRow label="移動距離" value={formatDistance(summary.distanceWalkedMeters)} />
+            {summary.itemCount > 0 && (
+              <SummaryRow
+                label="拾ったアイテム"
+                value={`${summary.itemsCollected} / ${summary.itemCount}`}
+              />
+            )}
+            <SummaryRow
+              label="ヒーリングゾーン滞在"
+              value={formatDuration(summary.healingZoneSeconds)}
+            />
+            <SummaryRow
+              label="終了時の状態"
+              value={`${STATUS_LABELS[summary.finalStatus] ?? summary.finalStatus}（復活 ${summary.respawnsUsed} 回）`}
+            />
+            {summary.suspicionCount > 0 && (
+              <SummaryRow
+                label="不審な位置情報"
+                value={`${summary.suspicionCount} 件（最大 ${SEVERITY_LABELS[summary.highestSeverity] ?? '---'}）`}
+              />
+            )}
+            {(summary.penalty || summary.isSimulated) && (
+              <SummaryRow label="判定" value={describeVerdict(summary)} />
+            )}
+          </View>
+
+          {summary.objectives?.length > 0 && (
+            <>
+              <Text style={styles.sectionTitle}>目標</Text>
+              <View style={styles.card}>
+                {summary.objectives.map((objective) => (
+                  <SummaryRow
+                    key={objective.id}
+                    label={`${objective.name}（${objective.score} 点）`}
+                    value={
+                      objective.completedAtSeconds != null
+                        ? `${OBJECTIVE_STATUS_LABELS[objective.status]}（${formatDuration(objective.completedAtSeconds)}）`
+                        : OBJECTIVE_STATUS_LABELS[objective.status] ?? objective.status
+                    }
+                  />
+                ))}
+              </View>
+            </>
+          )}
+
+          {summary.damageByType?.length > 0 && (
+            <>
+              <Text style={styles.sectionTitle}>種類ごとの被ダメージ</Text>
+              <View style={styles.card}>
+                {summary.damageByType.map((entry) => (
+                  <SummaryRow key={entry.type} label={entry.name} value={`${entry.damage.toFixed(1)} HP`} />
+                ))}
+              </View>
+            </>
+          )}
+
+          <Text style={styles.sectionTitle}>危険源ごとの記録</Text>
+          {summary.hazards.map((hazard) => (
+            <View key={hazard.id} style={styles.card}>
+              <Text style={styles.hazardName}>
+                {hazard.name}
+                {hazard.isDynamic ? '（移動）' : ''}
+              </Text>
+              <SummaryRow label="被ダメージ" value={`${hazard.damage.toFixed(1)} HP`} />
+              <SummaryRow label="safeRadius 内の滞在" value={formatDuration(hazard.secondsInside)} />
+              <SummaryRow
+                label="最接近距離"
+                value={hazard.closestMeters == null ? '---' : formatDistance(hazard.closestMeters)}
+              />
+            </View>
+          ))}
+
+          <EventLogPanel
+            eventCount={summary.eventCount ?? 0}
+            onShare={(format) => onShareLog(summary, format)}
+          />
+          <Button title="閉じる" onPress={onClose} />
+        </ScrollView>
+      )}
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#0f172a'
+  },
+  content: {
+    paddingHorizontal: 24,
+    paddingTop: 48,
+    paddingBottom: 48,
+    gap: 12
+  },
+  title: {
+    color: '#f8fafc',
+    fontSize: 24,
+    fontWeight: '700'
+  },
+  sectionTitle: {
+    color: '#cbd5f5',
+    fontSize: 18,
+    fontWeight: '600',
+    marginTop: 12
+  },
+  card: {
+    backgroundColor: '#111827',
+    padding: 16,
+    borderRadius: 16,
+    gap: 6
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between'
+  },
+  label: {
+    color: '#cbd5f5',
+    fontSize: 14
+  },
+  value: {
+    color: '#f8fafc',
+    fontSize: 14,
+    fontWeight: '600'
+  },
+  hazardName: {
+    color: '#f8fafc',
+    fontSize: 16,
+    fontWeight: '600'
+  },
+  meta: {
+    color: '#cbd5f5',
+    fontSize: 14
+  }
+});
@@ -0,0 +1,75 @@
+import { StyleSheet, Text, View } from 'react-native';
+import { formatDuration } from './format';
+
+const describeEffect = (effect, definition) =>
+  [
+    effect.damagePerSecond > 0 && `-${effect.damagePerSecond.toFixed(1)} HP/秒`,
+    definition.guard !== 0 &&
+      `護力 ${definition.guard > 0 ? '+' : ''}${definition.guard * effect.stacks}`,
+    definition.resonance !== 0 &&
+      `響力 ${definition.resonance > 0 ? '+' : ''}${definition.resonance * effect.stacks}`,
+    definition.regenMultiplier !== 1 &&
+      `回復 ×${(definition.regenMultiplier ** effect.stacks).toFixed(2)}`
+  ]
+    .filter(Boolean)
+    .join(' / ');
+
+export default function StatusEffectList({ statusEffects, definitions }) {
+  if (statusEffects.length === 0) {
+    return null;
+  }
+
+  return (
+    <View style={styles.block}>
+      <Text style={styles.title}>状態効果</Text>
+      {statusEffects.map((effect) => {
+        const definition = definitions[effect.id];
+        const isHarmful =
+          effect.damagePerSecond > 0 ||
+          definition.guard < 0 ||
+          definition.resonance < 0 ||
+          definition.regenMultiplier < 1;
+        return (
+          <View key={effect.id} style={styles.row}>
+            <Text style={[styles.name, isHarmful ? styles.harmful : styles.helpful]}>
+              {effect.name}
+              {effect.stacks > 1 ? ` ×${effect.stacks}` : ''}
+            </Text>
+            <Text style={styles.meta}>
+              {describeEffect(effect, definition)}（残り {formatDuration(effect.remainingSeconds)}）
+            </Text>
+          </View>
+        );
+      })}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  block: {
+    marginTop: 12,
+    gap: 6
+  },
+  title: {
+    color: '#cbd5f5',
+    fontSize: 14,
+    fontWeight: '600'
+  },
+  row: {
+    gap: 2
+  },
+  name: {
+    fontSize: 14,
+    fontWeight: '600'
+  },
+  harmful: {
+    color: '#fca5a5'
+  },
+  helpful: {
+    color: '#86efac'
+  },
+  meta: {
+    color: '#cbd5f5',
+    fontSize: 12
+  }
+});
@@ -0,0 +1,63 @@
+import { StyleSheet, Text, View } from 'react-native';
+import { formatDuration } from './format';
+
+const describeZone = (zone) => {
+  if (!zone.isActive) {
+    return zone.secondsUntilActive == null
+      ? null
+      : `「${zone.name}」があと ${formatDuration(zone.secondsUntilActive)} で出現`;
+  }
+  if (zone.intensity < 1) {
+    return `「${zone.name}」が強まっています（${Math.round(zone.intensity * 100)}%）`;
+  }
+  if (zone.secondsUntilInactive != null) {
+    return `「${zone.name}」はあと ${formatDuration(zone.secondsUntilInactive)} で消滅`;
+  }
+  return null;
+};
+
+const describeEscalation = (phase, elapsedSeconds) => {
+  const changes = [
+    phase.damageMultiplier != null && `ダメージ ×${phase.damageMultiplier}`,
+    phase.safeRadiusMultiplier != null && `範囲 ×${phase.safeRadiusMultiplier}`
+  ].filter(Boolean);
+  return `難易度上昇まで ${formatDuration(phase.atSeconds - elapsedSeconds)}（${changes.join(' / ')}）`;
+};
+
+export default function UpcomingSchedule({ zoneSummaries, nextEscalation, elapsedSeconds }) {
+  const lines = zoneSummaries.map(describeZone).filter(Boolean);
+  if (nextEscalation) {
+    lines.push(describeEscalation(nextEscalation, elapsedSeconds));
+  }
+  if (lines.length === 0) {
+    return null;
+  }
+
+  return (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>今後の予定</Text>
+      {lines.map((line) => (
+        <Text key={line} style={styles.meta}>
+          {line}
+        </Text>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  section: {
+    width: '100%',
+    marginTop: 24,
+    gap: 6
+  },
+  sectionTitle: {
+    color: '#cbd5f5',
+    fontSize: 18,
+    fontWeight: '600'
+  },
+  meta: {
+    color: '#cbd5f5',
+    fontSize: 14
+  }
+});
@@ -0,0 +1,134 @@
+import {
+  OBJECTIVE_STATUS,
+  PLAY_AREA_STAGES,
+  PLAYER_STATUS,
+  TRENDS,
+  getResistance
+} from '../engine';
+
+const COMPASS_POINTS = ['北', '北東', '東', '南東', '南', '南西', '西', '北西'];
+
+export const STATUS_LABELS = {
+  [PLAYER_STATUS.ALIVE]: '生存',
+  [PLAYER_STATUS.DOWNED]: 'ダウン',
+  [PLAYER_STATUS.RESPAWNING]: '復活中',
+  [PLAYER_STATUS.ELIMINATED]: '脱落'
+};
+
+export const OBJECTIVE_STATUS_LABELS = {
+  [OBJECTIVE_STATUS.ACTIVE]: '挑戦中',
+  [OBJECTIVE_STATUS.COMPLETED]: '達成',
+  [OBJECTIVE_STATUS.FAILED]: '失敗'
+};
+
+export const TREND_LABELS = {
+  [TRENDS.APPROACHING]: '接近中',
+  [TRENDS.RECEDING]: '遠ざかっている',
+  [TRENDS.STEADY]: '変化なし'
+};
+
+export const SEVERITY_LABELS = {
+  low: '低',
+  medium: '中',
+  high: '高'
+};
+
+export const PENALTY_LABELS = {
+  flag: '要確認',
+  freezeRegen: '回復停止',
+  invalidate: '無効'
+};
+
+export const PENALTY_NOTICES = {
+  flag: '位置情報に不審な点があったため、このセッションは要確認として記録されます',
+  freezeRegen: '位置情報の偽装が疑われるため、HP の回復が止まっています',
+  invalidate: '位置情報の偽装が疑われるため、このセッションの結果は無効です'
+};
+
+export const SIMULATED_NOTICE = 'リプレイの位置を使ったため、このセッションの結果は無効です';
+
+// What a finished session is marked as, or null when nothing was flagged.
+export const describeVerdict = (summary) => {
+  if (summary.isSimulated) {
+    return `${PENALTY_LABELS.invalidate}（リプレイ）`;
+  }
+  return summary.penalty ? PENALTY_LABELS[summary.penalty] ?? summary.penalty : null;
+};
+
+export const formatDistance = (distanceMeters) => {
+  if (!Number.isFinite(distanceMeters)) {
+    return '---';
+  }
+  if (distanceMeters >= 1000) {
+    return `${(distanceMeters / 1000).toFixed(2)} km`;
+  }
+  return `${distanceMeters.toFixed(1)} m`;
+};
+
+export const formatHeading = (headingDegrees) => {
+  if (!Number.isFinite(headingDegrees)) {
+    return '---';
+  }
+  const index = Math.round(headingDegrees / 45) % COMPASS_POINTS.length;
+  return `${COMPASS_POINTS[index]}（${Math.round(headingDegrees)}°）`;
+};
+
+export const formatDuration = (totalSeconds) => {
+  if (!Number.isFinite(totalSeconds)) {
+    return '---';
+  }
+  const seconds = Math.round(totalSeconds);
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const rest = seconds % 60;
+  if (hours > 0) {
+    return `${hours}時間${minutes}分`;
+  }
+  return minutes > 0 ? `${minutes}分${rest}秒` : `${rest}秒`;
+};
+
+export const formatDateTime = (timestamp) => {
+  const date = new Date(timestamp);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}/${pad(date.getMonth() + 1)}/${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+const describePlayAreaSchedule = (playArea) => {
+  const phase = `フェーズ ${Math.min(playArea.phaseIndex + 1, playArea.phaseCount)}/${playArea.phaseCount}`;
+  switch (playArea.stage) {
+    case PLAY_AREA_STAGES.WAITING:
+      return `${phase} 縮小まで ${formatDuration(playArea.secondsUntilShrink)}`;
+    case PLAY_AREA_STAGES.WARNING:
+      return `${phase} まもなく縮小（残り ${formatDuration(playArea.secondsUntilShrink)}）`;
+    case PLAY_AREA_STAGES.SHRINKING:
+      return `${phase} 縮小中（完了まで ${formatDuration(playArea.secondsUntilShrinkEnds)}）`;
+    default:
+      return '最終サークル';
+  }
+};
+
+export const describePlayArea = (playArea) => {
+  const { distanceToEdgeMeters } = playArea;
+  let position = '安全地帯';
+  if (playArea.isOutside) {
+    position = `安全地帯の外（${formatDistance(distanceToEdgeMeters)} 外側・-${playArea.damagePerSecond} HP/秒）`;
+  } else if (distanceToEdgeMeters != null) {
+    position = `安全地帯の内（端まで ${formatDistance(-distanceToEdgeMeters)}）`;
+  }
+  return `${position} ・ ${describePlayAreaSchedule(playArea)}`;
+};
+
+// e.g. "物理 -3 HP/秒" (flat), "霊障 30%軽減" (percent).
+export const describeResistance = (typeConfig, stats) => {
+  const resistance = getResistance(typeConfig, stats);
+  switch (typeConfig.mitigation) {
+    case 'flat':
+      return `${typeConfig.name} -${resistance} HP/秒`;
+    case 'percent':
+      return `${typeConfig.name} ${Math.round(Math.min(resistance, typeConfig.maxReduction) * 100)}%軽減`;
+    case 'threshold':
+      return `${typeConfig.name} ${resistance} HP/秒未満を無効`;
+    default:
+      return `${typeConfig.name} 軽減不可`;
+  }
+};
@@ -0,0 +1,34 @@
+// How the reported GPS accuracy (`coords.accuracy`, metres) affects damage,
+// configured per scenario through `positionAccuracy`:
+// - none: accuracy is ignored (default).
+// - ignore: fixes worse than `maxAccuracyMeters` are skipped; the last good
+//   position stays in effect.
+// - scale: damage is scaled by maxAccuracyMeters / accuracy for worse fixes.
+// - worstCase: the player is assumed to be `accuracy` metres closer to every
+//   hazard.
+
+export const ACCURACY_RULES = ['none', 'ignore', 'scale', 'worstCase'];
+
+const NO_ADJUSTMENT = { distanceOffsetMeters: 0, damageFactor: 1 };
+
+const getAccuracy = (coords) =>
+  typeof coords?.accuracy === 'number' && Number.isFinite(coords.accuracy) ? coords.accuracy : null;
+
+export const isFixUsable = (coords, config) => {
+  const accuracy = getAccuracy(coords);
+  return config.rule !== 'ignore' || accuracy == null || accuracy <= config.maxAccuracyMeters;
+};
+
+export const getAccuracyAdjustment = (coords, config) => {
+  const accuracy = getAccuracy(coords);
+  if (accuracy == null) {
+    return NO_ADJUSTMENT;
+  }
+  if (config.rule === 'worstCase') {
+    return { distanceOffsetMeters: accuracy, damageFactor: 1 };
+  }
+  if (config.rule === 'scale' && accuracy > config.maxAccuracyMeters) {
+    return { distanceOffsetMeters: 0, damageFactor: config.maxAccuracyMeters / accuracy };
+  }
+  return NO_ADJUSTMENT;
+};
@@ -0,0 +1,12 @@
+export const MAX_HP = 1000;
+export const SECONDARY_STAT_MAX = 10;
+export const METERS_PER_DEG_LAT = 111320;
+export const HEALING_ZONE_REGEN_PER_SECOND = 3;
+export const PASSIVE_REGEN_PER_SECOND = 1;
+export const HEALING_ZONE_ZERO_HP_DELAY_SECONDS = 60;
+export const DEFAULT_RESPAWN_HP = 100;
+export const PLAY_AREA_DAMAGE_PER_SECOND = 2;
+export const PLAY_AREA_WARNING_SECONDS = 30;
+export const MAX_ACCURACY_METERS = 25;
+export const MAX_PLAUSIBLE_SPEED_METERS_PER_SECOND = 50;
+export const TELEPORT_DISTANCE_METERS = 1000;
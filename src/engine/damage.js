@@ -0,0 +1,19 @@
+export const evaluateZoneDamage = (distanceMeters, zone) => {
+  if (distanceMeters == null || !Number.isFinite(distanceMeters)) {
+    return 0;
+  }
+  const sourceRadius = zone.sourceRadius ?? 0;
+  const effectiveDistance = Math.max(0, distanceMeters - sourceRadius);
+
+  if (effectiveDistance >= zone.safeRadius) {
+    return 0;
+  }
+
+  const baseDamage = zone.baseDamage ?? 0;
+  const scale = zone.scale ?? 0;
+  const offset = zone.offset ?? 0;
+  const denominator = effectiveDistance + offset;
+  const effectiveDenominator = denominator > 0 ? denominator : 0.1;
+  const uncappedDamage = baseDamage + scale / effectiveDenominator;
+  return zone.maxDamage == null ? uncappedDamage : Math.min(zone.maxDamage, uncappedDamage);
+};
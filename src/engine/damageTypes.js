@@ -0,0 +1,75 @@
+// Every zone deals one or more damage types (`damageType`: an id, or an
+// object of id -> share). Each type names the stat that resists it and how:
+// - flat: resistance is subtracted from the damage per second, once per zone.
+// - percent: the damage is reduced by `resistance` (a fraction, capped at
+//   `maxReduction`).
+// - threshold: damage below the resistance is blocked completely; anything
+//   at or above it gets through in full.
+// - none: the type cannot be resisted.
+// resistance = stats[resistStat] * perPoint.
+
+export const MITIGATION_RULES = ['flat', 'percent', 'threshold', 'none'];
+
+export const RESIST_STATS = ['guard', 'resonance'];
+
+export const DEFAULT_DAMAGE_TYPE = 'physical';
+
+// Without `damageTypes` in a scenario, guard is subtracted from all damage.
+export const DEFAULT_DAMAGE_TYPES = {
+  [DEFAULT_DAMAGE_TYPE]: { name: '物理', resistStat: 'guard', mitigation: 'flat', perPoint: 1 }
+};
+
+export const DEFAULT_MAX_REDUCTION = 0.9;
+
+export const DEFAULT_PER_POINT = {
+  flat: 1,
+  percent: 0.1,
+  threshold: 1,
+  none: 0
+};
+
+export const getResistance = (typeConfig, stats) =>
+  typeConfig.mitigation === 'none' || !typeConfig.resistStat
+    ? 0
+    : (stats[typeConfig.resistStat] ?? 0) * typeConfig.perPoint;
+
+export const mitigateDamage = (rawDamage, typeConfig, stats) => {
+  const resistance = getResistance(typeConfig, stats);
+  switch (typeConfig.mitigation) {
+    case 'flat':
+      return Math.max(rawDamage - resistance, 0);
+    case 'percent':
+      return rawDamage * (1 - Math.min(resistance, typeConfig.maxReduction));
+    case 'threshold':
+      return rawDamage < resistance ? 0 : rawDamage;
+    default:
+      return rawDamage;
+  }
+};
+
+// `damageMix` is the normalized form of a zone's `damageType`:
+// [{ type, share }] with shares adding up to 1.
+// Flat resistance is spent once per zone: the flat types a stat resists draw
+// on one pool of its points, in the order of the mix.
+export const splitDamage = (rawDamage, damageMix, damageTypes, stats) => {
+  const pointsLeft = { ...stats };
+  return damageMix.map(({ type, share }) => {
+    const typeConfig = damageTypes[type];
+    const typeRawDamage = rawDamage * share;
+    let mitigatedDamage;
+    if (typeConfig.mitigation === 'flat' && typeConfig.resistStat && typeConfig.perPoint > 0) {
+      const stat = typeConfig.resistStat;
+      const absorbed = Math.min(typeRawDamage, (pointsLeft[stat] ?? 0) * typeConfig.perPoint);
+      pointsLeft[stat] = (pointsLeft[stat] ?? 0) - absorbed / typeConfig.perPoint;
+      mitigatedDamage = typeRawDamage - absorbed;
+    } else {
+      mitigatedDamage = mitigateDamage(typeRawDamage, typeConfig, stats);
+    }
+    return {
+      type,
+      name: typeConfig.name,
+      rawDamage: typeRawDamage,
+      mitigatedDamage
+    };
+  });
+};
@@ -0,0 +1,430 @@
+import { MAX_HP } from './constants';
+import { evaluateZoneDamage } from './damage';
+import { splitDamage } from './damageTypes';
+import { calculateBearingDegrees, vectorToHeadingDegrees } from './geo';
+import { advanceMovingHazardState, createInitialMovingHazardState } from './movingHazard';
+import { canSenseHeading, getDetectionRangeMeters, getHealingMultiplier } from './resonance';
+import { distanceToZoneMeters, isInsideHealingZone } from './shapes';
+import { accumulateSessionStats, createSessionStats } from './sessionStats';
+import { evaluatePlayArea } from './playArea';
+import { scheduleZone } from './schedule';
+import { getAccuracyAdjustment, isFixUsable } from './accuracy';
+import { createInitialIntegrity, inspectFix } from './integrity';
+import { findNearestHealingZone, trackTrend } from './guidance';
+import {
+  advanceStatusEffects,
+  applyStatusExposures,
+  getEffectiveStats,
+  getRegenMultiplier,
+  summarizeStatusEffects
+} from './statusEffects';
+import { collectItems, createItemState, getEquipmentBonus } from './items';
+import {
+  advanceObjectives,
+  createObjectiveProgress,
+  evaluateObjectives,
+  getObjectiveScore
+} from './objectives';
+import {
+  PLAYER_STATUS,
+  advanceLifecycle,
+  createInitialLifecycle,
+  resolveLifecycle
+} from './lifecycle';
+
+// advanceWithinCircle only resolves a few bounces per call, so long gaps are
+// simulated in short chunks.
+const CATCH_UP_STEP_SECONDS = 1;
+
+const roundHp = (hp) => Number(hp.toFixed(2));
+
+// `scenario` is expected to be normalized by `loadScenario` (src/scenario).
+export const createInitialState = (scenario) => ({
+  scenario,
+  // Match clock: game time since the start, including time caught up offline.
+  elapsedSeconds: 0,
+  stats: { ...scenario.initialStats },
+  movingHazards: scenario.movingHazards.map(createInitialMovingHazardState),
+  lifecycle: createInitialLifecycle(),
+  isInHealingZone: false,
+  healingZoneId: null,
+  // Last position the rules were evaluated at.
+  playerCoords: null,
+  zoneSummaries: [],
+  nearestHealingZone: null,
+  playArea: scenario.playArea ? evaluatePlayArea(scenario.playArea, 0, null) : null,
+  damagePerSecond: 0,
+  lastDamage: 0,
+  statusEffects: [],
+  // Effects applied at the last evaluated position.
+  statusExposures: [],
+  objectives: scenario.objectives.map(createObjectiveProgress),
+  items: scenario.items.map(createItemState),
+  sessionStats: createSessionStats(scenario.initialStats.hp),
+  integrity: createInitialIntegrity()
+});
+
+const advanceMovingHazards = (state, deltaSeconds, playerCoords) => ({
+  ...state,
+  movingHazards: state.movingHazards.map((hazardState, index) =>
+    advanceMovingHazardState(
+      hazardState,
+      state.scenario.movingHazards[index],
+      deltaSeconds,
+      playerCoords
+    )
+  )
+});
+
+// Hazard states from a multiplayer server (see src/multiplayer) replace the
+// local ones with the same id.
+const syncMovingHazards = (state, remoteHazards) => ({
+  ...state,
+  movingHazards: state.movingHazards.map(
+    (hazardState) => remoteHazards.find((remote) => remote.id === hazardState.id) ?? hazardState
+  )
+});
+
+const isAlive = (state) => state.lifecycle.status === PLAYER_STATUS.ALIVE;
+
+const isRegenFrozen = (state) => state.integrity.penalty === 'freezeRegen';
+
+const getStatusRegenMultiplier = (state) =>
+  getRegenMultiplier(state.statusEffects, state.scenario.statusEffects);
+
+// Guard and resonance including equipped items and status effects; HP is
+// unaffected.
+export const getPlayerStats = (state) =>
+  getEffectiveStats(
+    state.stats,
+    state.statusEffects,
+    state.scenario.statusEffects,
+    getEquipmentBonus(state.items, state.scenario.items, state.scenario.itemTypes)
+  );
+
+// Points from completed objectives.
+export const getScore = (state) => getObjectiveScore(state.objectives, state.scenario.objectives);
+
+const applyPassiveRegen = (state, deltaSeconds) => {
+  const { hp } = state.stats;
+  if (!isAlive(state) || isRegenFrozen(state) || hp <= 0 || hp >= MAX_HP) {
+    return state;
+  }
+  const regenPerSecond = state.scenario.regen.passivePerSecond * getStatusRegenMultiplier(state);
+  const nextHp = Math.min(hp + regenPerSecond * deltaSeconds, MAX_HP);
+  if (nextHp === hp) {
+    return state;
+  }
+  return { ...state, stats: { ...state.stats, hp: roundHp(nextHp) } };
+};
+
+// Coming back from 0 HP is handled by the lifecycle (see lifecycle.js); the
+// healing zone itself only tops up players who are still standing.
+const applyHealingZoneRegen = (state, deltaSeconds) => {
+  const { hp } = state.stats;
+  if (
+    !state.isInHealingZone ||
+    !isAlive(state) ||
+    isRegenFrozen(state) ||
+    hp <= 0 ||
+    hp >= MAX_HP
+  ) {
+    return state;
+  }
+
+  const { regen, resonanceEffects } = state.scenario;
+  const { resonance } = getPlayerStats(state);
+  const regenPerSecond =
+    regen.healingZonePerSecond *
+    getHealingMultiplier(resonance, resonanceEffects) *
+    getStatusRegenMultiplier(state);
+  const nextHp = roundHp(Math.min(hp + regenPerSecond * deltaSeconds, MAX_HP));
+  return { ...state, stats: { ...state.stats, hp: nextHp } };
+};
+
+// Damage is a rate: the one found at the last evaluated position applies for
+// the whole interval, however many position updates arrived in between.
+const applyDamageOverTime = (state, deltaSeconds) => {
+  const { hp } = state.stats;
+  if (!isAlive(state) || state.damagePerSecond <= 0 || hp <= 0) {
+    return { ...state, lastDamage: 0 };
+  }
+  const nextHp = roundHp(Math.max(hp - state.damagePerSecond * deltaSeconds, 0));
+  return {
+    ...state,
+    stats: { ...state.stats, hp: nextHp },
+    lastDamage: roundHp(hp - nextHp)
+  };
+};
+
+// Effects wear off while the player is out of play.
+const advanceStatusEffectClocks = (state, deltaSeconds) => ({
+  ...state,
+  statusEffects: isAlive(state)
+    ? advanceStatusEffects(
+        state.statusEffects,
+        state.statusExposures,
+        state.scenario.statusEffects,
+        deltaSeconds
+      )
+    : []
+});
+
+// `state.elapsedSeconds` must already include the interval.
+const advanceObjectiveClocks = (state, deltaSeconds) => ({
+  ...state,
+  objectives: advanceObjectives(
+    state.objectives,
+    state.scenario.objectives,
+    deltaSeconds,
+    state.elapsedSeconds
+  )
+});
+
+const summarizeZone = (configuredZone, context, isDynamic) => {
+  const { coords, stats, insideHealingZone, resonanceEffects, difficultyPhases, elapsedSeconds } =
+    context;
+  const zone = scheduleZone(configuredZone, difficultyPhases, elapsedSeconds);
+  const { activity } = zone;
+  const { distanceOffsetMeters, damageFactor } = context.accuracyAdjustment;
+  const distance = distanceToZoneMeters(coords, zone);
+  const effectiveDistance = Math.max(distance - (zone.sourceRadius ?? 0), 0);
+  const damageDistance = Math.max(distance - distanceOffsetMeters, 0);
+  const rawDamage =
+    insideHealingZone || !activity.isActive
+      ? 0
+      : evaluateZoneDamage(damageDistance, zone) * activity.intensity * damageFactor;
+  const damageByType = splitDamage(rawDamage, zone.damageMix, context.damageTypes, stats);
+  const mitigatedDamage = damageByType.reduce((sum, entry) => sum + entry.mitigatedDamage, 0);
+  const detectionRange = getDetectionRangeMeters(zone, stats.resonance, resonanceEffects);
+
+  return {
+    id: zone.id,
+    name: zone.name,
+    distance,
+    bearingDegrees: calculateBearingDegrees(coords, zone.coords),
+    rawDamage,
+    mitigatedDamage,
+    damageByType,
+    maxDamage: zone.maxDamage ?? null,
+    safeRadius: zone.safeRadius,
+    damageMultiplier: zone.damageMultiplier,
+    isActive: activity.isActive,
+    intensity: activity.intensity,
+    secondsUntilActive: activity.secondsUntilActive,
+    secondsUntilInactive: activity.secondsUntilInactive,
+    isDynamic,
+    isInsideSafeRadius: activity.isActive && effectiveDistance < zone.safeRadius,
+    // Anything that deals damage is always detected.
+    isDetected: mitigatedDamage > 0 || effectiveDistance <= detectionRange,
+    headingDegrees: null,
+    applies: rawDamage > 0 ? zone.applies : []
+  };
+};
+
+const sumDamage = (entries) => entries.reduce((sum, entry) => sum + entry.damagePerSecond, 0);
+
+const applyProximityEffects = (state, coords) => {
+  const { scenario } = state;
+  const stats = getPlayerStats(state);
+  const playArea = scenario.playArea
+    ? evaluatePlayArea(scenario.playArea, state.elapsedSeconds, coords)
+    : null;
+  const objectives = evaluateObjectives(state.objectives, scenario.objectives, {
+    coords,
+    hp: state.stats.hp,
+    isAlive: isAlive(state),
+    elapsedSeconds: state.elapsedSeconds
+  });
+
+  if (!coords) {
+    // Effects already running keep going without a position.
+    const statusEffects = summarizeStatusEffects(
+      state.statusEffects,
+      scenario.statusEffects,
+      scenario.damageTypes,
+      stats
+    );
+    return {
+      ...state,
+      playArea,
+      objectives,
+      playerCoords: null,
+      zoneSummaries: [],
+      nearestHealingZone: null,
+      statusEffects,
+      statusExposures: [],
+      damagePerSecond: isAlive(state) ? Number(sumDamage(statusEffects).toFixed(2)) : 0,
+      isInHealingZone: false,
+      healingZoneId: null
+    };
+  }
+
+  const healingZone = scenario.healingZones.find((zone) => isInsideHealingZone(coords, zone));
+  const insideHealingZone = healingZone != null;
+
+  const context = {
+    coords,
+    stats,
+    insideHealingZone,
+    resonanceEffects: scenario.resonanceEffects,
+    damageTypes: scenario.damageTypes,
+    difficultyPhases: scenario.difficultyPhases,
+    elapsedSeconds: state.elapsedSeconds,
+    accuracyAdjustment: getAccuracyAdjustment(coords, scenario.positionAccuracy)
+  };
+  const sensesHeading = canSenseHeading(stats.resonance, scenario.resonanceEffects);
+
+  const zoneSummaries = scenario.dangerZones.map((zone) => summarizeZone(zone, context, false));
+
+  state.movingHazards.forEach((hazardState, index) => {
+    const movingConfig = scenario.movingHazards[index];
+    const dynamicZone = {
+      id: movingConfig.id,
+      name: movingConfig.name,
+      coords: hazardState.coords,
+      safeRadius: movingConfig.safeRadius,
+      baseDamage: movingConfig.baseDamage,
+      scale: movingConfig.scale,
+      offset: movingConfig.offset,
+      maxDamage: movingConfig.maxDamage ?? null,
+      damageMix: movingConfig.damageMix,
+      applies: movingConfig.applies,
+      schedule: movingConfig.schedule
+    };
+    const summary = summarizeZone(dynamicZone, context, true);
+    zoneSummaries.push({
+      ...summary,
+      headingDegrees:
+        sensesHeading && summary.isDetected ? vectorToHeadingDegrees(hazardState.direction) : null
+    });
+  });
+
+  const previousSummaries = new Map(state.zoneSummaries.map((summary) => [summary.id, summary]));
+  const trackedSummaries = zoneSummaries.map((summary) => ({
+    ...summary,
+    ...trackTrend(previousSummaries.get(summary.id), summary.distance, state.elapsedSeconds)
+  }));
+  const nearestHealingZone = findNearestHealingZone(coords, scenario.healingZones);
+  const previousHealingZone =
+    state.nearestHealingZone?.id === nearestHealingZone?.id ? state.nearestHealingZone : null;
+
+  const totalMitigatedDamage = zoneSummaries.reduce(
+    (sum, entry) => sum + entry.mitigatedDamage,
+    0
+  );
+  // Being outside the play area hurts regardless of guard or healing zones.
+  const playAreaDamage = playArea?.isOutside ? playArea.damagePerSecond : 0;
+
+  const exposures = [
+    ...zoneSummaries.flatMap((zone) => zone.applies),
+    ...(healingZone?.applies ?? [])
+  ];
+  const statusExposures = isAlive(state) ? [...new Set(exposures)] : [];
+  const statusEffects = summarizeStatusEffects(
+    applyStatusExposures(state.statusEffects, statusExposures, scenario.statusEffects),
+    scenario.statusEffects,
+    scenario.damageTypes,
+    stats
+  );
+  const totalDamage = totalMitigatedDamage + playAreaDamage + sumDamage(statusEffects);
+
+  return {
+    ...state,
+    isInHealingZone: insideHealingZone,
+    healingZoneId: healingZone?.id ?? null,
+    zoneSummaries: trackedSummaries,
+    nearestHealingZone: nearestHealingZone && {
+      ...nearestHealingZone,
+      ...trackTrend(previousHealingZone, nearestHealingZone.distance, state.elapsedSeconds)
+    },
+    playArea,
+    objectives,
+    items: isAlive(state) ? collectItems(state.items, scenario.items, coords) : state.items,
+    playerCoords: coords,
+    statusEffects,
+    statusExposures,
+    // Downed and eliminated players are out of play and take no further damage.
+    damagePerSecond: isAlive(state) ? Number(totalDamage.toFixed(2)) : 0
+  };
+};
+
+// Advances the game by `dtSeconds` and then evaluates the player's position.
+// A position-only update (e.g. a GPS callback) is a step with dtSeconds = 0:
+// it only changes the damage rate for the time that follows.
+// `input.fix` is the raw fix (LocationObject) behind `coords`, checked for
+// spoofing; replayed fixes carry `simulated: true`. `input.movingHazards`
+// (hazard states from a multiplayer server) makes the server the authority on
+// where the moving hazards are: they are taken as given instead of simulated.
+export const step = (state, input = {}, dtSeconds = 0) => {
+  const deltaSeconds = Number.isFinite(dtSeconds) && dtSeconds > 0 ? dtSeconds : 0;
+  // Fixes rejected by the scenario's accuracy rule leave the last one in effect.
+  const coords =
+    input.coords && !isFixUsable(input.coords, state.scenario.positionAccuracy)
+      ? state.playerCoords
+      : input.coords ?? null;
+
+  const integrity = input.fix
+    ? inspectFix(state.integrity, input.fix, state.scenario.antiCheat)
+    : state.integrity;
+
+  let next = {
+    ...state,
+    elapsedSeconds: state.elapsedSeconds + deltaSeconds,
+    lastDamage: 0,
+    integrity
+  };
+  if (deltaSeconds > 0) {
+    next = applyDamageOverTime(next, deltaSeconds);
+    next = advanceStatusEffectClocks(next, deltaSeconds);
+    next = advanceObjectiveClocks(next, deltaSeconds);
+    if (!input.movingHazards) {
+      next = advanceMovingHazards(next, deltaSeconds, coords);
+    }
+    next = applyPassiveRegen(next, deltaSeconds);
+    next = applyHealingZoneRegen(next, deltaSeconds);
+    next = advanceLifecycle(next, deltaSeconds);
+  }
+
+  if (input.movingHazards) {
+    next = syncMovingHazards(next, input.movingHazards);
+  }
+  next = resolveLifecycle(applyProximityEffects(next, coords));
+  return {
+    ...next,
+    sessionStats: accumulateSessionStats(next.sessionStats, state, next, coords, deltaSeconds)
+  };
+};
+
+// Replays time that passed while the app was not running. The player's
+// position over that period is unknown, so only position-independent rules
+// run: moving hazards keep travelling, passive regen accrues, status effects
+// and objective time limits run out and a downed player's timers keep
+// counting. Damage (including that of status effects), healing-zone regen,
+// capture holds and time spent waiting inside a healing zone are not credited.
+export const catchUp = (state, elapsedSeconds) => {
+  if (!Number.isFinite(elapsedSeconds) || elapsedSeconds <= 0) {
+    return state;
+  }
+
+  let next = state;
+  let remaining = elapsedSeconds;
+  while (remaining > 0) {
+    const chunk = Math.min(remaining, CATCH_UP_STEP_SECONDS);
+    next = advanceMovingHazards(next, chunk, null);
+    remaining -= chunk;
+  }
+  next = applyPassiveRegen(next, elapsedSeconds);
+  next = advanceStatusEffectClocks({ ...next, statusExposures: [] }, elapsedSeconds);
+  next = advanceObjectiveClocks(
+    {
+      ...next,
+      elapsedSeconds: state.elapsedSeconds + elapsedSeconds,
+      objectives: next.objectives.map((progress) => ({ ...progress, isInside: false }))
+    },
+    elapsedSeconds
+  );
+  return next.lifecycle.status === PLAYER_STATUS.DOWNED
+    ? advanceLifecycle(next, elapsedSeconds)
+    : next;
+};
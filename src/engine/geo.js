@@ -0,0 +1,66 @@
+import { METERS_PER_DEG_LAT } from './constants';
+
+export const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+export const metersPerDegreeLon = (latitude) => Math.cos(toRadians(latitude)) * METERS_PER_DEG_LAT;
+
+export const offsetsToCoords = (center, offsetX, offsetY) => {
+  const deltaLat = offsetY / METERS_PER_DEG_LAT;
+  const deltaLon = offsetX / metersPerDegreeLon(center.latitude);
+  return {
+    latitude: center.latitude + deltaLat,
+    longitude: center.longitude + deltaLon
+  };
+};
+
+// Inverse of offsetsToCoords: metres east (x) and north (y) of `center`.
+export const coordsToOffsets = (center, coords) => ({
+  x: (coords.longitude - center.longitude) * metersPerDegreeLon(center.latitude),
+  y: (coords.latitude - center.latitude) * METERS_PER_DEG_LAT
+});
+
+export const clampOffsetToRadius = (offset, radius) => {
+  const length = Math.hypot(offset.x, offset.y);
+  if (length === 0) {
+    return { x: 0, y: 0 };
+  }
+  if (length <= radius) {
+    return { x: offset.x, y: offset.y };
+  }
+  const scale = (radius * 0.98) / length;
+  return { x: offset.x * scale, y: offset.y * scale };
+};
+
+export const normalizeVector = (vector) => {
+  const length = Math.hypot(vector.x, vector.y) || 1;
+  return { x: vector.x / length, y: vector.y / length };
+};
+
+export const calculateDistanceMeters = (origin, target) => {
+  const earthRadius = 6371e3;
+  const dLat = toRadians(target.latitude - origin.latitude);
+  const dLon = toRadians(target.longitude - origin.longitude);
+  const lat1 = toRadians(origin.latitude);
+  const lat2 = toRadians(target.latitude);
+
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(lat1) * Math.cos(lat2) *
+      Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return earthRadius * c;
+};
+
+// Initial great-circle bearing, clockwise from true north in [0, 360).
+export const calculateBearingDegrees = (origin, target) => {
+  const lat1 = toRadians(origin.latitude);
+  const lat2 = toRadians(target.latitude);
+  const dLon = toRadians(target.longitude - origin.longitude);
+  const y = Math.sin(dLon) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+};
+
+// Compass heading of an (east, north) unit vector, clockwise from north.
+export const vectorToHeadingDegrees = (vector) =>
+  ((Math.atan2(vector.x, vector.y) * 180) / Math.PI + 360) % 360;
@@ -0,0 +1,63 @@
+import { calculateBearingDegrees } from './geo';
+import { distanceToHealingZoneMeters } from './shapes';
+
+export const TRENDS = {
+  APPROACHING: 'approaching',
+  RECEDING: 'receding',
+  STEADY: 'steady'
+};
+
+// GPS jitter moves a fix by a few metres; smaller changes are not a trend.
+export const TREND_THRESHOLD_METERS = 3;
+// A trend that has not been confirmed for this long decays to steady.
+export const TREND_HOLD_SECONDS = 10;
+
+// Compares `distance` with the distance at which the trend last changed
+// (`previous`, a zone summary or nearest healing zone from the last step)
+// rather than with the last step, so a timer tick at the same position does
+// not reset a trend that the last GPS fix established.
+export const trackTrend = (previous, distance, elapsedSeconds) => {
+  if (!previous || !Number.isFinite(previous.trendAnchorMeters)) {
+    return { trend: TRENDS.STEADY, trendAnchorMeters: distance, trendAnchorSeconds: elapsedSeconds };
+  }
+  const change = distance - previous.trendAnchorMeters;
+  if (Math.abs(change) >= TREND_THRESHOLD_METERS) {
+    return {
+      trend: change < 0 ? TRENDS.APPROACHING : TRENDS.RECEDING,
+      trendAnchorMeters: distance,
+      trendAnchorSeconds: elapsedSeconds
+    };
+  }
+  if (elapsedSeconds - previous.trendAnchorSeconds >= TREND_HOLD_SECONDS) {
+    return { trend: TRENDS.STEADY, trendAnchorMeters: distance, trendAnchorSeconds: elapsedSeconds };
+  }
+  return {
+    trend: previous.trend,
+    trendAnchorMeters: previous.trendAnchorMeters,
+    trendAnchorSeconds: previous.trendAnchorSeconds
+  };
+};
+
+// Where to walk to be safe: the healing zone with the shortest walk, with the
+// bearing to its centre.
+export const findNearestHealingZone = (coords, healingZones) =>
+  healingZones.reduce((nearest, zone) => {
+    const distance = distanceToHealingZoneMeters(coords, zone);
+    if (nearest && nearest.distance <= distance) {
+      return nearest;
+    }
+    return {
+      id: zone.id,
+      name: zone.name,
+      center: zone.center,
+      distance,
+      bearingDegrees: calculateBearingDegrees(coords, zone.center)
+    };
+  }, null);
+
+// Bearing as seen by a player facing `headingDegrees` (null: facing north),
+// in (-180, 180]; negative is to the left.
+export const getRelativeBearing = (bearingDegrees, headingDegrees) => {
+  const relative = (((bearingDegrees - (headingDegrees ?? 0)) % 360) + 360) % 360;
+  return relative > 180 ? relative - 360 : relative;
+};
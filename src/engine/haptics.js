@@ -0,0 +1,80 @@
+import { PLAYER_STATUS } from './lifecycle';
+
+// Feedback profiles are plain data (see src/feedback/profiles.js):
+// - metric: what picks the stage. `damagePerSecond` reaches a stage at
+//   value >= threshold; `nearestHazardMeters` (distance to the closest active
+//   hazard) at value <= threshold.
+// - stages: ordered from mildest to strongest; the strongest reached wins.
+//   Each has `intervalMs`, a `pattern` played every interval and an optional
+//   `audio` click rate (clicksPerSecond + clicksPerDamage * damagePerSecond,
+//   capped at maxClicksPerSecond) with its `volume` (0-1).
+// Pattern steps: { type: 'impact', style: light | medium | heavy | soft | rigid },
+// { type: 'notification', style: success | warning | error },
+// { type: 'selection' } and { type: 'pause', ms }.
+
+export const FEEDBACK_METRICS = ['damagePerSecond', 'nearestHazardMeters'];
+
+export const PATTERN_STEP_TYPES = ['impact', 'notification', 'selection', 'pause'];
+
+// The original fixed feedback: 1 / 3 / 6 HP per second, every 3 / 2 / 1 s.
+export const STANDARD_FEEDBACK_PROFILE = {
+  id: 'standard',
+  name: '標準',
+  description: '被ダメージに応じて 3 段階のバイブ',
+  metric: 'damagePerSecond',
+  stages: [
+    { threshold: 1, intervalMs: 3000, pattern: [{ type: 'impact', style: 'light' }] },
+    { threshold: 3, intervalMs: 2000, pattern: [{ type: 'impact', style: 'medium' }] },
+    { threshold: 6, intervalMs: 1000, pattern: [{ type: 'impact', style: 'heavy' }] }
+  ]
+};
+
+const NO_FEEDBACK = { stage: 0, intervalMs: 0, pattern: [], audio: null };
+
+const getMetricValue = (metric, state) => {
+  if (metric !== 'nearestHazardMeters') {
+    return state.damagePerSecond;
+  }
+  const distances = state.zoneSummaries
+    .filter((zone) => zone.isActive && Number.isFinite(zone.distance))
+    .map((zone) => zone.distance);
+  return distances.length > 0 ? Math.min(...distances) : null;
+};
+
+const reachesStage = (metric, value, threshold) =>
+  metric === 'nearestHazardMeters' ? value <= threshold : value >= threshold;
+
+const getClickRate = (audio, damagePerSecond) =>
+  Math.min(
+    audio.clicksPerSecond + (audio.clicksPerDamage ?? 0) * damagePerSecond,
+    audio.maxClicksPerSecond ?? Infinity
+  );
+
+// Stage 0 means "no feedback". Players who are out of play get none.
+export const getFeedbackStage = (profile, state) => {
+  if (state.lifecycle && state.lifecycle.status !== PLAYER_STATUS.ALIVE) {
+    return NO_FEEDBACK;
+  }
+  const value = getMetricValue(profile.metric, state);
+  if (!Number.isFinite(value)) {
+    return NO_FEEDBACK;
+  }
+
+  const index = profile.stages.reduce(
+    (reached, stage, stageIndex) =>
+      reachesStage(profile.metric, value, stage.threshold) ? stageIndex : reached,
+    -1
+  );
+  if (index < 0) {
+    return NO_FEEDBACK;
+  }
+  const { intervalMs, pattern, audio } = profile.stages[index];
+  return {
+    stage: index + 1,
+    intervalMs,
+    pattern,
+    audio: audio
+      ? { clicksPerSecond: getClickRate(audio, state.damagePerSecond), volume: audio.volume ?? 1 }
+      : null
+  };
+};
@@ -0,0 +1,86 @@
+export * from './constants';
+export * from './geo';
+export { evaluateZoneDamage } from './damage';
+export {
+  DEFAULT_DAMAGE_TYPE,
+  DEFAULT_DAMAGE_TYPES,
+  DEFAULT_MAX_REDUCTION,
+  DEFAULT_PER_POINT,
+  MITIGATION_RULES,
+  RESIST_STATS,
+  getResistance,
+  mitigateDamage
+} from './damageTypes';
+export {
+  FEEDBACK_METRICS,
+  PATTERN_STEP_TYPES,
+  STANDARD_FEEDBACK_PROFILE,
+  getFeedbackStage
+} from './haptics';
+export { canSenseHeading, getDetectionRangeMeters, getHealingMultiplier } from './resonance';
+export {
+  MOTION_TYPES,
+  advanceWithinCircle,
+  advanceMovingHazardState,
+  createInitialMovingHazardState,
+  nextRandom
+} from './movingHazard';
+export {
+  SHAPE_TYPES,
+  distanceToHealingZoneMeters,
+  distanceToShapeMeters,
+  distanceToZoneMeters,
+  isInsideHealingZone,
+  shapeCentroid
+} from './shapes';
+export {
+  PLAYER_STATUS,
+  RESPAWN_RULES,
+  createInitialLifecycle,
+  getLivesRemaining
+} from './lifecycle';
+export {
+  INTEGRITY_PENALTIES,
+  SUSPICION_SEVERITIES,
+  SUSPICION_TYPES,
+  createInitialIntegrity,
+  isResultValid
+} from './integrity';
+export {
+  TRENDS,
+  TREND_HOLD_SECONDS,
+  TREND_THRESHOLD_METERS,
+  findNearestHealingZone,
+  getRelativeBearing
+} from './guidance';
+export {
+  DEFAULT_MAX_STACKS,
+  DEFAULT_STACK_EVERY_SECONDS,
+  STACKING_RULES,
+  STATUS_EFFECT_STATS,
+  getEffectiveStats,
+  getRegenMultiplier
+} from './statusEffects';
+export {
+  DEFAULT_OBJECTIVE_RADIUS_METERS,
+  OBJECTIVE_STATUS,
+  OBJECTIVE_TYPES,
+  getMaxObjectiveScore,
+  getObjectiveScore
+} from './objectives';
+export {
+  DEFAULT_MAX_EQUIPPED,
+  DEFAULT_PICKUP_RADIUS_METERS,
+  ITEM_KINDS,
+  ITEM_STATUS,
+  canEquipItem,
+  consumeItem,
+  countEquipped,
+  equipItem,
+  unequipItem
+} from './items';
+export { ACCURACY_RULES, getAccuracyAdjustment, isFixUsable } from './accuracy';
+export { PLAY_AREA_STAGES, evaluatePlayArea } from './playArea';
+export { getEscalation, getNextEscalation, getZoneActivity, scheduleZone } from './schedule';
+export { createSessionStats } from './sessionStats';
+export { catchUp, createInitialState, getPlayerStats, getScore, step } from './engine';
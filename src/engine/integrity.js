@@ -0,0 +1,140 @@
+import { calculateDistanceMeters } from './geo';
+
+// Flags device fixes a player walking with a phone could not have produced:
+// positions Android reports as mocked, and jumps between consecutive fixes
+// that need an impossible speed. The first suspicion at or above the
+// scenario's `antiCheat.penaltySeverity` applies its penalty for the rest of
+// the session:
+// - flag: the result is only marked for review.
+// - freezeRegen: passive and healing-zone regen stop.
+// - invalidate: the result no longer counts.
+// Positions the app replays from a track are flagged as well (`simulated`),
+// and a session fed by one never counts, whatever the penalty.
+
+export const SUSPICION_TYPES = {
+  MOCKED: 'mocked',
+  IMPOSSIBLE_SPEED: 'impossibleSpeed',
+  TELEPORT: 'teleport',
+  SIMULATED: 'simulated'
+};
+
+export const SUSPICION_SEVERITIES = ['low', 'medium', 'high'];
+
+export const INTEGRITY_PENALTIES = ['flag', 'freezeRegen', 'invalidate'];
+
+// Only the latest suspicions stay in the state; the event log keeps them all.
+const MAX_KEPT_SUSPICIONS = 20;
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const round = (value) => Number(value.toFixed(1));
+
+const severityRank = (severity) => SUSPICION_SEVERITIES.indexOf(severity);
+
+export const createInitialIntegrity = () => ({
+  lastFix: null,
+  suspicions: [],
+  suspicionCount: 0,
+  highestSeverity: null,
+  penalty: null,
+  isSimulated: false
+});
+
+// `position` is an expo-location LocationObject; `mocked` is Android only and
+// `simulated` marks positions sampled from a replayed track.
+const toFix = (position) => ({
+  latitude: position.coords.latitude,
+  longitude: position.coords.longitude,
+  accuracy: isFiniteNumber(position.coords.accuracy) ? position.coords.accuracy : 0,
+  timestamp: isFiniteNumber(position.timestamp) ? position.timestamp : null,
+  mocked: position.mocked === true,
+  simulated: position.simulated === true
+});
+
+const detectJump = (previous, fix, config) => {
+  if (!previous || previous.timestamp == null || fix.timestamp == null) {
+    return null;
+  }
+  const distance = calculateDistanceMeters(previous, fix);
+  // Both fixes may be off by their accuracy, in opposite directions.
+  const unexplainedMeters = distance - previous.accuracy - fix.accuracy;
+  if (unexplainedMeters <= 0) {
+    return null;
+  }
+  const seconds = (fix.timestamp - previous.timestamp) / 1000;
+  const speed = seconds > 0 ? unexplainedMeters / seconds : Infinity;
+  if (speed <= config.maxSpeedMetersPerSecond) {
+    return null;
+  }
+
+  const isTeleport = unexplainedMeters >= config.teleportMeters;
+  let severity = speed > config.maxSpeedMetersPerSecond * 2 ? 'medium' : 'low';
+  if (isTeleport) {
+    severity = 'high';
+  }
+  return {
+    type: isTeleport ? SUSPICION_TYPES.TELEPORT : SUSPICION_TYPES.IMPOSSIBLE_SPEED,
+    severity,
+    distanceMeters: round(distance),
+    speedMetersPerSecond: Number.isFinite(speed) ? round(speed) : null
+  };
+};
+
+// Whether the session's result still counts; replayed positions are not
+// play, whatever the scenario's penalty.
+export const isResultValid = (integrity) =>
+  integrity.penalty !== 'invalidate' && !integrity.isSimulated;
+
+const createSourceSuspicion = (type) => ({
+  type,
+  severity: 'high',
+  distanceMeters: null,
+  speedMetersPerSecond: null
+});
+
+// A replay's jumps are the track's, so they are not checked; only switching to
+// it is a new suspicion.
+const inspectSimulatedFix = (previous) =>
+  previous?.simulated ? [] : [createSourceSuspicion(SUSPICION_TYPES.SIMULATED)];
+
+// A mock provider stays on for many fixes; only its start is a new suspicion.
+const inspectDeviceFix = (previous, fix, config) => {
+  const found = [];
+  if (fix.mocked && !previous?.mocked) {
+    found.push(createSourceSuspicion(SUSPICION_TYPES.MOCKED));
+  }
+  const jump = detectJump(previous, fix, config);
+  if (jump) {
+    found.push(jump);
+  }
+  return found;
+};
+
+// Checks one raw fix against the previous one.
+export const inspectFix = (integrity, position, config) => {
+  const fix = toFix(position);
+  const found = fix.simulated
+    ? inspectSimulatedFix(integrity.lastFix)
+    : inspectDeviceFix(integrity.lastFix, fix, config);
+  const isSimulated = integrity.isSimulated || fix.simulated;
+  if (found.length === 0) {
+    return { ...integrity, lastFix: fix, isSimulated };
+  }
+
+  const suspicions = found.map((suspicion) => ({ ...suspicion, timestamp: fix.timestamp }));
+  const highestSeverity = suspicions.reduce(
+    (highest, suspicion) =>
+      severityRank(suspicion.severity) > severityRank(highest) ? suspicion.severity : highest,
+    integrity.highestSeverity
+  );
+  const reachesPenalty = severityRank(highestSeverity) >= severityRank(config.penaltySeverity);
+
+  return {
+    lastFix: fix,
+    suspicions: [...integrity.suspicions, ...suspicions].slice(-MAX_KEPT_SUSPICIONS),
+    suspicionCount: integrity.suspicionCount + suspicions.length,
+    highestSeverity,
+    penalty: integrity.penalty ?? (reachesPenalty ? config.penalty : null),
+    isSimulated
+  };
+};
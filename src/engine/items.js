@@ -0,0 +1,139 @@
+import { MAX_HP, SECONDARY_STAT_MAX } from './constants';
+import { calculateDistanceMeters } from './geo';
+import { PLAYER_STATUS } from './lifecycle';
+import { STATUS_EFFECT_STATS, applyStatusExposures } from './statusEffects';
+
+// Items are placed in the scenario (`items`, each of an `itemTypes` entry) and
+// picked up by walking within `pickupRadiusMeters`. Each placed item can be
+// picked up once per game.
+// - consumable: used up on use; restores `hp`, adds `guard` / `resonance` to
+//   the base stats for good and applies the status effects in `applies`
+//   (e.g. a charm that raises guard for a while).
+// - equipment: adds `guard` / `resonance` while equipped, up to
+//   `inventory.maxEquipped` items at a time.
+// Only players who are alive pick up and use items.
+
+export const ITEM_KINDS = ['consumable', 'equipment'];
+
+export const ITEM_STATUS = {
+  PLACED: 'placed',
+  CARRIED: 'carried',
+  EQUIPPED: 'equipped',
+  USED: 'used'
+};
+
+export const DEFAULT_PICKUP_RADIUS_METERS = 10;
+export const DEFAULT_MAX_EQUIPPED = 2;
+
+// Item states are kept in scenario order: [{ id, status }].
+export const createItemState = (item) => ({ id: item.id, status: ITEM_STATUS.PLACED });
+
+const isAlive = (state) => state.lifecycle.status === PLAYER_STATUS.ALIVE;
+
+// Returns `itemStates` itself when nothing was picked up.
+export const collectItems = (itemStates, items, coords) => {
+  const pickedUp = itemStates.map((itemState, index) =>
+    itemState.status === ITEM_STATUS.PLACED &&
+    calculateDistanceMeters(coords, items[index].coords) <= items[index].pickupRadiusMeters
+      ? { ...itemState, status: ITEM_STATUS.CARRIED }
+      : itemState
+  );
+  return pickedUp.some((itemState, index) => itemState !== itemStates[index])
+    ? pickedUp
+    : itemStates;
+};
+
+export const getEquipmentBonus = (itemStates, items, itemTypes) =>
+  Object.fromEntries(
+    STATUS_EFFECT_STATS.map((stat) => [
+      stat,
+      itemStates.reduce(
+        (sum, itemState, index) =>
+          itemState.status === ITEM_STATUS.EQUIPPED
+            ? sum + itemTypes[items[index].type][stat]
+            : sum,
+        0
+      )
+    ])
+  );
+
+export const countEquipped = (itemStates) =>
+  itemStates.filter((itemState) => itemState.status === ITEM_STATUS.EQUIPPED).length;
+
+const findItem = (state, itemId) => {
+  const index = state.scenario.items.findIndex((item) => item.id === itemId);
+  if (index < 0) {
+    return null;
+  }
+  const item = state.scenario.items[index];
+  return {
+    index,
+    status: state.items[index].status,
+    definition: state.scenario.itemTypes[item.type]
+  };
+};
+
+const setItemStatus = (itemStates, index, status) =>
+  itemStates.map((itemState, position) =>
+    position === index ? { ...itemState, status } : itemState
+  );
+
+const clampStat = (value) => Math.min(Math.max(value, 0), SECONDARY_STAT_MAX);
+
+// The actions below return the state unchanged when they do not apply. They
+// run outside `step`: follow them with a position-only step so damage and
+// effects are evaluated with the new stats.
+
+export const consumeItem = (state, itemId) => {
+  const found = findItem(state, itemId);
+  if (
+    !found ||
+    found.status !== ITEM_STATUS.CARRIED ||
+    found.definition.kind !== 'consumable' ||
+    !isAlive(state)
+  ) {
+    return state;
+  }
+  const { definition, index } = found;
+  return {
+    ...state,
+    stats: {
+      ...state.stats,
+      hp: Math.min(state.stats.hp + definition.hp, MAX_HP),
+      guard: clampStat(state.stats.guard + definition.guard),
+      resonance: clampStat(state.stats.resonance + definition.resonance)
+    },
+    statusEffects: applyStatusExposures(
+      state.statusEffects,
+      definition.applies,
+      state.scenario.statusEffects
+    ),
+    items: setItemStatus(state.items, index, ITEM_STATUS.USED)
+  };
+};
+
+export const canEquipItem = (state, itemId) => {
+  const found = findItem(state, itemId);
+  return (
+    found != null &&
+    found.status === ITEM_STATUS.CARRIED &&
+    found.definition.kind === 'equipment' &&
+    countEquipped(state.items) < state.scenario.inventory.maxEquipped
+  );
+};
+
+export const equipItem = (state, itemId) =>
+  canEquipItem(state, itemId)
+    ? {
+        ...state,
+        items: setItemStatus(state.items, findItem(state, itemId).index, ITEM_STATUS.EQUIPPED)
+      }
+    : state;
+
+export const unequipItem = (state, itemId) => {
+  const found = findItem(state, itemId);
+  if (!found || found.status !== ITEM_STATUS.EQUIPPED) {
+    return state;
+  }
+  return { ...state, items: setItemStatus(state.items, found.index, ITEM_STATUS.CARRIED) };
+};
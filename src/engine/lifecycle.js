@@ -0,0 +1,102 @@
+import { MAX_HP } from './constants';
+
+export const PLAYER_STATUS = {
+  ALIVE: 'alive',
+  DOWNED: 'downed',
+  RESPAWNING: 'respawning',
+  ELIMINATED: 'eliminated'
+};
+
+export const RESPAWN_RULES = ['healingZone', 'inPlace'];
+
+export const createInitialLifecycle = () => ({
+  status: PLAYER_STATUS.ALIVE,
+  downedSeconds: 0,
+  respawnSeconds: 0,
+  respawnsUsed: 0
+});
+
+// null means unlimited respawns.
+export const getLivesRemaining = (lifecycle, respawnConfig) =>
+  respawnConfig.maxRespawns == null
+    ? null
+    : Math.max(respawnConfig.maxRespawns - lifecycle.respawnsUsed, 0);
+
+const withLifecycle = (state, changes) => ({
+  ...state,
+  lifecycle: { ...state.lifecycle, ...changes }
+});
+
+const respawn = (state) => {
+  const { hpOnRespawn } = state.scenario.respawn;
+  return {
+    ...withLifecycle(state, {
+      status: PLAYER_STATUS.ALIVE,
+      downedSeconds: 0,
+      respawnSeconds: 0,
+      respawnsUsed: state.lifecycle.respawnsUsed + 1
+    }),
+    stats: { ...state.stats, hp: Math.min(hpOnRespawn, MAX_HP) }
+  };
+};
+
+// Transitions driven by time: downed timeout, in-place respawn and the wait
+// inside a healing zone.
+export const advanceLifecycle = (state, deltaSeconds) => {
+  const { lifecycle } = state;
+  const config = state.scenario.respawn;
+
+  if (lifecycle.status === PLAYER_STATUS.DOWNED) {
+    const downedSeconds = lifecycle.downedSeconds + deltaSeconds;
+    if (config.downedTimeoutSeconds != null && downedSeconds >= config.downedTimeoutSeconds) {
+      return withLifecycle(state, { status: PLAYER_STATUS.ELIMINATED, downedSeconds });
+    }
+    if (config.rule === 'inPlace' && downedSeconds >= config.waitSeconds) {
+      return respawn(state);
+    }
+    return withLifecycle(state, { downedSeconds });
+  }
+
+  if (lifecycle.status === PLAYER_STATUS.RESPAWNING) {
+    const respawnSeconds = lifecycle.respawnSeconds + deltaSeconds;
+    if (respawnSeconds >= config.waitSeconds) {
+      return respawn(state);
+    }
+    return withLifecycle(state, { respawnSeconds });
+  }
+
+  return state;
+};
+
+// Transitions driven by the latest HP and position.
+export const resolveLifecycle = (state) => {
+  const { lifecycle } = state;
+  const config = state.scenario.respawn;
+
+  switch (lifecycle.status) {
+    case PLAYER_STATUS.ALIVE:
+      if (state.stats.hp > 0) {
+        return state;
+      }
+      return withLifecycle(state, {
+        status:
+          getLivesRemaining(lifecycle, config) === 0
+            ? PLAYER_STATUS.ELIMINATED
+            : PLAYER_STATUS.DOWNED,
+        downedSeconds: 0,
+        respawnSeconds: 0
+      });
+    case PLAYER_STATUS.DOWNED:
+      if (config.rule === 'healingZone' && state.isInHealingZone) {
+        return withLifecycle(state, { status: PLAYER_STATUS.RESPAWNING, respawnSeconds: 0 });
+      }
+      return state;
+    case PLAYER_STATUS.RESPAWNING:
+      if (!state.isInHealingZone) {
+        return withLifecycle(state, { status: PLAYER_STATUS.DOWNED, respawnSeconds: 0 });
+      }
+      return state;
+    default:
+      return state;
+  }
+};
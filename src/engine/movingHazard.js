@@ -0,0 +1,213 @@
+import {
+  clampOffsetToRadius,
+  coordsToOffsets,
+  normalizeVector,
+  offsetsToCoords,
+  toRadians
+} from './geo';
+
+export const advanceWithinCircle = (offset, direction, distance, radius) => {
+  let remaining = distance;
+  let position = { ...offset };
+  let currentDirection = { ...direction };
+  let guard = 0;
+
+  while (remaining > 0 && guard < 4) {
+    const targetX = position.x + currentDirection.x * remaining;
+    const targetY = position.y + currentDirection.y * remaining;
+    const targetDistance = Math.hypot(targetX, targetY);
+
+    if (targetDistance <= radius) {
+      position = { x: targetX, y: targetY };
+      remaining = 0;
+      break;
+    }
+
+    const pd = position.x * currentDirection.x + position.y * currentDirection.y;
+    const pp = position.x * position.x + position.y * position.y;
+    const radiusSquared = radius * radius;
+    const discriminant = pd * pd - (pp - radiusSquared);
+
+    if (discriminant < 0) {
+      // Numerically unstable; clamp to boundary and stop.
+      const safeScale = radius / Math.max(Math.hypot(position.x, position.y), 1);
+      position = { x: position.x * safeScale, y: position.y * safeScale };
+      remaining = 0;
+      break;
+    }
+
+    const travelToBoundary = -pd + Math.sqrt(discriminant);
+    position = {
+      x: position.x + currentDirection.x * travelToBoundary,
+      y: position.y + currentDirection.y * travelToBoundary
+    };
+    remaining = Math.max(remaining - travelToBoundary, 0);
+
+    const normalX = position.x / radius;
+    const normalY = position.y / radius;
+    const dot = currentDirection.x * normalX + currentDirection.y * normalY;
+    currentDirection = normalizeVector({
+      x: currentDirection.x - 2 * dot * normalX,
+      y: currentDirection.y - 2 * dot * normalY
+    });
+
+    guard += 1;
+  }
+
+  return { position, direction: currentDirection };
+};
+
+const headingToDirection = (headingDegrees) =>
+  normalizeVector({
+    x: Math.cos(toRadians(headingDegrees)),
+    y: Math.sin(toRadians(headingDegrees))
+  });
+
+// mulberry32: small, fast and fully described by one 32-bit integer, so the
+// generator state can live in the (persisted) hazard state.
+export const nextRandom = (seed) => {
+  const state = (seed + 0x6d2b79f5) >>> 0;
+  let t = state;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return { value: ((t ^ (t >>> 14)) >>> 0) / 4294967296, seed: state };
+};
+
+const rotateVector = (vector, radians) => ({
+  x: vector.x * Math.cos(radians) - vector.y * Math.sin(radians),
+  y: vector.x * Math.sin(radians) + vector.y * Math.cos(radians)
+});
+
+const initialArenaOffset = (config) =>
+  clampOffsetToRadius(
+    config.initialOffsetMeters ?? { x: config.radiusMeters * 0.5, y: 0 },
+    config.radiusMeters
+  );
+
+// Each motion model owns whatever extra per-hazard state it needs next to the
+// common `offset` (metres from `config.center`) and unit `direction`.
+const MOTION_MODELS = {
+  bounce: {
+    init: (config) => ({
+      offset: initialArenaOffset(config),
+      direction: headingToDirection(config.initialHeadingDegrees ?? 0)
+    }),
+    advance: (hazardState, config, deltaSeconds) => {
+      const { position, direction } = advanceWithinCircle(
+        hazardState.offset,
+        hazardState.direction,
+        config.speedMetersPerSecond * deltaSeconds,
+        config.radiusMeters
+      );
+      return { offset: position, direction };
+    }
+  },
+
+  patrol: {
+    init: (config) => {
+      const waypoints = config.motion.waypointOffsets;
+      const offset = waypoints[0];
+      return {
+        offset,
+        direction: normalizeVector({ x: waypoints[1].x - offset.x, y: waypoints[1].y - offset.y }),
+        waypointIndex: 1
+      };
+    },
+    advance: (hazardState, config, deltaSeconds) => {
+      const waypoints = config.motion.waypointOffsets;
+      let remaining = config.speedMetersPerSecond * deltaSeconds;
+      let { offset, direction, waypointIndex } = hazardState;
+
+      // Bounded so a zero-length loop cannot spin forever.
+      for (let hops = 0; remaining > 0 && hops <= waypoints.length; hops += 1) {
+        const target = waypoints[waypointIndex];
+        const toTarget = { x: target.x - offset.x, y: target.y - offset.y };
+        const distance = Math.hypot(toTarget.x, toTarget.y);
+        if (distance > remaining) {
+          direction = normalizeVector(toTarget);
+          offset = { x: offset.x + direction.x * remaining, y: offset.y + direction.y * remaining };
+          remaining = 0;
+          break;
+        }
+        offset = { ...target };
+        remaining -= distance;
+        waypointIndex = (waypointIndex + 1) % waypoints.length;
+      }
+      return { offset, direction, waypointIndex };
+    }
+  },
+
+  randomWalk: {
+    init: (config) => ({
+      offset: initialArenaOffset(config),
+      direction: headingToDirection(config.initialHeadingDegrees ?? 0),
+      seed: config.motion.seed >>> 0
+    }),
+    advance: (hazardState, config, deltaSeconds) => {
+      const { value, seed } = nextRandom(hazardState.seed);
+      const maxTurn = toRadians(config.motion.turnDegreesPerSecond) * deltaSeconds;
+      const turned = normalizeVector(rotateVector(hazardState.direction, (value * 2 - 1) * maxTurn));
+      const { position, direction } = advanceWithinCircle(
+        hazardState.offset,
+        turned,
+        config.speedMetersPerSecond * deltaSeconds,
+        config.radiusMeters
+      );
+      return { offset: position, direction, seed };
+    }
+  },
+
+  chase: {
+    init: (config) => ({
+      offset:
+        config.radiusMeters != null
+          ? initialArenaOffset(config)
+          : config.initialOffsetMeters ?? { x: 0, y: 0 },
+      direction: headingToDirection(config.initialHeadingDegrees ?? 0)
+    }),
+    // Without a known player position (e.g. offline catch-up) the hazard waits.
+    advance: (hazardState, config, deltaSeconds, playerCoords) => {
+      if (!playerCoords) {
+        return hazardState;
+      }
+      const player = coordsToOffsets(config.center, playerCoords);
+      const toPlayer = { x: player.x - hazardState.offset.x, y: player.y - hazardState.offset.y };
+      const distance = Math.hypot(toPlayer.x, toPlayer.y);
+      if (distance === 0) {
+        return hazardState;
+      }
+      const direction = normalizeVector(toPlayer);
+      const travel = Math.min(config.speedMetersPerSecond * deltaSeconds, distance);
+      const moved = {
+        x: hazardState.offset.x + direction.x * travel,
+        y: hazardState.offset.y + direction.y * travel
+      };
+      return {
+        offset: config.radiusMeters != null ? clampOffsetToRadius(moved, config.radiusMeters) : moved,
+        direction
+      };
+    }
+  }
+};
+
+export const MOTION_TYPES = Object.keys(MOTION_MODELS);
+
+const getMotionModel = (config) => MOTION_MODELS[config.motion?.type ?? 'bounce'];
+
+export const createInitialMovingHazardState = (config) => {
+  const modelState = getMotionModel(config).init(config);
+  return {
+    id: config.id,
+    ...modelState,
+    coords: offsetsToCoords(config.center, modelState.offset.x, modelState.offset.y)
+  };
+};
+
+export const advanceMovingHazardState = (hazardState, config, deltaSeconds, playerCoords = null) => {
+  const modelState = getMotionModel(config).advance(hazardState, config, deltaSeconds, playerCoords);
+  return {
+    ...hazardState,
+    ...modelState,
+    coords: offsetsToCoords(config.center, modelState.offset.x, modelState.offset.y)
+  };
+};
@@ -0,0 +1,145 @@
+import { calculateBearingDegrees, calculateDistanceMeters } from './geo';
+
+// Objectives give players something to win besides staying alive. Scenarios
+// list them in `objectives`; each awards its `score` once completed and fails
+// if `timeLimitSeconds` (on the match clock) passes first. Targets are
+// circular geofences: `coords` and `radiusMeters`.
+// - checkpoints: visit `checkpoints` in order.
+// - capture: stay inside for `holdSeconds` in one go; leaving starts the count
+//   over (losing the fix only pauses it).
+// - reach: get inside with at least `minHp` HP.
+// Only players who are alive make progress.
+
+export const OBJECTIVE_TYPES = ['checkpoints', 'capture', 'reach'];
+
+export const OBJECTIVE_STATUS = {
+  ACTIVE: 'active',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+export const DEFAULT_OBJECTIVE_RADIUS_METERS = 15;
+
+// Progress is kept in scenario order: [{ id, status, checkpointIndex,
+// heldSeconds, completedAtSeconds }] plus where the current target is from the
+// last evaluated position.
+export const createObjectiveProgress = (objective) => ({
+  id: objective.id,
+  status: OBJECTIVE_STATUS.ACTIVE,
+  checkpointIndex: 0,
+  heldSeconds: 0,
+  completedAtSeconds: null,
+  isInside: false,
+  distance: null,
+  bearingDegrees: null
+});
+
+const getTarget = (objective, progress) =>
+  objective.type === 'checkpoints' ? objective.checkpoints[progress.checkpointIndex] : objective;
+
+const isOverdue = (objective, seconds) =>
+  objective.timeLimitSeconds != null && seconds > objective.timeLimitSeconds;
+
+const unlocated = { isInside: false, distance: null, bearingDegrees: null };
+
+const complete = (progress, completedAtSeconds) => ({
+  ...progress,
+  ...unlocated,
+  status: OBJECTIVE_STATUS.COMPLETED,
+  completedAtSeconds
+});
+
+const expire = (progress, objective, elapsedSeconds) =>
+  progress.status === OBJECTIVE_STATUS.ACTIVE && isOverdue(objective, elapsedSeconds)
+    ? { ...progress, ...unlocated, status: OBJECTIVE_STATUS.FAILED }
+    : progress;
+
+const locate = (progress, objective, coords) => {
+  const target = getTarget(objective, progress);
+  const distance = calculateDistanceMeters(coords, target.coords);
+  return {
+    ...progress,
+    distance,
+    bearingDegrees: calculateBearingDegrees(coords, target.coords),
+    isInside: distance <= target.radiusMeters
+  };
+};
+
+// Several checkpoints may be passed at once when their circles overlap.
+const evaluateCheckpoints = (progress, objective, coords, elapsedSeconds) => {
+  let current = locate(progress, objective, coords);
+  while (current.isInside) {
+    const checkpointIndex = current.checkpointIndex + 1;
+    if (checkpointIndex === objective.checkpoints.length) {
+      return complete({ ...current, checkpointIndex }, elapsedSeconds);
+    }
+    current = locate({ ...current, checkpointIndex }, objective, coords);
+  }
+  return current;
+};
+
+// Called whenever the position is evaluated; `coords` may be null.
+export const evaluateObjectives = (progressList, objectives, context) => {
+  const { coords, hp, isAlive, elapsedSeconds } = context;
+  return progressList.map((progress, index) => {
+    const objective = objectives[index];
+    const current = expire(progress, objective, elapsedSeconds);
+    if (current.status !== OBJECTIVE_STATUS.ACTIVE) {
+      return current;
+    }
+    if (!coords) {
+      return { ...current, ...unlocated };
+    }
+    if (!isAlive) {
+      // Going down breaks a capture, like leaving would.
+      return { ...locate(current, objective, coords), isInside: false, heldSeconds: 0 };
+    }
+
+    switch (objective.type) {
+      case 'checkpoints':
+        return evaluateCheckpoints(current, objective, coords, elapsedSeconds);
+      case 'reach': {
+        const located = locate(current, objective, coords);
+        return located.isInside && hp >= objective.minHp
+          ? complete(located, elapsedSeconds)
+          : located;
+      }
+      default: {
+        const located = locate(current, objective, coords);
+        return located.isInside ? located : { ...located, heldSeconds: 0 };
+      }
+    }
+  });
+};
+
+// Runs capture holds for `deltaSeconds` spent where the position was last
+// evaluated and fails whatever ran out of time; `elapsedSeconds` is the match
+// clock at the end of the interval.
+export const advanceObjectives = (progressList, objectives, deltaSeconds, elapsedSeconds) =>
+  progressList.map((progress, index) => {
+    const objective = objectives[index];
+    if (
+      progress.status === OBJECTIVE_STATUS.ACTIVE &&
+      objective.type === 'capture' &&
+      progress.isInside
+    ) {
+      const heldSeconds = progress.heldSeconds + deltaSeconds;
+      const overshoot = heldSeconds - objective.holdSeconds;
+      const completedAtSeconds = elapsedSeconds - overshoot;
+      if (overshoot >= 0 && !isOverdue(objective, completedAtSeconds)) {
+        return complete({ ...progress, heldSeconds: objective.holdSeconds }, completedAtSeconds);
+      }
+      return expire({ ...progress, heldSeconds }, objective, elapsedSeconds);
+    }
+    return expire(progress, objective, elapsedSeconds);
+  });
+
+export const getObjectiveScore = (progressList, objectives) =>
+  progressList.reduce(
+    (score, progress, index) =>
+      progress.status === OBJECTIVE_STATUS.COMPLETED ? score + objectives[index].score : score,
+    0
+  );
+
+export const getMaxObjectiveScore = (objectives) =>
+  objectives.reduce((score, objective) => score + objective.score, 0);
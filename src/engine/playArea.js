@@ -0,0 +1,96 @@
+import { calculateDistanceMeters, offsetsToCoords } from './geo';
+
+// A battle-royale style safe circle. The scenario's phases are normalized
+// (src/scenario) so that each carries a `targetOffset`: metres east/north of
+// the initial centre where the circle ends up after that phase's shrink.
+// Everything here is a pure function of the match clock.
+
+export const PLAY_AREA_STAGES = {
+  WAITING: 'waiting',
+  WARNING: 'warning',
+  SHRINKING: 'shrinking',
+  FINAL: 'final'
+};
+
+const interpolate = (from, to, ratio) => from + (to - from) * ratio;
+
+const getCircleAt = (config, elapsedSeconds) => {
+  let phaseStart = 0;
+  let offset = { x: 0, y: 0 };
+  let radiusMeters = config.radiusMeters;
+  let { damagePerSecond } = config;
+
+  for (let index = 0; index < config.phases.length; index += 1) {
+    const phase = config.phases[index];
+    const shrinkStart = phaseStart + phase.waitSeconds;
+    const shrinkEnd = shrinkStart + phase.shrinkSeconds;
+    const next = { offset: phase.targetOffset, radiusMeters: phase.radiusMeters };
+
+    if (elapsedSeconds < shrinkStart) {
+      return {
+        stage:
+          elapsedSeconds >= shrinkStart - phase.warningSeconds
+            ? PLAY_AREA_STAGES.WARNING
+            : PLAY_AREA_STAGES.WAITING,
+        phaseIndex: index,
+        offset,
+        radiusMeters,
+        damagePerSecond,
+        secondsUntilShrink: shrinkStart - elapsedSeconds,
+        secondsUntilShrinkEnds: shrinkEnd - elapsedSeconds,
+        next
+      };
+    }
+    if (elapsedSeconds < shrinkEnd) {
+      const ratio = (elapsedSeconds - shrinkStart) / phase.shrinkSeconds;
+      return {
+        stage: PLAY_AREA_STAGES.SHRINKING,
+        phaseIndex: index,
+        offset: {
+          x: interpolate(offset.x, phase.targetOffset.x, ratio),
+          y: interpolate(offset.y, phase.targetOffset.y, ratio)
+        },
+        radiusMeters: interpolate(radiusMeters, phase.radiusMeters, ratio),
+        damagePerSecond: phase.damagePerSecond,
+        secondsUntilShrink: 0,
+        secondsUntilShrinkEnds: shrinkEnd - elapsedSeconds,
+        next
+      };
+    }
+
+    phaseStart = shrinkEnd;
+    offset = phase.targetOffset;
+    radiusMeters = phase.radiusMeters;
+    damagePerSecond = phase.damagePerSecond;
+  }
+
+  return {
+    stage: PLAY_AREA_STAGES.FINAL,
+    phaseIndex: config.phases.length,
+    offset,
+    radiusMeters,
+    damagePerSecond,
+    secondsUntilShrink: null,
+    secondsUntilShrinkEnds: null,
+    next: null
+  };
+};
+
+// `coords` may be null (no fix yet); the circle and countdown are still known.
+export const evaluatePlayArea = (config, elapsedSeconds, coords) => {
+  const { next, offset, ...circle } = getCircleAt(config, elapsedSeconds);
+  const center = offsetsToCoords(config.center, offset.x, offset.y);
+  const distanceFromCenter = coords ? calculateDistanceMeters(center, coords) : null;
+
+  return {
+    ...circle,
+    phaseCount: config.phases.length,
+    center,
+    nextCenter: next ? offsetsToCoords(config.center, next.offset.x, next.offset.y) : null,
+    nextRadiusMeters: next?.radiusMeters ?? null,
+    isOutside: distanceFromCenter != null && distanceFromCenter > circle.radiusMeters,
+    // Positive outside the circle, negative (distance to the edge) inside.
+    distanceToEdgeMeters:
+      distanceFromCenter == null ? null : distanceFromCenter - circle.radiusMeters
+  };
+};
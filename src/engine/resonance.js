@@ -0,0 +1,16 @@
+// 響力 (resonance) effects. Every effect is opt-in per scenario through
+// `resonanceEffects`; a missing value leaves that rule as it was before
+// resonance did anything.
+
+export const getDetectionRangeMeters = (zone, resonance, effects) => {
+  if (effects.detectionMetersPerPoint == null) {
+    return Infinity;
+  }
+  return zone.safeRadius + resonance * effects.detectionMetersPerPoint;
+};
+
+export const getHealingMultiplier = (resonance, effects) =>
+  1 + resonance * effects.healingBonusPerPoint;
+
+export const canSenseHeading = (resonance, effects) =>
+  effects.headingSenseThreshold != null && resonance >= effects.headingSenseThreshold;
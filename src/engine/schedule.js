@@ -0,0 +1,77 @@
+// Time-dependent zone settings, all driven by the match clock
+// (`state.elapsedSeconds`):
+// - `schedule.windows`: when a zone is active; omitted means always.
+// - `schedule.warmupSeconds`: damage ramps up linearly after each activation.
+// - `schedule.phases` and the scenario's `difficultyPhases`: multipliers for
+//   damage and `safeRadius` from `atSeconds` onwards. Both apply together.
+// Windows and phases are sorted by the scenario loader.
+
+const ALWAYS_ACTIVE = {
+  isActive: true,
+  intensity: 1,
+  secondsUntilActive: null,
+  secondsUntilInactive: null
+};
+
+export const getZoneActivity = (schedule, elapsedSeconds) => {
+  if (!schedule?.windows) {
+    return ALWAYS_ACTIVE;
+  }
+
+  const window = schedule.windows.find(
+    ({ startSeconds, endSeconds }) =>
+      elapsedSeconds >= startSeconds && (endSeconds == null || elapsedSeconds < endSeconds)
+  );
+  if (window) {
+    const warmupSeconds = schedule.warmupSeconds ?? 0;
+    const sinceStart = elapsedSeconds - window.startSeconds;
+    return {
+      isActive: true,
+      intensity: warmupSeconds > 0 ? Math.min(sinceStart / warmupSeconds, 1) : 1,
+      secondsUntilActive: null,
+      secondsUntilInactive: window.endSeconds == null ? null : window.endSeconds - elapsedSeconds
+    };
+  }
+
+  const upcoming = schedule.windows.find(({ startSeconds }) => startSeconds > elapsedSeconds);
+  return {
+    isActive: false,
+    intensity: 0,
+    secondsUntilActive: upcoming ? upcoming.startSeconds - elapsedSeconds : null,
+    secondsUntilInactive: null
+  };
+};
+
+export const getEscalation = (phases, elapsedSeconds) =>
+  (phases ?? []).reduce(
+    (current, phase) =>
+      phase.atSeconds <= elapsedSeconds
+        ? {
+            damageMultiplier: phase.damageMultiplier ?? 1,
+            safeRadiusMultiplier: phase.safeRadiusMultiplier ?? 1
+          }
+        : current,
+    { damageMultiplier: 1, safeRadiusMultiplier: 1 }
+  );
+
+export const getNextEscalation = (phases, elapsedSeconds) =>
+  (phases ?? []).find((phase) => phase.atSeconds > elapsedSeconds) ?? null;
+
+// Returns the zone with its damage curve and safeRadius scaled for the current
+// time, plus how strongly it is active right now.
+export const scheduleZone = (zone, difficultyPhases, elapsedSeconds) => {
+  const own = getEscalation(zone.schedule?.phases, elapsedSeconds);
+  const global = getEscalation(difficultyPhases, elapsedSeconds);
+  const damageMultiplier = own.damageMultiplier * global.damageMultiplier;
+  const safeRadiusMultiplier = own.safeRadiusMultiplier * global.safeRadiusMultiplier;
+
+  return {
+    ...zone,
+    safeRadius: zone.safeRadius * safeRadiusMultiplier,
+    baseDamage: (zone.baseDamage ?? 0) * damageMultiplier,
+    scale: (zone.scale ?? 0) * damageMultiplier,
+    maxDamage: zone.maxDamage == null ? null : zone.maxDamage * damageMultiplier,
+    damageMultiplier,
+    activity: getZoneActivity(zone.schedule, elapsedSeconds)
+  };
+};
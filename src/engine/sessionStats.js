@@ -0,0 +1,60 @@
+import { calculateDistanceMeters } from './geo';
+
+// Running totals for the post-game summary. Kept in the engine state so they
+// are saved and restored together with the rest of the session.
+export const createSessionStats = (initialHp) => ({
+  totalDamage: 0,
+  peakDamagePerSecond: 0,
+  lowestHp: initialHp,
+  distanceWalkedMeters: 0,
+  lastCoords: null,
+  healingZoneSeconds: 0,
+  zones: {},
+  damageByType: {}
+});
+
+const createZoneEntry = () => ({ damage: 0, secondsInside: 0, closestMeters: Infinity });
+
+// Time and damage over a step belong to the position held before it (the one
+// the damage rate came from); closest approach uses the new position.
+export const accumulateSessionStats = (sessionStats, previous, state, coords, deltaSeconds) => {
+  const zones = { ...sessionStats.zones };
+  const damageByType = { ...sessionStats.damageByType };
+  const damageRatio = previous.damagePerSecond > 0 ? state.lastDamage / previous.damagePerSecond : 0;
+
+  previous.zoneSummaries.forEach((summary) => {
+    const entry = zones[summary.id] ?? createZoneEntry();
+    zones[summary.id] = {
+      ...entry,
+      damage: entry.damage + summary.mitigatedDamage * damageRatio,
+      secondsInside: entry.secondsInside + (summary.isInsideSafeRadius ? deltaSeconds : 0)
+    };
+    summary.damageByType.forEach(({ type, mitigatedDamage }) => {
+      damageByType[type] = (damageByType[type] ?? 0) + mitigatedDamage * damageRatio;
+    });
+  });
+  previous.statusEffects.forEach((effect) => {
+    effect.damageByType.forEach(({ type, mitigatedDamage }) => {
+      damageByType[type] = (damageByType[type] ?? 0) + mitigatedDamage * damageRatio;
+    });
+  });
+  state.zoneSummaries.forEach((summary) => {
+    const entry = zones[summary.id] ?? createZoneEntry();
+    zones[summary.id] = { ...entry, closestMeters: Math.min(entry.closestMeters, summary.distance) };
+  });
+
+  const { lastCoords } = sessionStats;
+  const walked = coords && lastCoords ? calculateDistanceMeters(lastCoords, coords) : 0;
+
+  return {
+    totalDamage: sessionStats.totalDamage + state.lastDamage,
+    peakDamagePerSecond: Math.max(sessionStats.peakDamagePerSecond, state.damagePerSecond),
+    lowestHp: Math.min(sessionStats.lowestHp, state.stats.hp),
+    distanceWalkedMeters: sessionStats.distanceWalkedMeters + walked,
+    lastCoords: coords ?? lastCoords,
+    healingZoneSeconds:
+      sessionStats.healingZoneSeconds + (previous.isInHealingZone ? deltaSeconds : 0),
+    zones,
+    damageByType
+  };
+};
@@ -0,0 +1,92 @@
+import { calculateDistanceMeters, coordsToOffsets } from './geo';
+
+// Shapes use GeoJSON geometry objects ([longitude, latitude] positions):
+// - Polygon: outer ring plus optional holes; distance is 0 inside.
+// - LineString with `bufferMeters`: a corridor around the polyline.
+// Zones are small enough that a flat projection centred on the player is
+// accurate to well under a metre.
+
+export const SHAPE_TYPES = ['Polygon', 'LineString'];
+
+const toPoint = ([longitude, latitude]) => ({ latitude, longitude });
+
+const distanceToSegment = (a, b) => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t =
+    lengthSquared === 0 ? 0 : Math.min(Math.max(-(a.x * dx + a.y * dy) / lengthSquared, 0), 1);
+  return Math.hypot(a.x + dx * t, a.y + dy * t);
+};
+
+const distanceToPath = (points) => {
+  let nearest = Infinity;
+  for (let index = 1; index < points.length; index += 1) {
+    nearest = Math.min(nearest, distanceToSegment(points[index - 1], points[index]));
+  }
+  return nearest;
+};
+
+// Ray casting from the origin (the player) along +x.
+const containsOrigin = (ring) => {
+  let inside = false;
+  for (let index = 0, previous = ring.length - 1; index < ring.length; previous = index, index += 1) {
+    const a = ring[index];
+    const b = ring[previous];
+    if (a.y > 0 !== b.y > 0 && 0 < ((b.x - a.x) * -a.y) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+const closeRing = (points) => {
+  const first = points[0];
+  const last = points[points.length - 1];
+  return first.x === last.x && first.y === last.y ? points : [...points, first];
+};
+
+export const distanceToShapeMeters = (coords, shape) => {
+  const project = (position) => coordsToOffsets(coords, toPoint(position));
+
+  if (shape.type === 'LineString') {
+    const distance = distanceToPath(shape.coordinates.map(project));
+    return Math.max(distance - (shape.bufferMeters ?? 0), 0);
+  }
+
+  const rings = shape.coordinates.map((ring) => closeRing(ring.map(project)));
+  const [outer, ...holes] = rings;
+  const edgeDistance = Math.min(...rings.map(distanceToPath));
+  const inside = containsOrigin(outer) && !holes.some(containsOrigin);
+  return inside ? 0 : edgeDistance;
+};
+
+// Average of the vertices: used where a shape needs a single reference point
+// (labels, default `coords`), not for distance.
+export const shapeCentroid = (shape) => {
+  const positions = shape.type === 'Polygon' ? shape.coordinates[0] : shape.coordinates;
+  const sum = positions.reduce(
+    (total, [longitude, latitude]) => ({
+      latitude: total.latitude + latitude,
+      longitude: total.longitude + longitude
+    }),
+    { latitude: 0, longitude: 0 }
+  );
+  return { latitude: sum.latitude / positions.length, longitude: sum.longitude / positions.length };
+};
+
+// Distance used for damage falloff: to the nearest edge for shaped zones,
+// to the centre for circular ones (evaluateZoneDamage subtracts sourceRadius).
+export const distanceToZoneMeters = (coords, zone) =>
+  zone.shape ? distanceToShapeMeters(coords, zone.shape) : calculateDistanceMeters(coords, zone.coords);
+
+export const isInsideHealingZone = (coords, zone) =>
+  zone.shape
+    ? distanceToShapeMeters(coords, zone.shape) === 0
+    : calculateDistanceMeters(coords, zone.center) <= zone.radiusMeters;
+
+// 0 when inside; otherwise how far the player still has to walk.
+export const distanceToHealingZoneMeters = (coords, zone) =>
+  zone.shape
+    ? distanceToShapeMeters(coords, zone.shape)
+    : Math.max(calculateDistanceMeters(coords, zone.center) - zone.radiusMeters, 0);
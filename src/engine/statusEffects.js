@@ -0,0 +1,111 @@
+import { SECONDARY_STAT_MAX } from './constants';
+import { splitDamage } from './damageTypes';
+
+// Status effects outlast the exposure that caused them. Scenarios define them
+// in `statusEffects` (id -> definition) and zones list the ones they apply
+// (`applies`): danger zones and moving hazards while they deal damage to the
+// player, healing zones while the player is inside.
+// - durationSeconds: how long the effect lasts once the exposure ends.
+// - stacking: what further exposure does while the effect is active.
+//   refresh: keeps it at its full duration; stack: likewise, and adds a stack
+//   for every `stackEverySeconds` of exposure up to `maxStacks`; keep: nothing,
+//   it runs out and can then be applied again.
+// - Per-stack effects: `damagePerSecond` (of `damageType`, resisted like zone
+//   damage), `guard` / `resonance` added to the stat and `regenMultiplier`
+//   applied to passive and healing-zone regen.
+
+export const STACKING_RULES = ['refresh', 'stack', 'keep'];
+
+export const STATUS_EFFECT_STATS = ['guard', 'resonance'];
+
+export const DEFAULT_STACK_EVERY_SECONDS = 10;
+export const DEFAULT_MAX_STACKS = 3;
+
+// A player's effects: [{ id, remainingSeconds, stacks, exposedSeconds }]
+// plus the damage they deal at the current stats (see summarizeStatusEffects).
+const createStatusEffect = (id, definition) => ({
+  id,
+  name: definition.name,
+  remainingSeconds: definition.durationSeconds,
+  stacks: 1,
+  exposedSeconds: 0,
+  damagePerSecond: 0,
+  damageByType: []
+});
+
+// `bonus` is added on top of the base stats (e.g. equipped items); the result
+// stays within 0 and SECONDARY_STAT_MAX.
+export const getEffectiveStats = (stats, statusEffects, definitions, bonus = {}) =>
+  Object.fromEntries(
+    Object.entries(stats).map(([key, value]) => {
+      if (!STATUS_EFFECT_STATS.includes(key)) {
+        return [key, value];
+      }
+      const total = statusEffects.reduce(
+        (sum, effect) => sum + definitions[effect.id][key] * effect.stacks,
+        value + (bonus[key] ?? 0)
+      );
+      return [key, Math.min(Math.max(total, 0), SECONDARY_STAT_MAX)];
+    })
+  );
+
+export const getRegenMultiplier = (statusEffects, definitions) =>
+  statusEffects.reduce(
+    (multiplier, effect) => multiplier * definitions[effect.id].regenMultiplier ** effect.stacks,
+    1
+  );
+
+// Called whenever the position is evaluated, with the effects the player is
+// exposed to there.
+export const applyStatusExposures = (statusEffects, exposedIds, definitions) => {
+  const effects = new Map(statusEffects.map((effect) => [effect.id, effect]));
+  exposedIds.forEach((id) => {
+    const definition = definitions[id];
+    const current = effects.get(id);
+    if (!current) {
+      effects.set(id, createStatusEffect(id, definition));
+    } else if (definition.stacking !== 'keep') {
+      effects.set(id, { ...current, remainingSeconds: definition.durationSeconds });
+    }
+  });
+  return [...effects.values()];
+};
+
+// Runs the clocks for `deltaSeconds` of which the player spent all in
+// `exposedIds` (the exposure found at the last evaluated position).
+export const advanceStatusEffects = (statusEffects, exposedIds, definitions, deltaSeconds) =>
+  statusEffects
+    .map((effect) => {
+      const definition = definitions[effect.id];
+      const isExposed = exposedIds.includes(effect.id);
+      if (!isExposed || definition.stacking === 'keep') {
+        return { ...effect, remainingSeconds: effect.remainingSeconds - deltaSeconds };
+      }
+      const exposedSeconds = effect.exposedSeconds + deltaSeconds;
+      const stacks =
+        definition.stacking === 'stack'
+          ? Math.min(
+              1 + Math.floor(exposedSeconds / definition.stackEverySeconds),
+              definition.maxStacks
+            )
+          : effect.stacks;
+      return { ...effect, exposedSeconds, stacks };
+    })
+    .filter((effect) => effect.remainingSeconds > 0);
+
+// Damage each effect deals per second at `stats` (the effective stats).
+export const summarizeStatusEffects = (statusEffects, definitions, damageTypes, stats) =>
+  statusEffects.map((effect) => {
+    const definition = definitions[effect.id];
+    const damageByType = splitDamage(
+      definition.damagePerSecond * effect.stacks,
+      definition.damageMix,
+      damageTypes,
+      stats
+    );
+    return {
+      ...effect,
+      damageByType,
+      damagePerSecond: damageByType.reduce((sum, entry) => sum + entry.mitigatedDamage, 0)
+    };
+  });
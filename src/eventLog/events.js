@@ -0,0 +1,290 @@
+import {
+  ITEM_STATUS,
+  MAX_HP,
+  OBJECTIVE_STATUS,
+  STANDARD_FEEDBACK_PROFILE,
+  getFeedbackStage
+} from '../engine';
+
+export const EVENT_TYPES = {
+  SESSION: 'session',
+  POSITION: 'position',
+  ZONE_DAMAGE: 'zoneDamage',
+  HEALING_ZONE_ENTER: 'healingZoneEnter',
+  HEALING_ZONE_EXIT: 'healingZoneExit',
+  HAPTIC_STAGE: 'hapticStage',
+  PLAY_AREA_STAGE: 'playAreaStage',
+  PLAY_AREA_ENTER: 'playAreaEnter',
+  PLAY_AREA_EXIT: 'playAreaExit',
+  HP_THRESHOLD: 'hpThreshold',
+  STATUS: 'status',
+  SUSPICIOUS_FIX: 'suspiciousFix',
+  STATUS_EFFECT_START: 'statusEffectStart',
+  STATUS_EFFECT_END: 'statusEffectEnd',
+  CHECKPOINT_REACHED: 'checkpointReached',
+  OBJECTIVE_COMPLETE: 'objectiveComplete',
+  OBJECTIVE_FAILED: 'objectiveFailed',
+  ITEM_PICKUP: 'itemPickup',
+  ITEM_USE: 'itemUse',
+  ITEM_EQUIP: 'itemEquip',
+  ITEM_UNEQUIP: 'itemUnequip'
+};
+
+// Crossing 0 HP is covered by the `status` event (downed / eliminated).
+export const HP_THRESHOLDS = [0.75, 0.5, 0.25, 0.1].map((ratio) => MAX_HP * ratio);
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+export const createSessionEvent = (state, timestamp, reason) => ({
+  timestamp,
+  type: EVENT_TYPES.SESSION,
+  reason,
+  scenarioId: state.scenario.id,
+  hp: round(state.stats.hp)
+});
+
+// Starting over is logged with the status the player leaves behind, so an
+// elimination that a new game discards still shows in the log.
+export const describeNewGame = (previous, next, timestamp) => {
+  const events = [createSessionEvent(next, timestamp, 'newGame')];
+  if (previous.lifecycle.status !== next.lifecycle.status) {
+    events.push({
+      timestamp,
+      type: EVENT_TYPES.STATUS,
+      from: previous.lifecycle.status,
+      to: next.lifecycle.status,
+      reason: 'newGame',
+      hp: round(next.stats.hp)
+    });
+  }
+  return events;
+};
+
+// Records the raw fix; `filtered` is what the game used (null when the
+// position filter rejected the fix as an outlier) and `source` the id of the
+// location source it came from.
+export const createPositionEvent = (
+  position,
+  timestamp,
+  filtered = position,
+  source = 'device'
+) => ({
+  timestamp,
+  type: EVENT_TYPES.POSITION,
+  source,
+  latitude: position.coords.latitude,
+  longitude: position.coords.longitude,
+  accuracy: position.coords.accuracy ?? null,
+  filteredLatitude: filtered?.coords.latitude ?? null,
+  filteredLongitude: filtered?.coords.longitude ?? null,
+  rejected: filtered == null
+});
+
+const describeHpCrossings = (previousHp, nextHp, timestamp) =>
+  HP_THRESHOLDS.filter((threshold) => previousHp >= threshold !== nextHp >= threshold).map(
+    (threshold) => ({
+      timestamp,
+      type: EVENT_TYPES.HP_THRESHOLD,
+      threshold,
+      direction: nextHp < previousHp ? 'down' : 'up',
+      hp: round(nextHp)
+    })
+  );
+
+const ITEM_EVENT_TYPES = {
+  [ITEM_STATUS.CARRIED]: EVENT_TYPES.ITEM_PICKUP,
+  [ITEM_STATUS.USED]: EVENT_TYPES.ITEM_USE,
+  [ITEM_STATUS.EQUIPPED]: EVENT_TYPES.ITEM_EQUIP
+};
+
+// Pickups happen in a step; using and equipping happen between steps (see
+// src/engine/items.js), so those callers log them with this directly.
+export const describeItemChanges = (previous, next, timestamp) =>
+  next.items
+    .map((itemState, index) => {
+      const before = previous.items[index].status;
+      if (before === itemState.status) {
+        return null;
+      }
+      return {
+        timestamp,
+        type:
+          before === ITEM_STATUS.EQUIPPED && itemState.status === ITEM_STATUS.CARRIED
+            ? EVENT_TYPES.ITEM_UNEQUIP
+            : ITEM_EVENT_TYPES[itemState.status],
+        itemId: itemState.id,
+        itemType: next.scenario.items[index].type,
+        hp: round(next.stats.hp)
+      };
+    })
+    .filter(Boolean);
+
+// Everything worth keeping from one engine step, derived by comparing the
+// state before and after it. Feedback stages follow the player's profile.
+export const describeStep = (
+  previous,
+  next,
+  timestamp,
+  feedbackProfile = STANDARD_FEEDBACK_PROFILE
+) => {
+  const events = [];
+  const hp = round(next.stats.hp);
+
+  next.zoneSummaries
+    .filter((zone) => zone.rawDamage > 0)
+    .forEach((zone) => {
+      events.push({
+        timestamp,
+        type: EVENT_TYPES.ZONE_DAMAGE,
+        zoneId: zone.id,
+        distance: round(zone.distance, 1),
+        rawDamage: round(zone.rawDamage),
+        mitigatedDamage: round(zone.mitigatedDamage),
+        hp
+      });
+    });
+
+  if (previous.healingZoneId !== next.healingZoneId) {
+    if (previous.healingZoneId) {
+      events.push({
+        timestamp,
+        type: EVENT_TYPES.HEALING_ZONE_EXIT,
+        zoneId: previous.healingZoneId,
+        hp
+      });
+    }
+    if (next.healingZoneId) {
+      events.push({
+        timestamp,
+        type: EVENT_TYPES.HEALING_ZONE_ENTER,
+        zoneId: next.healingZoneId,
+        hp
+      });
+    }
+  }
+
+  const previousStage = getFeedbackStage(feedbackProfile, previous).stage;
+  const nextStage = getFeedbackStage(feedbackProfile, next).stage;
+  if (previousStage !== nextStage) {
+    events.push({
+      timestamp,
+      type: EVENT_TYPES.HAPTIC_STAGE,
+      from: previousStage,
+      to: nextStage,
+      hp
+    });
+  }
+
+  const previousArea = previous.playArea;
+  const nextArea = next.playArea;
+  if (
+    previousArea &&
+    nextArea &&
+    (previousArea.stage !== nextArea.stage || previousArea.phaseIndex !== nextArea.phaseIndex)
+  ) {
+    events.push({
+      timestamp,
+      type: EVENT_TYPES.PLAY_AREA_STAGE,
+      from: previousArea.stage,
+      to: nextArea.stage,
+      phase: nextArea.phaseIndex + 1,
+      hp
+    });
+  }
+  // Only compares known positions, so losing the GPS fix is not an exit.
+  if (
+    previousArea?.distanceToEdgeMeters != null &&
+    nextArea?.distanceToEdgeMeters != null &&
+    previousArea.isOutside !== nextArea.isOutside
+  ) {
+    events.push({
+      timestamp,
+      type: nextArea.isOutside ? EVENT_TYPES.PLAY_AREA_EXIT : EVENT_TYPES.PLAY_AREA_ENTER,
+      distance: round(nextArea.distanceToEdgeMeters, 1),
+      hp
+    });
+  }
+
+  const previousEffects = new Set(previous.statusEffects.map((effect) => effect.id));
+  const nextEffects = new Set(next.statusEffects.map((effect) => effect.id));
+  next.statusEffects
+    .filter((effect) => !previousEffects.has(effect.id))
+    .forEach((effect) => {
+      events.push({
+        timestamp,
+        type: EVENT_TYPES.STATUS_EFFECT_START,
+        effectId: effect.id,
+        stacks: effect.stacks,
+        hp
+      });
+    });
+  previous.statusEffects
+    .filter((effect) => !nextEffects.has(effect.id))
+    .forEach((effect) => {
+      events.push({ timestamp, type: EVENT_TYPES.STATUS_EFFECT_END, effectId: effect.id, hp });
+    });
+
+  next.objectives.forEach((progress, index) => {
+    const before = previous.objectives[index];
+    // Checkpoints are counted from 1; finishing the last one completes it.
+    for (
+      let checkpoint = before.checkpointIndex + 1;
+      checkpoint <= progress.checkpointIndex;
+      checkpoint += 1
+    ) {
+      events.push({
+        timestamp,
+        type: EVENT_TYPES.CHECKPOINT_REACHED,
+        objectiveId: progress.id,
+        checkpoint,
+        hp
+      });
+    }
+    if (before.status === progress.status) {
+      return;
+    }
+    if (progress.status === OBJECTIVE_STATUS.COMPLETED) {
+      events.push({
+        timestamp,
+        type: EVENT_TYPES.OBJECTIVE_COMPLETE,
+        objectiveId: progress.id,
+        score: next.scenario.objectives[index].score,
+        hp
+      });
+    }
+    if (progress.status === OBJECTIVE_STATUS.FAILED) {
+      events.push({ timestamp, type: EVENT_TYPES.OBJECTIVE_FAILED, objectiveId: progress.id, hp });
+    }
+  });
+
+  events.push(...describeItemChanges(previous, next, timestamp));
+  events.push(...describeHpCrossings(previous.stats.hp, hp, timestamp));
+
+  const newSuspicions = next.integrity.suspicionCount - previous.integrity.suspicionCount;
+  if (newSuspicions > 0) {
+    next.integrity.suspicions.slice(-newSuspicions).forEach((suspicion) => {
+      events.push({
+        timestamp,
+        type: EVENT_TYPES.SUSPICIOUS_FIX,
+        suspicion: suspicion.type,
+        severity: suspicion.severity,
+        distance: suspicion.distanceMeters,
+        speed: suspicion.speedMetersPerSecond,
+        penalty: next.integrity.penalty,
+        hp
+      });
+    });
+  }
+
+  if (previous.lifecycle.status !== next.lifecycle.status) {
+    events.push({
+      timestamp,
+      type: EVENT_TYPES.STATUS,
+      from: previous.lifecycle.status,
+      to: next.lifecycle.status,
+      hp
+    });
+  }
+
+  return events;
+};
@@ -0,0 +1,16 @@
+export {
+  EVENT_TYPES,
+  HP_THRESHOLDS,
+  createPositionEvent,
+  createSessionEvent,
+  describeItemChanges,
+  describeNewGame,
+  describeStep
+} from './events';
+export {
+  CSV_COLUMNS,
+  eventLogToCsv,
+  eventLogToJson,
+  eventLogToLines,
+  parseEventLines
+} from './serialize';
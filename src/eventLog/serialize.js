@@ -0,0 +1,84 @@
+export const CSV_COLUMNS = [
+  'time',
+  'timestamp',
+  'type',
+  'source',
+  'zoneId',
+  'latitude',
+  'longitude',
+  'accuracy',
+  'filteredLatitude',
+  'filteredLongitude',
+  'rejected',
+  'distance',
+  'rawDamage',
+  'mitigatedDamage',
+  'hp',
+  'threshold',
+  'direction',
+  'from',
+  'to',
+  'phase',
+  'suspicion',
+  'severity',
+  'speed',
+  'penalty',
+  'effectId',
+  'stacks',
+  'objectiveId',
+  'checkpoint',
+  'score',
+  'itemId',
+  'itemType',
+  'reason',
+  'scenarioId'
+];
+
+const escapeCsvValue = (value) => {
+  if (value == null) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const eventLogToJson = (events, { scenario, exportedAt }) =>
+  JSON.stringify(
+    {
+      exportedAt: new Date(exportedAt).toISOString(),
+      scenario: { id: scenario.id, name: scenario.name },
+      events: events.map((event) => ({ time: new Date(event.timestamp).toISOString(), ...event }))
+    },
+    null,
+    2
+  );
+
+export const eventLogToCsv = (events) => {
+  const rows = events.map((event) => {
+    const row = { time: new Date(event.timestamp).toISOString(), ...event };
+    return CSV_COLUMNS.map((column) => escapeCsvValue(row[column])).join(',');
+  });
+  return [CSV_COLUMNS.join(','), ...rows].join('\n');
+};
+
+// The stored form of a log: one JSON event per line, so a batch is saved by
+// appending to the file.
+export const eventLogToLines = (events) =>
+  events.map((event) => `${JSON.stringify(event)}\n`).join('');
+
+// Lines that do not parse (e.g. cut short when the app was killed mid-write)
+// are skipped; only the newest `limit` events are kept.
+export const parseEventLines = (text, limit = Infinity) => {
+  const events = text.split('\n').flatMap((line) => {
+    if (line.trim() === '') {
+      return [];
+    }
+    try {
+      const event = JSON.parse(line);
+      return event != null && typeof event.type === 'string' ? [event] : [];
+    } catch (error) {
+      return [];
+    }
+  });
+  return events.length > limit ? events.slice(events.length - limit) : events;
+};
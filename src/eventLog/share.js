@@ -0,0 +1,26 @@
+import { File, Paths } from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import { eventLogToCsv, eventLogToJson } from './serialize';
+
+const EXPORT_FORMATS = {
+  json: { extension: 'json', mimeType: 'application/json', serialize: eventLogToJson },
+  csv: { extension: 'csv', mimeType: 'text/csv', serialize: eventLogToCsv }
+};
+
+// Writes the log to the cache directory and opens the share sheet for it.
+export const shareEventLog = async (events, { format, scenario, exportedAt }) => {
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error('この端末では共有機能を利用できません');
+  }
+
+  const { extension, mimeType, serialize } = EXPORT_FORMATS[format];
+  const stamp = new Date(exportedAt).toISOString().replace(/[:.]/g, '-');
+  const file = new File(Paths.cache, `posigame-${scenario.id}-${stamp}.${extension}`);
+  if (file.exists) {
+    file.delete();
+  }
+  file.create();
+  file.write(serialize(events, { scenario, exportedAt }));
+
+  await Sharing.shareAsync(file.uri, { mimeType, dialogTitle: 'イベントログを共有' });
+};
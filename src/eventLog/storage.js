@@ -0,0 +1,114 @@
+import { Directory, File, Paths } from 'expo-file-system';
+import { eventLogToLines, parseEventLines } from './serialize';
+
+// The log of the game in progress is appended to a file next to the app's
+// other data, so it outlives the app being killed. Finishing a game files the
+// log under its session summary. expo-file-system's File API is synchronous,
+// and so are these functions.
+
+const CURRENT_LOG_NAME = 'posigame-event-log.jsonl';
+const ARCHIVE_DIRECTORY_NAME = 'posigame-event-logs';
+
+// Events are written in batches rather than on every engine step; callers
+// flush when the app leaves the foreground.
+const FLUSH_EVENT_COUNT = 50;
+
+// A log over MAX_LOG_BYTES is cut back to its newest KEEP_LOG_BYTES, and no
+// more than MAX_LOG_BYTES is ever read back.
+const MAX_LOG_BYTES = 4 * 1024 * 1024;
+const KEEP_LOG_BYTES = 2 * 1024 * 1024;
+
+let pendingEvents = [];
+
+const currentLogFile = () => new File(Paths.document, CURRENT_LOG_NAME);
+
+const archiveDirectory = () => new Directory(Paths.document, ARCHIVE_DIRECTORY_NAME);
+
+const archivedLogFile = (summaryId) => new File(archiveDirectory(), `${summaryId}.jsonl`);
+
+// The last `maxBytes` of the file, starting at a line boundary.
+const readTail = (file, maxBytes) => {
+  const handle = file.open();
+  try {
+    const start = Math.max(handle.size - maxBytes, 0);
+    handle.offset = start;
+    const text = new TextDecoder().decode(handle.readBytes(handle.size - start));
+    return start === 0 ? text : text.slice(text.indexOf('\n') + 1);
+  } finally {
+    handle.close();
+  }
+};
+
+const readEvents = (file, limit) =>
+  file.exists ? parseEventLines(readTail(file, MAX_LOG_BYTES), limit) : [];
+
+const appendToFile = (file, text) => {
+  if (!file.exists) {
+    file.create();
+  }
+  const handle = file.open();
+  try {
+    handle.offset = handle.size;
+    handle.writeBytes(new TextEncoder().encode(text));
+  } finally {
+    handle.close();
+  }
+  if (file.size > MAX_LOG_BYTES) {
+    file.write(readTail(file, KEEP_LOG_BYTES));
+  }
+};
+
+export const flushEvents = () => {
+  if (pendingEvents.length === 0) {
+    return;
+  }
+  const events = pendingEvents;
+  pendingEvents = [];
+  appendToFile(currentLogFile(), eventLogToLines(events));
+};
+
+export const appendEvents = (events) => {
+  pendingEvents.push(...events);
+  if (pendingEvents.length >= FLUSH_EVENT_COUNT) {
+    flushEvents();
+  }
+};
+
+// The newest `limit` events, including ones not flushed yet.
+export const loadEvents = (limit) => {
+  flushEvents();
+  return readEvents(currentLogFile(), limit);
+};
+
+// Moves the current log under `summaryId`; the next event starts a new one.
+export const archiveEvents = (summaryId) => {
+  flushEvents();
+  const file = currentLogFile();
+  if (!file.exists) {
+    return;
+  }
+  const directory = archiveDirectory();
+  directory.create({ intermediates: true, idempotent: true });
+  const destination = archivedLogFile(summaryId);
+  if (destination.exists) {
+    destination.delete();
+  }
+  file.move(destination);
+};
+
+export const loadArchivedEvents = (summaryId, limit) =>
+  readEvents(archivedLogFile(summaryId), limit);
+
+// Drops the logs of summaries that are no longer kept.
+export const pruneArchivedEvents = (summaryIds) => {
+  const directory = archiveDirectory();
+  if (!directory.exists) {
+    return;
+  }
+  const kept = new Set(summaryIds.map((id) => `${id}.jsonl`));
+  directory.list().forEach((entry) => {
+    if (entry instanceof File && !kept.has(entry.name)) {
+      entry.delete();
+    }
+  });
+};
@@ -0,0 +1,45 @@
+import * as Haptics from 'expo-haptics';
+import { createAudioPlayer, setAudioModeAsync } from 'expo-audio';
+import { createFeedbackPlayer } from './player';
+
+const IMPACT_STYLES = {
+  light: Haptics.ImpactFeedbackStyle.Light,
+  medium: Haptics.ImpactFeedbackStyle.Medium,
+  heavy: Haptics.ImpactFeedbackStyle.Heavy,
+  soft: Haptics.ImpactFeedbackStyle.Soft,
+  rigid: Haptics.ImpactFeedbackStyle.Rigid
+};
+
+const NOTIFICATION_TYPES = {
+  success: Haptics.NotificationFeedbackType.Success,
+  warning: Haptics.NotificationFeedbackType.Warning,
+  error: Haptics.NotificationFeedbackType.Error
+};
+
+export const playHapticStep = (step) => {
+  switch (step.type) {
+    case 'impact':
+      return Haptics.impactAsync(IMPACT_STYLES[step.style] ?? IMPACT_STYLES.medium);
+    case 'notification':
+      return Haptics.notificationAsync(NOTIFICATION_TYPES[step.style] ?? NOTIFICATION_TYPES.warning);
+    default:
+      return Haptics.selectionAsync();
+  }
+};
+
+let clickPlayer = null;
+
+// Loaded on the first click so profiles without audio never touch the audio
+// session. Clicks mix with whatever else is playing.
+const playClick = (volume) => {
+  if (!clickPlayer) {
+    setAudioModeAsync({ interruptionMode: 'mixWithOthers' }).catch(() => {});
+    clickPlayer = createAudioPlayer(require('../../assets/sounds/geiger-click.wav'));
+  }
+  clickPlayer.volume = volume;
+  clickPlayer.seekTo(0);
+  clickPlayer.play();
+};
+
+export const createDeviceFeedbackPlayer = () =>
+  createFeedbackPlayer({ playStep: playHapticStep, playClick });
@@ -0,0 +1,2 @@
+export { BUNDLED_FEEDBACK_PROFILES, findFeedbackProfile } from './profiles';
+export { createFeedbackPlayer } from './player';
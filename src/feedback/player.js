@@ -0,0 +1,82 @@
+const NO_FEEDBACK = { stage: 0, intervalMs: 0, pattern: [], audio: null };
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Plays the output of getFeedbackStage: the stage's pattern every
+// `intervalMs`, and clicks at the stage's rate. Haptics and sound are passed
+// in (see device.js) so the timing works in Node against stubs.
+export const createFeedbackPlayer = ({ playStep, playClick, random = Math.random }) => {
+  let current = NO_FEEDBACK;
+  let patternTimer = null;
+  let clickTimer = null;
+  let isPlayingPattern = false;
+
+  // A pattern longer than the interval is not stacked on itself.
+  const playPattern = async (pattern) => {
+    if (isPlayingPattern) {
+      return;
+    }
+    isPlayingPattern = true;
+    try {
+      for (const step of pattern) {
+        if (step.type === 'pause') {
+          await wait(step.ms);
+        } else {
+          await Promise.resolve(playStep(step)).catch(() => {});
+        }
+      }
+    } finally {
+      isPlayingPattern = false;
+    }
+  };
+
+  const restartPattern = (playNow) => {
+    clearInterval(patternTimer);
+    patternTimer = null;
+    if (current.stage === 0 || current.pattern.length === 0 || !(current.intervalMs > 0)) {
+      return;
+    }
+    if (playNow) {
+      playPattern(current.pattern);
+    }
+    patternTimer = setInterval(() => playPattern(current.pattern), current.intervalMs);
+  };
+
+  // Geiger counters click at random: exponential gaps around the mean rate.
+  const scheduleClick = () => {
+    clearTimeout(clickTimer);
+    clickTimer = null;
+    const rate = current.audio?.clicksPerSecond ?? 0;
+    if (rate <= 0) {
+      return;
+    }
+    const delayMs = (-Math.log(1 - random()) / rate) * 1000;
+    clickTimer = setTimeout(() => {
+      Promise.resolve(playClick(current.audio.volume)).catch(() => {});
+      scheduleClick();
+    }, delayMs);
+  };
+
+  const update = (feedback) => {
+    const previous = current;
+    current = feedback;
+    if (
+      feedback.stage !== previous.stage ||
+      feedback.pattern !== previous.pattern ||
+      feedback.intervalMs !== previous.intervalMs
+    ) {
+      // Stepping up announces itself at once; stepping down waits an interval.
+      restartPattern(feedback.stage > previous.stage);
+    }
+    if (feedback.stage !== previous.stage || (feedback.audio != null) !== (clickTimer != null)) {
+      scheduleClick();
+    }
+  };
+
+  // Plays a pattern once, e.g. to preview a profile.
+  const preview = (pattern) => playPattern(pattern);
+
+  const stop = () => update(NO_FEEDBACK);
+
+  return { update, preview, stop };
+};
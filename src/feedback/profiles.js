@@ -0,0 +1,79 @@
+import { STANDARD_FEEDBACK_PROFILE } from '../engine';
+
+const impact = (style) => ({ type: 'impact', style });
+const pause = (ms) => ({ type: 'pause', ms });
+
+// Bundled profiles; the format is described in src/engine/haptics.js.
+export const BUNDLED_FEEDBACK_PROFILES = [
+  STANDARD_FEEDBACK_PROFILE,
+  {
+    id: 'strong',
+    name: '強め',
+    description: '上着越しでも分かるよう連打し、クリック音も鳴らします',
+    metric: 'damagePerSecond',
+    stages: [
+      {
+        threshold: 1,
+        intervalMs: 2500,
+        pattern: [impact('medium'), pause(150), impact('medium')],
+        audio: { clicksPerSecond: 1, clicksPerDamage: 1, maxClicksPerSecond: 15, volume: 0.8 }
+      },
+      {
+        threshold: 3,
+        intervalMs: 1500,
+        pattern: [impact('heavy'), pause(120), impact('heavy')],
+        audio: { clicksPerSecond: 1, clicksPerDamage: 1, maxClicksPerSecond: 15, volume: 0.8 }
+      },
+      {
+        threshold: 6,
+        intervalMs: 800,
+        pattern: [
+          { type: 'notification', style: 'warning' },
+          pause(100),
+          impact('heavy'),
+          pause(100),
+          impact('heavy')
+        ],
+        audio: { clicksPerSecond: 1, clicksPerDamage: 1, maxClicksPerSecond: 15, volume: 1 }
+      }
+    ]
+  },
+  {
+    id: 'quiet',
+    name: '控えめ',
+    description: '危険が大きいときだけ軽く知らせます',
+    metric: 'damagePerSecond',
+    stages: [
+      { threshold: 3, intervalMs: 4000, pattern: [{ type: 'selection' }] },
+      { threshold: 6, intervalMs: 2000, pattern: [impact('light')] }
+    ]
+  },
+  {
+    id: 'geiger',
+    name: 'ガイガーカウンター',
+    description: '被ダメージが増えるほどクリック音が速くなります（バイブなし）',
+    metric: 'damagePerSecond',
+    stages: [
+      {
+        threshold: 0.1,
+        intervalMs: 0,
+        pattern: [],
+        audio: { clicksPerSecond: 0.5, clicksPerDamage: 1.5, maxClicksPerSecond: 20, volume: 0.6 }
+      }
+    ]
+  },
+  {
+    id: 'proximity',
+    name: '接近警報',
+    description: '最寄りの危険源までの距離で知らせます（ダメージ圏に入る前から）',
+    metric: 'nearestHazardMeters',
+    stages: [
+      { threshold: 100, intervalMs: 3000, pattern: [impact('light')] },
+      { threshold: 50, intervalMs: 1500, pattern: [impact('medium')] },
+      { threshold: 20, intervalMs: 700, pattern: [impact('heavy'), pause(100), impact('heavy')] }
+    ]
+  }
+];
+
+export const findFeedbackProfile = (id) =>
+  BUNDLED_FEEDBACK_PROFILES.find((profile) => profile.id === id) ?? STANDARD_FEEDBACK_PROFILE;
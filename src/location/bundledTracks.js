@@ -0,0 +1,13 @@
+import sampleWalk from '../../tracks/sample-walk.json';
+import { waypointsToTrack } from './track';
+
+const fromWaypointScript = (script) => ({
+  id: script.id,
+  name: script.name,
+  description: script.description ?? '',
+  track: waypointsToTrack(script.waypoints, {
+    speedMetersPerSecond: script.speedMetersPerSecond
+  })
+});
+
+export const BUNDLED_TRACKS = [sampleWalk].map(fromWaypointScript);
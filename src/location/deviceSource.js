@@ -0,0 +1,17 @@
+import * as Location from 'expo-location';
+
+export const createDeviceLocationSource = () => ({
+  id: 'device',
+  name: '端末の GPS',
+  requiresPermission: true,
+  isSimulated: false,
+  getCurrentPosition: () => Location.getCurrentPositionAsync({}),
+  watchPosition: (callback) =>
+    Location.watchPositionAsync(
+      {
+        accuracy: Location.Accuracy.High,
+        distanceInterval: 5
+      },
+      callback
+    )
+});
@@ -0,0 +1,85 @@
+import { coordsToOffsets, offsetsToCoords } from '../engine';
+
+// Smooths GPS jitter with a simple Kalman filter on east/north metres and
+// drops fixes that would need an implausible speed to reach. Only the device
+// source is filtered; replays are exact already.
+
+export const DEFAULT_POSITION_FILTER_OPTIONS = {
+  // How fast the true position is expected to drift; higher follows faster.
+  processNoiseMetersPerSecond: 3,
+  maxSpeedMetersPerSecond: 10,
+  // Several rejected fixes in a row mean the player really did move (e.g. by
+  // car), so the filter restarts from the latest fix.
+  maxConsecutiveRejections: 3,
+  fallbackAccuracyMeters: 10
+};
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const restartFrom = (position, accuracy) => ({
+  origin: { latitude: position.coords.latitude, longitude: position.coords.longitude },
+  offset: { x: 0, y: 0 },
+  variance: accuracy * accuracy,
+  timestamp: position.timestamp,
+  rejectedCount: 0
+});
+
+const withCoords = (position, filterState) => ({
+  ...position,
+  coords: {
+    ...position.coords,
+    ...offsetsToCoords(filterState.origin, filterState.offset.x, filterState.offset.y)
+  }
+});
+
+// Returns the next filter state and the smoothed position, or `position: null`
+// when the fix was rejected as an outlier. Pass `null` as the state to start.
+export const filterPosition = (filterState, position, options = {}) => {
+  const {
+    processNoiseMetersPerSecond,
+    maxSpeedMetersPerSecond,
+    maxConsecutiveRejections,
+    fallbackAccuracyMeters
+  } = { ...DEFAULT_POSITION_FILTER_OPTIONS, ...options };
+  const accuracy = isFiniteNumber(position.coords.accuracy)
+    ? Math.max(position.coords.accuracy, 1)
+    : fallbackAccuracyMeters;
+
+  if (!filterState) {
+    const started = restartFrom(position, accuracy);
+    return { filterState: started, position: withCoords(position, started) };
+  }
+
+  const elapsedSeconds =
+    isFiniteNumber(position.timestamp) && isFiniteNumber(filterState.timestamp)
+      ? Math.max((position.timestamp - filterState.timestamp) / 1000, 0)
+      : 1;
+  const predictedVariance =
+    filterState.variance + processNoiseMetersPerSecond ** 2 * elapsedSeconds;
+  const measured = coordsToOffsets(filterState.origin, position.coords);
+  const jump = Math.hypot(measured.x - filterState.offset.x, measured.y - filterState.offset.y);
+  const reachable =
+    maxSpeedMetersPerSecond * elapsedSeconds + accuracy + Math.sqrt(filterState.variance);
+
+  if (jump > reachable) {
+    const rejectedCount = filterState.rejectedCount + 1;
+    if (rejectedCount >= maxConsecutiveRejections) {
+      const restarted = restartFrom(position, accuracy);
+      return { filterState: restarted, position: withCoords(position, restarted) };
+    }
+    return { filterState: { ...filterState, rejectedCount }, position: null };
+  }
+
+  const gain = predictedVariance / (predictedVariance + accuracy * accuracy);
+  const next = {
+    ...filterState,
+    offset: {
+      x: filterState.offset.x + gain * (measured.x - filterState.offset.x),
+      y: filterState.offset.y + gain * (measured.y - filterState.offset.y)
+    },
+    variance: (1 - gain) * predictedVariance,
+    timestamp: position.timestamp,
+    rejectedCount: 0
+  };
+  return { filterState: next, position: withCoords(position, next) };
+};
@@ -0,0 +1,12 @@
+export {
+  DEFAULT_WALKING_SPEED_METERS_PER_SECOND,
+  createTrack,
+  getTrackDurationMs,
+  samplePositionAt,
+  waypointsToTrack
+} from './track';
+export { fetchTrack, parseGeoJsonTrack, parseGpx, parseTrack } from './parsers';
+export { createReplayLocationSource } from './sources';
+export { simulateTrack } from './simulate';
+export { BUNDLED_TRACKS } from './bundledTracks';
+export { DEFAULT_POSITION_FILTER_OPTIONS, filterPosition } from './filter';
@@ -0,0 +1,112 @@
+import { createTrack, waypointsToTrack } from './track';
+
+const readAttribute = (tag, name) => {
+  const match = tag.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']+)["']`));
+  return match ? Number(match[1]) : NaN;
+};
+
+const readChild = (body, name) => {
+  const match = body.match(new RegExp(`<${name}>([^<]*)</${name}>`));
+  return match ? match[1].trim() : null;
+};
+
+// Minimal GPX reader: track points are preferred, then route points, then
+// plain waypoints. Only lat/lon, <ele> and <time> are used.
+export const parseGpx = (text, options) => {
+  for (const tagName of ['trkpt', 'rtept', 'wpt']) {
+    const pattern = new RegExp(`<${tagName}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</${tagName}>)`, 'g');
+    const points = [];
+    let match = pattern.exec(text);
+    while (match) {
+      const body = match[2] ?? '';
+      const elevation = readChild(body, 'ele');
+      const time = readChild(body, 'time');
+      points.push({
+        latitude: readAttribute(match[1], 'lat'),
+        longitude: readAttribute(match[1], 'lon'),
+        altitude: elevation != null ? Number(elevation) : null,
+        time: time != null ? Date.parse(time) : null
+      });
+      match = pattern.exec(text);
+    }
+    if (points.length > 0) {
+      return createTrack(points, options);
+    }
+  }
+  throw new Error('GPX にトラックポイントが見つかりません');
+};
+
+const collectLineStrings = (geojson) => {
+  if (!geojson || typeof geojson !== 'object') {
+    return [];
+  }
+  switch (geojson.type) {
+    case 'FeatureCollection':
+      return geojson.features.flatMap(collectLineStrings);
+    case 'Feature': {
+      const lines = collectLineStrings(geojson.geometry);
+      const times = geojson.properties?.coordTimes ?? geojson.properties?.coordinateProperties?.times;
+      return lines.map((line) => ({ ...line, times: line.times ?? times }));
+    }
+    case 'LineString':
+      return [{ coordinates: geojson.coordinates }];
+    case 'MultiLineString':
+      return geojson.coordinates.map((coordinates) => ({ coordinates }));
+    default:
+      return [];
+  }
+};
+
+// Accepts LineString / MultiLineString geometries (optionally wrapped in a
+// Feature or FeatureCollection). Per-point times are read from the common
+// `coordTimes` property when present.
+export const parseGeoJsonTrack = (geojson, options) => {
+  const lines = collectLineStrings(geojson);
+  const points = lines.flatMap(({ coordinates, times }) =>
+    coordinates.map(([longitude, latitude, altitude], index) => ({
+      latitude,
+      longitude,
+      altitude,
+      time: Array.isArray(times) && times[index] != null ? Date.parse(times[index]) : null
+    }))
+  );
+  if (points.length === 0) {
+    throw new Error('GeoJSON に LineString が見つかりません');
+  }
+  return createTrack(points, options);
+};
+
+// Detects the format from the content: GPX (XML), a GeoJSON object, or a
+// waypoint script `{ "waypoints": [...] }`.
+export const parseTrack = (text, options) => {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('<')) {
+    return parseGpx(trimmed, options);
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(trimmed);
+  } catch (error) {
+    throw new Error(`トラックとして読み込めません（${error.message}）`);
+  }
+  if (Array.isArray(parsed?.waypoints)) {
+    return waypointsToTrack(parsed.waypoints, {
+      speedMetersPerSecond: parsed.speedMetersPerSecond ?? options?.speedMetersPerSecond
+    });
+  }
+  return parseGeoJsonTrack(parsed, options);
+};
+
+export const fetchTrack = async (url, options) => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`トラックの取得に失敗しました（HTTP ${response.status}）`);
+  }
+  const fileName = url.split('/').pop()?.split('?')[0] || url;
+  return {
+    id: url,
+    name: fileName,
+    track: parseTrack(await response.text(), options)
+  };
+};
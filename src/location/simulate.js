@@ -0,0 +1,35 @@
+import { STANDARD_FEEDBACK_PROFILE, getFeedbackStage, step } from '../engine';
+import { getTrackDurationMs, samplePositionAt } from './track';
+
+// Runs a whole track through the engine with a fixed time step, without any
+// timers, so a route can be replayed deterministically in Node.
+export const simulateTrack = (
+  initialState,
+  track,
+  { stepSeconds = 1, onFrame, feedbackProfile = STANDARD_FEEDBACK_PROFILE } = {}
+) => {
+  const stepCount = Math.ceil(getTrackDurationMs(track) / 1000 / stepSeconds);
+  const frames = [];
+  let state = step(initialState, { coords: samplePositionAt(track, 0).coords }, 0);
+
+  for (let index = 1; index <= stepCount; index += 1) {
+    const elapsedSeconds = index * stepSeconds;
+    const { coords } = samplePositionAt(track, elapsedSeconds * 1000);
+    state = step(state, { coords }, stepSeconds);
+
+    const frame = {
+      elapsedSeconds,
+      coords,
+      hp: state.stats.hp,
+      lastDamage: state.lastDamage,
+      damagePerSecond: state.damagePerSecond,
+      hapticStage: getFeedbackStage(feedbackProfile, state).stage,
+      isInHealingZone: state.isInHealingZone,
+      healingZoneId: state.healingZoneId
+    };
+    frames.push(frame);
+    onFrame?.(frame, state);
+  }
+
+  return { state, frames };
+};
@@ -0,0 +1,52 @@
+import { getTrackDurationMs, samplePositionAt } from './track';
+
+const defaultScheduler = {
+  setInterval: (callback, ms) => setInterval(callback, ms),
+  clearInterval: (handle) => clearInterval(handle)
+};
+
+// A location source has the same surface the App needs from expo-location:
+// `getCurrentPosition()` and `watchPosition(callback)`, which resolves to a
+// subscription with `remove()`. See deviceSource.js for the GPS-backed one.
+export const createReplayLocationSource = (
+  track,
+  {
+    id = 'replay',
+    name = 'リプレイ',
+    speed = 1,
+    loop = false,
+    intervalMs = 1000,
+    scheduler = defaultScheduler,
+    now = Date.now
+  } = {}
+) => {
+  const durationMs = getTrackDurationMs(track);
+  let elapsedMs = 0;
+
+  const currentPosition = () => samplePositionAt(track, elapsedMs, { timestamp: now() });
+
+  return {
+    id,
+    name,
+    requiresPermission: false,
+    isSimulated: true,
+    speed,
+    getCurrentPosition: async () => currentPosition(),
+    watchPosition: async (callback) => {
+      const handle = scheduler.setInterval(() => {
+        elapsedMs += intervalMs * speed;
+        if (elapsedMs > durationMs) {
+          elapsedMs = loop && durationMs > 0 ? elapsedMs % durationMs : durationMs;
+        }
+        callback(currentPosition());
+      }, intervalMs);
+
+      return {
+        remove: () => scheduler.clearInterval(handle)
+      };
+    },
+    reset: () => {
+      elapsedMs = 0;
+    }
+  };
+};
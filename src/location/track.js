@@ -0,0 +1,112 @@
+import { calculateBearingDegrees, calculateDistanceMeters } from '../engine';
+
+export const DEFAULT_WALKING_SPEED_METERS_PER_SECOND = 1.4;
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Builds a track from raw points. When every point carries a `time` (epoch ms)
+// the recorded timing is kept; otherwise timing is derived from walking speed.
+export const createTrack = (
+  points,
+  { speedMetersPerSecond = DEFAULT_WALKING_SPEED_METERS_PER_SECOND } = {}
+) => {
+  if (!Array.isArray(points) || points.length === 0) {
+    throw new Error('トラックに座標がありません');
+  }
+  points.forEach((point, index) => {
+    if (!isFiniteNumber(point.latitude) || !isFiniteNumber(point.longitude)) {
+      throw new Error(`トラックの ${index + 1} 点目の座標が不正です`);
+    }
+  });
+
+  const hasRecordedTime = points.every((point) => isFiniteNumber(point.time));
+  const startTime = hasRecordedTime ? points[0].time : 0;
+  let elapsedMs = 0;
+
+  return points.map((point, index) => {
+    if (hasRecordedTime) {
+      elapsedMs = Math.max(point.time - startTime, elapsedMs);
+    } else if (index > 0) {
+      const distance = calculateDistanceMeters(points[index - 1], point);
+      elapsedMs += (distance / speedMetersPerSecond) * 1000;
+    }
+    return {
+      latitude: point.latitude,
+      longitude: point.longitude,
+      altitude: isFiniteNumber(point.altitude) ? point.altitude : null,
+      timeMs: elapsedMs
+    };
+  });
+};
+
+// Scripted route: each waypoint may override the speed used to reach it and
+// add a pause once it has been reached.
+export const waypointsToTrack = (
+  waypoints,
+  { speedMetersPerSecond = DEFAULT_WALKING_SPEED_METERS_PER_SECOND } = {}
+) => {
+  if (!Array.isArray(waypoints) || waypoints.length === 0) {
+    throw new Error('ウェイポイントがありません');
+  }
+
+  const points = [];
+  let elapsedMs = 0;
+  waypoints.forEach((waypoint, index) => {
+    if (!isFiniteNumber(waypoint.latitude) || !isFiniteNumber(waypoint.longitude)) {
+      throw new Error(`ウェイポイント ${index + 1} の座標が不正です`);
+    }
+    if (index > 0) {
+      const previous = waypoints[index - 1];
+      const speed = waypoint.speedMetersPerSecond ?? speedMetersPerSecond;
+      elapsedMs += (calculateDistanceMeters(previous, waypoint) / speed) * 1000;
+    }
+    const base = {
+      latitude: waypoint.latitude,
+      longitude: waypoint.longitude,
+      altitude: isFiniteNumber(waypoint.altitude) ? waypoint.altitude : null
+    };
+    points.push({ ...base, timeMs: elapsedMs });
+    if (waypoint.pauseSeconds > 0) {
+      elapsedMs += waypoint.pauseSeconds * 1000;
+      points.push({ ...base, timeMs: elapsedMs });
+    }
+  });
+  return points;
+};
+
+export const getTrackDurationMs = (track) => track[track.length - 1].timeMs;
+
+// Returns the interpolated position `elapsedMs` into the track, shaped like an
+// expo-location `LocationObject` so it can replace a real GPS fix.
+export const samplePositionAt = (track, elapsedMs, { timestamp = elapsedMs } = {}) => {
+  const clamped = Math.min(Math.max(elapsedMs, 0), getTrackDurationMs(track));
+  let index = track.findIndex((point) => point.timeMs >= clamped);
+  if (index <= 0) {
+    index = Math.min(1, track.length - 1);
+  }
+
+  const from = track[index - 1] ?? track[0];
+  const to = track[index];
+  const span = to.timeMs - from.timeMs;
+  const ratio = span > 0 ? (clamped - from.timeMs) / span : 1;
+  const segmentDistance = calculateDistanceMeters(from, to);
+  const isMoving = span > 0 && segmentDistance > 0;
+
+  return {
+    coords: {
+      latitude: from.latitude + (to.latitude - from.latitude) * ratio,
+      longitude: from.longitude + (to.longitude - from.longitude) * ratio,
+      altitude:
+        from.altitude != null && to.altitude != null
+          ? from.altitude + (to.altitude - from.altitude) * ratio
+          : from.altitude,
+      accuracy: 0,
+      altitudeAccuracy: null,
+      heading: isMoving ? calculateBearingDegrees(from, to) : null,
+      speed: isMoving ? segmentDistance / (span / 1000) : 0
+    },
+    timestamp,
+    mocked: true,
+    simulated: true
+  };
+};
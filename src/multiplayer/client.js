@@ -0,0 +1,155 @@
+import { calculateBearingDegrees, calculateDistanceMeters } from '../engine';
+import {
+  CLIENT_MESSAGES,
+  SERVER_MESSAGES,
+  createJoinMessage,
+  createUpdateMessage,
+  decodeMessage,
+  encodeMessage
+} from './protocol';
+
+// A transport opens a connection and reports on it through the handlers:
+// open({ onOpen, onMessage, onClose }) -> { send(text), close() }.
+
+export const createWebSocketTransport =
+  (url, WebSocketImpl = globalThis.WebSocket) =>
+  ({ onOpen, onMessage, onClose }) => {
+    const socket = new WebSocketImpl(url);
+    socket.onopen = () => onOpen();
+    socket.onmessage = (event) => onMessage(String(event.data));
+    // An error is always followed by close, which is where it is reported.
+    socket.onerror = () => {};
+    socket.onclose = () => onClose();
+    return {
+      send: (text) => socket.send(text),
+      close: () => socket.close()
+    };
+  };
+
+// Connects straight to a server core in the same process (see
+// createSessionServer), e.g. to run a server and simulated players in one
+// script. Messages are delivered synchronously; opening completes on the next
+// microtask, like a socket would after `open` returns.
+export const createLoopbackTransport =
+  (server) =>
+  ({ onOpen, onMessage, onClose }) => {
+    let isOpen = true;
+    const connection = server.connect((text) => {
+      if (isOpen) {
+        onMessage(text);
+      }
+    });
+    Promise.resolve().then(() => {
+      if (isOpen) {
+        onOpen();
+      }
+    });
+    return {
+      send: (text) => {
+        if (isOpen) {
+          connection.receive(text);
+        }
+      },
+      close: () => {
+        if (!isOpen) {
+          return;
+        }
+        isOpen = false;
+        connection.close();
+        onClose();
+      }
+    };
+  };
+
+// Joins `sessionId` as soon as the transport is open, as the player
+// `resumeToken` (from an earlier welcome) stands for if given. Handlers:
+// onWelcome(welcome), onState(state), onError(error) and onClose().
+export const createMultiplayerClient = ({
+  transport,
+  sessionId,
+  name,
+  resumeToken = null,
+  onWelcome,
+  onState,
+  onError,
+  onClose
+}) => {
+  let playerId = null;
+  let isClosed = false;
+
+  const connection = transport({
+    onOpen: () =>
+      connection.send(encodeMessage(createJoinMessage({ sessionId, name, resumeToken }))),
+    onMessage: (text) => {
+      const message = decodeMessage(text);
+      switch (message?.type) {
+        case SERVER_MESSAGES.WELCOME:
+          playerId = message.playerId;
+          onWelcome?.(message);
+          break;
+        case SERVER_MESSAGES.STATE:
+          onState?.(message);
+          break;
+        case SERVER_MESSAGES.ERROR:
+          onError?.(message);
+          break;
+        default:
+          break;
+      }
+    },
+    onClose: () => {
+      playerId = null;
+      isClosed = true;
+      onClose?.();
+    }
+  });
+
+  return {
+    getPlayerId: () => playerId,
+    // Shares the player's position, HP and status from an engine state.
+    update: (state) => {
+      if (playerId && !isClosed) {
+        connection.send(encodeMessage(createUpdateMessage(state)));
+      }
+    },
+    close: () => {
+      if (isClosed) {
+        return;
+      }
+      if (playerId) {
+        connection.send(encodeMessage({ type: CLIENT_MESSAGES.LEAVE }));
+      }
+      connection.close();
+    }
+  };
+};
+
+// Everyone else in a `state` message, closest first, with the distance and
+// bearing from `coords` (null when either position is unknown).
+export const summarizeTeammates = (players, playerId, coords) =>
+  players
+    .filter((player) => player.id !== playerId)
+    .map((player) => {
+      const isLocated = coords != null && player.coords != null;
+      return {
+        ...player,
+        distance: isLocated ? calculateDistanceMeters(coords, player.coords) : null,
+        bearingDegrees: isLocated ? calculateBearingDegrees(coords, player.coords) : null
+      };
+    })
+    .sort((a, b) => (a.distance ?? Infinity) - (b.distance ?? Infinity));
+
+// 1-based place by score; players on the same score share a place. Players
+// whose result no longer counts come last with no place (`rank: null`).
+export const rankPlayers = (players) => {
+  const ranked = players
+    .filter((player) => player.isValid)
+    .sort((a, b) => b.score - a.score);
+  return [
+    ...ranked.map((player) => ({
+      ...player,
+      rank: ranked.findIndex((other) => other.score === player.score) + 1
+    })),
+    ...players.filter((player) => !player.isValid).map((player) => ({ ...player, rank: null }))
+  ];
+};
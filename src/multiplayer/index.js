@@ -0,0 +1,18 @@
+export {
+  CLIENT_MESSAGES,
+  DEFAULT_SERVER_PORT,
+  ERROR_CODES,
+  PROTOCOL_VERSION,
+  SERVER_MESSAGES,
+  decodeMessage,
+  encodeMessage
+} from './protocol';
+export { advanceSession, createSession, describeSession } from './session';
+export { createSessionServer } from './server';
+export {
+  createLoopbackTransport,
+  createMultiplayerClient,
+  createWebSocketTransport,
+  rankPlayers,
+  summarizeTeammates
+} from './client';
@@ -0,0 +1,132 @@
+import { getScore, isResultValid } from '../engine';
+
+// Messages are JSON text frames with a `type`. A client sends `join` once and
+// then `update` whenever it has a new position or HP; the server answers the
+// join with `welcome` (including the scenario everyone plays and a resume
+// token) and broadcasts `state` to every player of the session on each tick.
+// Joining again with the token continues as the same player.
+
+export const PROTOCOL_VERSION = 2;
+
+export const DEFAULT_SERVER_PORT = 8787;
+
+export const CLIENT_MESSAGES = {
+  JOIN: 'join',
+  UPDATE: 'update',
+  LEAVE: 'leave'
+};
+
+export const SERVER_MESSAGES = {
+  WELCOME: 'welcome',
+  STATE: 'state',
+  ERROR: 'error'
+};
+
+export const ERROR_CODES = {
+  BAD_MESSAGE: 'badMessage',
+  VERSION_MISMATCH: 'versionMismatch',
+  NOT_JOINED: 'notJoined',
+  ALREADY_JOINED: 'alreadyJoined'
+};
+
+const MAX_NAME_LENGTH = 24;
+const MAX_RESUME_TOKEN_LENGTH = 64;
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const isCoords = (value) =>
+  value != null && isFiniteNumber(value.latitude) && isFiniteNumber(value.longitude);
+
+export const encodeMessage = (message) => JSON.stringify(message);
+
+// Returns null for anything that is not a JSON object with a string `type`.
+export const decodeMessage = (text) => {
+  try {
+    const message = JSON.parse(text);
+    return message != null && typeof message === 'object' && typeof message.type === 'string'
+      ? message
+      : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const createJoinMessage = ({ sessionId, name, resumeToken = null }) => ({
+  type: CLIENT_MESSAGES.JOIN,
+  version: PROTOCOL_VERSION,
+  sessionId,
+  name,
+  resumeToken
+});
+
+// What a player shares about themself; `coords` is null without a fix.
+// `score` (points from objectives) decides who wins unless `isValid` is false
+// (see antiCheat).
+export const createUpdateMessage = (state) => ({
+  type: CLIENT_MESSAGES.UPDATE,
+  coords: state.playerCoords
+    ? { latitude: state.playerCoords.latitude, longitude: state.playerCoords.longitude }
+    : null,
+  hp: state.stats.hp,
+  status: state.lifecycle.status,
+  score: getScore(state),
+  isValid: isResultValid(state.integrity)
+});
+
+export const createErrorMessage = (code, message) => ({
+  type: SERVER_MESSAGES.ERROR,
+  code,
+  message
+});
+
+// Checks a client message; returns an error message for the sender or null.
+export const validateClientMessage = (message) => {
+  switch (message?.type) {
+    case CLIENT_MESSAGES.JOIN:
+      if (message.version !== PROTOCOL_VERSION) {
+        return createErrorMessage(
+          ERROR_CODES.VERSION_MISMATCH,
+          `プロトコルのバージョンが違います（サーバー: ${PROTOCOL_VERSION}、端末: ${message.version}）`
+        );
+      }
+      if (typeof message.sessionId !== 'string' || message.sessionId.trim() === '') {
+        return createErrorMessage(ERROR_CODES.BAD_MESSAGE, 'セッション名を指定してください');
+      }
+      if (
+        typeof message.name !== 'string' ||
+        message.name.trim() === '' ||
+        message.name.length > MAX_NAME_LENGTH
+      ) {
+        return createErrorMessage(
+          ERROR_CODES.BAD_MESSAGE,
+          `名前は 1〜${MAX_NAME_LENGTH} 文字で指定してください`
+        );
+      }
+      if (
+        message.resumeToken != null &&
+        (typeof message.resumeToken !== 'string' ||
+          message.resumeToken.length > MAX_RESUME_TOKEN_LENGTH)
+      ) {
+        return createErrorMessage(ERROR_CODES.BAD_MESSAGE, '再接続用のトークンが正しくありません');
+      }
+      return null;
+    case CLIENT_MESSAGES.UPDATE:
+      if (
+        (message.coords !== null && !isCoords(message.coords)) ||
+        !isFiniteNumber(message.hp) ||
+        typeof message.status !== 'string' ||
+        !isFiniteNumber(message.score) ||
+        typeof message.isValid !== 'boolean'
+      ) {
+        return createErrorMessage(
+          ERROR_CODES.BAD_MESSAGE,
+          '位置・HP・状態・得点・判定の形式が正しくありません'
+        );
+      }
+      return null;
+    case CLIENT_MESSAGES.LEAVE:
+      return null;
+    default:
+      return createErrorMessage(ERROR_CODES.BAD_MESSAGE, `不明なメッセージです（${message?.type}）`);
+  }
+};
@@ -0,0 +1,155 @@
+import {
+  CLIENT_MESSAGES,
+  ERROR_CODES,
+  SERVER_MESSAGES,
+  createErrorMessage,
+  decodeMessage,
+  encodeMessage,
+  validateClientMessage
+} from './protocol';
+import {
+  addPlayer,
+  advanceSession,
+  createSession,
+  describeSession,
+  disconnectPlayer,
+  hasConnectedPlayers,
+  reconnectPlayer,
+  updatePlayer
+} from './session';
+
+// The server core knows nothing about sockets: a host (server/index.js, or a
+// test running clients in the same process) calls `connect` with a function
+// that sends text to that client, feeds received text to the returned
+// connection and calls `tick` at a fixed rate. Every session plays `scenario`
+// and is created when its first player joins and dropped when no one is left
+// connected.
+export const createSessionServer = ({
+  scenario,
+  createResumeToken = () => globalThis.crypto.randomUUID()
+}) => {
+  const sessions = new Map();
+  const connections = new Set();
+  // Resume token -> { playerId, sessionId } for everyone who has joined.
+  const resumeTokens = new Map();
+  let playerCount = 0;
+
+  const sendTo = (connection, message) => connection.send(encodeMessage(message));
+
+  const broadcast = (sessionId) => {
+    const text = encodeMessage(describeSession(sessions.get(sessionId)));
+    connections.forEach((connection) => {
+      if (connection.sessionId === sessionId) {
+        connection.send(text);
+      }
+    });
+  };
+
+  const findReturningPlayer = (sessionId, resumeToken) => {
+    const entry = resumeToken != null ? resumeTokens.get(resumeToken) : undefined;
+    return entry?.sessionId === sessionId ? entry.playerId : null;
+  };
+
+  const join = (connection, { sessionId, name, resumeToken }) => {
+    if (connection.playerId) {
+      sendTo(connection, createErrorMessage(ERROR_CODES.ALREADY_JOINED, '参加済みです'));
+      return;
+    }
+    const session = sessions.get(sessionId) ?? createSession(sessionId, scenario);
+    let playerId = findReturningPlayer(sessionId, resumeToken);
+    let token = resumeToken;
+    if (playerId) {
+      // A connection the player left behind (e.g. a dead socket) stops
+      // speaking for them.
+      connections.forEach((other) => {
+        if (other.playerId === playerId) {
+          Object.assign(other, { playerId: null, sessionId: null });
+        }
+      });
+      sessions.set(sessionId, reconnectPlayer(session, playerId, name.trim()));
+    } else {
+      playerCount += 1;
+      playerId = `player-${playerCount}`;
+      token = createResumeToken();
+      resumeTokens.set(token, { playerId, sessionId });
+      sessions.set(sessionId, addPlayer(session, playerId, name.trim()));
+    }
+    Object.assign(connection, { playerId, sessionId });
+    sendTo(connection, {
+      type: SERVER_MESSAGES.WELCOME,
+      playerId,
+      sessionId,
+      resumeToken: token,
+      scenario,
+      elapsedSeconds: session.elapsedSeconds
+    });
+    broadcast(sessionId);
+  };
+
+  const leave = (connection) => {
+    const { playerId, sessionId } = connection;
+    if (!playerId) {
+      return;
+    }
+    Object.assign(connection, { playerId: null, sessionId: null });
+    const session = disconnectPlayer(sessions.get(sessionId), playerId);
+    if (!hasConnectedPlayers(session)) {
+      sessions.delete(sessionId);
+      return;
+    }
+    sessions.set(sessionId, session);
+    broadcast(sessionId);
+  };
+
+  const receive = (connection, text) => {
+    const message = decodeMessage(text);
+    const error = validateClientMessage(message);
+    if (error) {
+      sendTo(connection, error);
+      return;
+    }
+    switch (message.type) {
+      case CLIENT_MESSAGES.JOIN:
+        join(connection, message);
+        break;
+      case CLIENT_MESSAGES.UPDATE:
+        if (!connection.playerId) {
+          sendTo(connection, createErrorMessage(ERROR_CODES.NOT_JOINED, '先に参加してください'));
+          return;
+        }
+        sessions.set(
+          connection.sessionId,
+          updatePlayer(sessions.get(connection.sessionId), connection.playerId, message)
+        );
+        break;
+      default:
+        leave(connection);
+    }
+  };
+
+  const connect = (send) => {
+    const connection = { send, playerId: null, sessionId: null };
+    connections.add(connection);
+    return {
+      receive: (text) => receive(connection, text),
+      close: () => {
+        leave(connection);
+        connections.delete(connection);
+      }
+    };
+  };
+
+  // Advances every session's hazards and clock and broadcasts the result.
+  const tick = (deltaSeconds) => {
+    [...sessions.keys()].forEach((sessionId) => {
+      sessions.set(sessionId, advanceSession(sessions.get(sessionId), deltaSeconds));
+      broadcast(sessionId);
+    });
+  };
+
+  return {
+    connect,
+    tick,
+    getSession: (sessionId) => sessions.get(sessionId) ?? null
+  };
+};
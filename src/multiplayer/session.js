@@ -0,0 +1,111 @@
+import {
+  PLAYER_STATUS,
+  advanceMovingHazardState,
+  calculateDistanceMeters,
+  createInitialMovingHazardState
+} from '../engine';
+import { SERVER_MESSAGES } from './protocol';
+
+// A session is what the server keeps per group of players: the scenario they
+// play, the match clock, the players' last reports and the moving hazards,
+// which only the server simulates. Players who drop out stay listed (with
+// `isConnected: false`) so they can come back as themselves.
+
+// Same chunking as catchUp: bounces are only resolved a few at a time.
+const HAZARD_STEP_SECONDS = 1;
+
+export const createSession = (id, scenario) => ({
+  id,
+  scenario,
+  elapsedSeconds: 0,
+  movingHazards: scenario.movingHazards.map(createInitialMovingHazardState),
+  players: []
+});
+
+export const addPlayer = (session, playerId, name) => ({
+  ...session,
+  players: [
+    ...session.players,
+    {
+      id: playerId,
+      name,
+      coords: null,
+      hp: null,
+      status: PLAYER_STATUS.ALIVE,
+      score: 0,
+      isValid: true,
+      isConnected: true,
+      updatedAtSeconds: session.elapsedSeconds
+    }
+  ]
+});
+
+const changePlayer = (session, playerId, changes) => ({
+  ...session,
+  players: session.players.map((player) =>
+    player.id === playerId ? { ...player, ...changes } : player
+  )
+});
+
+export const updatePlayer = (session, playerId, { coords, hp, status, score, isValid }) =>
+  changePlayer(session, playerId, {
+    coords,
+    hp,
+    status,
+    score,
+    isValid,
+    updatedAtSeconds: session.elapsedSeconds
+  });
+
+// Adds the player again if the session was started over without them.
+export const reconnectPlayer = (session, playerId, name) =>
+  session.players.some((player) => player.id === playerId)
+    ? changePlayer(session, playerId, { name, isConnected: true })
+    : addPlayer(session, playerId, name);
+
+export const disconnectPlayer = (session, playerId) =>
+  changePlayer(session, playerId, { isConnected: false });
+
+export const hasConnectedPlayers = (session) =>
+  session.players.some((player) => player.isConnected);
+
+// Chasing hazards go after the closest player who is still in play.
+const findChaseTarget = (hazardState, players) =>
+  players
+    .filter(
+      (player) => player.isConnected && player.coords && player.status === PLAYER_STATUS.ALIVE
+    )
+    .reduce(
+      (nearest, player) => {
+        const distance = calculateDistanceMeters(hazardState.coords, player.coords);
+        return distance < nearest.distance ? { coords: player.coords, distance } : nearest;
+      },
+      { coords: null, distance: Infinity }
+    ).coords;
+
+export const advanceSession = (session, deltaSeconds) => {
+  let { movingHazards } = session;
+  let remaining = deltaSeconds;
+  while (remaining > 0) {
+    const chunk = Math.min(remaining, HAZARD_STEP_SECONDS);
+    movingHazards = movingHazards.map((hazardState, index) =>
+      advanceMovingHazardState(
+        hazardState,
+        session.scenario.movingHazards[index],
+        chunk,
+        findChaseTarget(hazardState, session.players)
+      )
+    );
+    remaining -= chunk;
+  }
+  return { ...session, movingHazards, elapsedSeconds: session.elapsedSeconds + deltaSeconds };
+};
+
+// The `state` message broadcast to every player of the session.
+export const describeSession = (session) => ({
+  type: SERVER_MESSAGES.STATE,
+  sessionId: session.id,
+  elapsedSeconds: session.elapsedSeconds,
+  players: session.players,
+  movingHazards: session.movingHazards
+});
@@ -0,0 +1,11 @@
+export {
+  DAMAGE_CURVE_KEYS,
+  LAYOUT_ITEM_KINDS,
+  copyToLayout,
+  createLayout,
+  placeItem,
+  removeItem,
+  sampleDamageCurve,
+  updateItem,
+  validateLayout
+} from './layout';
@@ -0,0 +1,120 @@
+import { MAX_HP, evaluateZoneDamage } from '../engine';
+import { validateScenario } from '../scenario';
+
+// A layout is a scenario JSON built on site: zones are dropped at the
+// organiser's position and tuned in place. Saved layouts are plain scenario
+// files, so they load, validate and export like any other scenario.
+
+export const LAYOUT_ITEM_KINDS = {
+  DANGER_ZONE: 'dangerZones',
+  HEALING_ZONE: 'healingZones',
+  MOVING_HAZARD: 'movingHazards'
+};
+
+// Parameters of the damage curve (see evaluateZoneDamage) that the editor tunes.
+export const DAMAGE_CURVE_KEYS = ['safeRadius', 'baseDamage', 'scale', 'offset', 'maxDamage'];
+
+// Starting values match the standard scenario's zones.
+const NEW_ITEMS = {
+  [LAYOUT_ITEM_KINDS.DANGER_ZONE]: {
+    prefix: 'zone',
+    label: '危険源',
+    defaults: { safeRadius: 60, baseDamage: 6, scale: 30, offset: 0.1, maxDamage: 18 }
+  },
+  [LAYOUT_ITEM_KINDS.HEALING_ZONE]: {
+    prefix: 'heal',
+    label: 'ヒーリングゾーン',
+    defaults: { radiusMeters: 50 }
+  },
+  [LAYOUT_ITEM_KINDS.MOVING_HAZARD]: {
+    prefix: 'hazard',
+    label: '移動危険源',
+    defaults: {
+      radiusMeters: 200,
+      sourceRadius: 5,
+      safeRadius: 40,
+      baseDamage: 4,
+      scale: 60,
+      offset: 0.1,
+      maxDamage: 14,
+      speedMetersPerSecond: 3
+    }
+  }
+};
+
+const pickCoords = ({ latitude, longitude }) => ({ latitude, longitude });
+
+export const createLayout = (name, now) => ({
+  id: `layout-${now}`,
+  name,
+  initialStats: { hp: MAX_HP, guard: 5, resonance: 5 },
+  dangerZones: [],
+  movingHazards: [],
+  healingZones: []
+});
+
+// Starts a new layout from an existing scenario. It gets its own id so the
+// original (e.g. a bundled scenario) is left as it was.
+export const copyToLayout = (scenario, now) => ({
+  ...scenario,
+  id: `layout-${now}`,
+  name: `${scenario.name}（編集）`,
+  dangerZones: scenario.dangerZones ?? [],
+  movingHazards: scenario.movingHazards ?? [],
+  healingZones: scenario.healingZones ?? []
+});
+
+const nextItemNumber = (items, prefix) =>
+  items.reduce((highest, item) => {
+    const match = new RegExp(`^${prefix}-(\\d+)$`).exec(item.id);
+    return match ? Math.max(highest, Number(match[1])) : highest;
+  }, 0) + 1;
+
+// Drops a new item of `kind` at `coords` (the organiser's position). Moving
+// hazards get an arena centred there and bounce around it.
+export const placeItem = (layout, kind, coords) => {
+  const { prefix, label, defaults } = NEW_ITEMS[kind];
+  const number = nextItemNumber(layout[kind], prefix);
+  const position = pickCoords(coords);
+  const base = { id: `${prefix}-${number}`, name: `${label} ${number}`, ...defaults };
+  const item =
+    kind === LAYOUT_ITEM_KINDS.DANGER_ZONE
+      ? { ...base, coords: position }
+      : { ...base, center: position };
+  return { ...layout, [kind]: [...layout[kind], item] };
+};
+
+// `null` removes a key (e.g. no `maxDamage` cap).
+export const updateItem = (layout, kind, id, changes) => ({
+  ...layout,
+  [kind]: layout[kind].map((item) => {
+    if (item.id !== id) {
+      return item;
+    }
+    const next = { ...item, ...changes };
+    Object.keys(changes)
+      .filter((key) => changes[key] === null)
+      .forEach((key) => {
+        delete next[key];
+      });
+    return next;
+  })
+});
+
+export const removeItem = (layout, kind, id) => ({
+  ...layout,
+  [kind]: layout[kind].filter((item) => item.id !== id)
+});
+
+// Errors for the whole layout; a layout with none can be saved.
+export const validateLayout = (layout) => validateScenario(layout);
+
+// Damage per second from the source outwards to just past safeRadius, for
+// previewing a zone's curve while it is tuned.
+export const sampleDamageCurve = (zone, sampleCount = 24) => {
+  const reach = (zone.sourceRadius ?? 0) + zone.safeRadius;
+  return Array.from({ length: sampleCount + 1 }, (_, index) => {
+    const distance = (reach * 1.1 * index) / sampleCount;
+    return { distance, damage: evaluateZoneDamage(distance, zone) };
+  });
+};
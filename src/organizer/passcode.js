@@ -0,0 +1,15 @@
+import * as Crypto from 'expo-crypto';
+
+export const MIN_PASSCODE_LENGTH = 4;
+
+// Only a salted hash of the organiser passcode is kept on the device.
+const hashPasscode = (passcode, salt) =>
+  Crypto.digestStringAsync(Crypto.CryptoDigestAlgorithm.SHA256, `${salt}:${passcode}`);
+
+export const createPasscodeRecord = async (passcode) => {
+  const salt = Crypto.randomUUID();
+  return { salt, hash: await hashPasscode(passcode, salt) };
+};
+
+export const verifyPasscode = async (record, passcode) =>
+  record != null && (await hashPasscode(passcode, record.salt)) === record.hash;
@@ -0,0 +1 @@
+export { SNAPSHOT_VERSION, createSnapshot, restoreSnapshot } from './snapshot';
@@ -0,0 +1,219 @@
+import {
+  PLAYER_STATUS,
+  INTEGRITY_PENALTIES,
+  ITEM_STATUS,
+  OBJECTIVE_STATUS,
+  SUSPICION_SEVERITIES,
+  catchUp,
+  createInitialLifecycle,
+  createInitialState,
+  offsetsToCoords
+} from '../engine';
+import { loadScenario } from '../scenario';
+
+export const SNAPSHOT_VERSION = 1;
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const isVector = (value) => value != null && isFiniteNumber(value.x) && isFiniteNumber(value.y);
+
+export const createSnapshot = (state, savedAt) => ({
+  version: SNAPSHOT_VERSION,
+  savedAt,
+  scenario: state.scenario,
+  elapsedSeconds: state.elapsedSeconds,
+  stats: state.stats,
+  // Coordinates are derived from offsets; everything else is motion-model state.
+  movingHazards: state.movingHazards.map(({ coords, ...hazardState }) => hazardState),
+  lifecycle: state.lifecycle,
+  sessionStats: state.sessionStats,
+  integrity: state.integrity,
+  statusEffects: state.statusEffects.map(({ id, remainingSeconds, stacks, exposedSeconds }) => ({
+    id,
+    remainingSeconds,
+    stacks,
+    exposedSeconds
+  })),
+  objectives: state.objectives.map(
+    ({ id, status, checkpointIndex, heldSeconds, completedAtSeconds }) => ({
+      id,
+      status,
+      checkpointIndex,
+      heldSeconds,
+      completedAtSeconds
+    })
+  ),
+  items: state.items
+});
+
+const restoreMovingHazards = (scenario, initialHazards, savedHazards) =>
+  initialHazards.map((hazardState, index) => {
+    const saved = savedHazards?.find((entry) => entry?.id === hazardState.id);
+    if (!saved || !isVector(saved.offset) || !isVector(saved.direction)) {
+      return hazardState;
+    }
+    const { center } = scenario.movingHazards[index];
+    return {
+      ...hazardState,
+      ...saved,
+      coords: offsetsToCoords(center, saved.offset.x, saved.offset.y)
+    };
+  });
+
+// Snapshots written before the lifecycle existed only carry HP; a player saved
+// at 0 HP resumes downed.
+const restoreLifecycle = (saved, stats) => {
+  const initial = createInitialLifecycle();
+  if (!saved || !Object.values(PLAYER_STATUS).includes(saved.status)) {
+    return stats.hp <= 0 ? { ...initial, status: PLAYER_STATUS.DOWNED } : initial;
+  }
+  return Object.fromEntries(
+    Object.entries(initial).map(([key, value]) => [
+      key,
+      key === 'status' || isFiniteNumber(saved[key]) ? saved[key] : value
+    ])
+  );
+};
+
+const isCoords = (value) =>
+  value != null && isFiniteNumber(value.latitude) && isFiniteNumber(value.longitude);
+
+// Older snapshots have no summary totals; those sessions start counting anew.
+const restoreSessionStats = (saved, initial) => {
+  if (!saved || typeof saved !== 'object') {
+    return initial;
+  }
+  const restored = Object.fromEntries(
+    Object.entries(initial).map(([key, value]) => [
+      key,
+      isFiniteNumber(value) && isFiniteNumber(saved[key]) ? saved[key] : value
+    ])
+  );
+  return {
+    ...restored,
+    lastCoords: isCoords(saved.lastCoords) ? saved.lastCoords : null,
+    zones: saved.zones && typeof saved.zones === 'object' ? saved.zones : {},
+    damageByType:
+      saved.damageByType && typeof saved.damageByType === 'object' ? saved.damageByType : {}
+  };
+};
+
+// Sessions saved before spoofing checks existed start with a clean record.
+const restoreIntegrity = (saved, initial) => {
+  if (!saved || typeof saved !== 'object') {
+    return initial;
+  }
+  return {
+    lastFix: isCoords(saved.lastFix) ? saved.lastFix : null,
+    suspicions: Array.isArray(saved.suspicions) ? saved.suspicions : [],
+    suspicionCount: isFiniteNumber(saved.suspicionCount) ? saved.suspicionCount : 0,
+    highestSeverity: SUSPICION_SEVERITIES.includes(saved.highestSeverity)
+      ? saved.highestSeverity
+      : null,
+    penalty: INTEGRITY_PENALTIES.includes(saved.penalty) ? saved.penalty : null,
+    isSimulated: saved.isSimulated === true
+  };
+};
+
+// Effects the scenario no longer defines are dropped. Exposure is not saved:
+// the player may have left the zone while the app was closed.
+const restoreStatusEffects = (saved, definitions) =>
+  (Array.isArray(saved) ? saved : [])
+    .filter(
+      (effect) =>
+        definitions[effect?.id] &&
+        isFiniteNumber(effect.remainingSeconds) &&
+        isFiniteNumber(effect.stacks)
+    )
+    .map((effect) => ({
+      id: effect.id,
+      name: definitions[effect.id].name,
+      remainingSeconds: effect.remainingSeconds,
+      stacks: effect.stacks,
+      exposedSeconds: isFiniteNumber(effect.exposedSeconds) ? effect.exposedSeconds : 0,
+      damagePerSecond: 0,
+      damageByType: []
+    }));
+
+// Matched by id, so objectives added to the scenario since start fresh. As
+// with effects, whether the player was inside a capture area is not saved.
+const restoreObjectives = (saved, initialObjectives, objectives) =>
+  initialObjectives.map((initial, index) => {
+    const entry = (Array.isArray(saved) ? saved : []).find((item) => item?.id === initial.id);
+    const checkpointCount = objectives[index].checkpoints?.length ?? 0;
+    // An active checkpoint run must still have a checkpoint to head for.
+    const lastIndex =
+      checkpointCount > 0 && entry?.status === OBJECTIVE_STATUS.ACTIVE
+        ? checkpointCount - 1
+        : checkpointCount;
+    if (
+      !entry ||
+      !Object.values(OBJECTIVE_STATUS).includes(entry.status) ||
+      !Number.isInteger(entry.checkpointIndex) ||
+      entry.checkpointIndex < 0 ||
+      entry.checkpointIndex > lastIndex ||
+      !isFiniteNumber(entry.heldSeconds)
+    ) {
+      return initial;
+    }
+    return {
+      ...initial,
+      status: entry.status,
+      checkpointIndex: entry.checkpointIndex,
+      heldSeconds: entry.heldSeconds,
+      completedAtSeconds: isFiniteNumber(entry.completedAtSeconds) ? entry.completedAtSeconds : null
+    };
+  });
+
+// Picked-up and used items stay that way after a restart; items added to the
+// scenario since are placed.
+const restoreItems = (saved, initialItems) =>
+  initialItems.map((initial) => {
+    const entry = (Array.isArray(saved) ? saved : []).find((item) => item?.id === initial.id);
+    return entry && Object.values(ITEM_STATUS).includes(entry.status)
+      ? { ...initial, status: entry.status }
+      : initial;
+  });
+
+// Rebuilds an engine state from a snapshot and replays the time since it was
+// saved. Returns null when the snapshot is unusable so the caller can start a
+// fresh game instead.
+export const restoreSnapshot = (snapshot, now) => {
+  if (!snapshot || snapshot.version !== SNAPSHOT_VERSION || !isFiniteNumber(snapshot.savedAt)) {
+    return null;
+  }
+
+  let scenario;
+  try {
+    scenario = loadScenario(snapshot.scenario);
+  } catch (error) {
+    return null;
+  }
+
+  const initial = createInitialState(scenario);
+  const savedStats = snapshot.stats ?? {};
+  const stats = Object.fromEntries(
+    Object.entries(initial.stats).map(([key, value]) => [
+      key,
+      isFiniteNumber(savedStats[key]) ? savedStats[key] : value
+    ])
+  );
+
+  // Snapshots from before the match clock kept it in the summary totals.
+  const savedElapsed = snapshot.elapsedSeconds ?? snapshot.sessionStats?.elapsedSeconds;
+  const restored = {
+    ...initial,
+    elapsedSeconds: isFiniteNumber(savedElapsed) ? savedElapsed : 0,
+    stats,
+    movingHazards: restoreMovingHazards(scenario, initial.movingHazards, snapshot.movingHazards),
+    lifecycle: restoreLifecycle(snapshot.lifecycle, stats),
+    sessionStats: restoreSessionStats(snapshot.sessionStats, initial.sessionStats),
+    integrity: restoreIntegrity(snapshot.integrity, initial.integrity),
+    statusEffects: restoreStatusEffects(snapshot.statusEffects, scenario.statusEffects),
+    objectives: restoreObjectives(snapshot.objectives, initial.objectives, scenario.objectives),
+    items: restoreItems(snapshot.items, initial.items)
+  };
+
+  const elapsedSeconds = Math.max(now - snapshot.savedAt, 0) / 1000;
+  return catchUp(restored, elapsedSeconds);
+};
@@ -0,0 +1,109 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const SESSION_KEY = 'posigame/session';
+
+export const loadSavedSnapshot = async () => {
+  const raw = await AsyncStorage.getItem(SESSION_KEY);
+  if (!raw) {
+    return null;
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    return null;
+  }
+};
+
+export const saveSnapshot = (snapshot) =>
+  AsyncStorage.setItem(SESSION_KEY, JSON.stringify(snapshot));
+
+const FEEDBACK_PROFILE_KEY = 'posigame/feedbackProfile';
+
+export const loadFeedbackProfileId = () => AsyncStorage.getItem(FEEDBACK_PROFILE_KEY);
+
+export const saveFeedbackProfileId = (id) => AsyncStorage.setItem(FEEDBACK_PROFILE_KEY, id);
+
+const SUMMARIES_KEY = 'posigame/summaries';
+const MAX_SAVED_SUMMARIES = 50;
+
+export const loadSessionSummaries = async () => {
+  const raw = await AsyncStorage.getItem(SUMMARIES_KEY);
+  if (!raw) {
+    return [];
+  }
+  try {
+    const summaries = JSON.parse(raw);
+    return Array.isArray(summaries) ? summaries : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+// Newest first; the oldest summaries are dropped beyond MAX_SAVED_SUMMARIES.
+export const saveSessionSummary = async (summary) => {
+  const summaries = await loadSessionSummaries();
+  const next = [summary, ...summaries.filter((entry) => entry.id !== summary.id)].slice(
+    0,
+    MAX_SAVED_SUMMARIES
+  );
+  await AsyncStorage.setItem(SUMMARIES_KEY, JSON.stringify(next));
+  return next;
+};
+
+const LAYOUTS_KEY = 'posigame/layouts';
+
+// Venue layouts made in organiser mode (raw scenario JSON).
+export const loadLayouts = async () => {
+  const raw = await AsyncStorage.getItem(LAYOUTS_KEY);
+  if (!raw) {
+    return [];
+  }
+  try {
+    const layouts = JSON.parse(raw);
+    return Array.isArray(layouts) ? layouts : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+export const saveLayout = async (layout) => {
+  const layouts = await loadLayouts();
+  const next = [...layouts.filter((entry) => entry.id !== layout.id), layout];
+  await AsyncStorage.setItem(LAYOUTS_KEY, JSON.stringify(next));
+  return next;
+};
+
+export const deleteLayout = async (id) => {
+  const next = (await loadLayouts()).filter((entry) => entry.id !== id);
+  await AsyncStorage.setItem(LAYOUTS_KEY, JSON.stringify(next));
+  return next;
+};
+
+const ORGANIZER_PASSCODE_KEY = 'posigame/organizerPasscode';
+
+export const loadOrganizerPasscode = async () => {
+  const raw = await AsyncStorage.getItem(ORGANIZER_PASSCODE_KEY);
+  try {
+    return raw ? JSON.parse(raw) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const saveOrganizerPasscode = (record) =>
+  AsyncStorage.setItem(ORGANIZER_PASSCODE_KEY, JSON.stringify(record));
+
+const MULTIPLAYER_RESUME_KEY = 'posigame/multiplayerResume';
+
+// The last multiplayer session joined: { url, sessionId, resumeToken }.
+export const loadMultiplayerResume = async () => {
+  const raw = await AsyncStorage.getItem(MULTIPLAYER_RESUME_KEY);
+  try {
+    return raw ? JSON.parse(raw) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const saveMultiplayerResume = (record) =>
+  AsyncStorage.setItem(MULTIPLAYER_RESUME_KEY, JSON.stringify(record));
@@ -0,0 +1,318 @@
+import {
+  DEFAULT_DAMAGE_TYPE,
+  DEFAULT_DAMAGE_TYPES,
+  DEFAULT_MAX_EQUIPPED,
+  DEFAULT_MAX_REDUCTION,
+  DEFAULT_MAX_STACKS,
+  DEFAULT_OBJECTIVE_RADIUS_METERS,
+  DEFAULT_PER_POINT,
+  DEFAULT_PICKUP_RADIUS_METERS,
+  DEFAULT_RESPAWN_HP,
+  DEFAULT_STACK_EVERY_SECONDS,
+  HEALING_ZONE_REGEN_PER_SECOND,
+  HEALING_ZONE_ZERO_HP_DELAY_SECONDS,
+  MAX_ACCURACY_METERS,
+  MAX_PLAUSIBLE_SPEED_METERS_PER_SECOND,
+  PASSIVE_REGEN_PER_SECOND,
+  PLAY_AREA_DAMAGE_PER_SECOND,
+  PLAY_AREA_WARNING_SECONDS,
+  TELEPORT_DISTANCE_METERS,
+  clampOffsetToRadius,
+  coordsToOffsets,
+  nextRandom,
+  shapeCentroid
+} from '../engine';
+import defaultScenario from '../../scenarios/default.json';
+import practiceScenario from '../../scenarios/practice.json';
+import shrinkingCircleScenario from '../../scenarios/shrinking-circle.json';
+import { formatScenarioErrors, validateScenario } from './validate';
+
+export { formatScenarioErrors, validateScenario };
+
+export class ScenarioValidationError extends Error {
+  constructor(errors) {
+    super(`シナリオに ${errors.length} 件のエラーがあります\n${formatScenarioErrors(errors)}`);
+    this.name = 'ScenarioValidationError';
+    this.errors = errors;
+  }
+}
+
+const DEFAULT_RANDOM_WALK_TURN_DEGREES_PER_SECOND = 45;
+
+const sortBy = (entries, key) => [...entries].sort((a, b) => a[key] - b[key]);
+
+const normalizeSchedule = (schedule) => {
+  if (!schedule) {
+    return undefined;
+  }
+  return {
+    ...schedule,
+    windows: schedule.windows ? sortBy(schedule.windows, 'startSeconds') : undefined,
+    phases: sortBy(schedule.phases ?? [], 'atSeconds')
+  };
+};
+
+// Scenario entries extend or override the built-in types.
+const normalizeDamageTypes = (damageTypes) =>
+  Object.fromEntries(
+    Object.entries({ ...DEFAULT_DAMAGE_TYPES, ...damageTypes }).map(([id, entry]) => {
+      const config = { ...DEFAULT_DAMAGE_TYPES[id], ...entry };
+      const mitigation = config.mitigation ?? (config.resistStat ? 'flat' : 'none');
+      return [
+        id,
+        {
+          name: config.name ?? id,
+          resistStat: config.resistStat ?? null,
+          mitigation,
+          perPoint: config.perPoint ?? DEFAULT_PER_POINT[mitigation],
+          maxReduction: config.maxReduction ?? DEFAULT_MAX_REDUCTION
+        }
+      ];
+    })
+  );
+
+// `damageType` is a type id or an object of type id -> relative share.
+const toDamageMix = (damageType = DEFAULT_DAMAGE_TYPE) => {
+  const weights = typeof damageType === 'string' ? { [damageType]: 1 } : damageType;
+  const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+  return Object.entries(weights).map(([type, weight]) => ({ type, share: weight / total }));
+};
+
+const normalizeStatusEffects = (statusEffects = {}) =>
+  Object.fromEntries(
+    Object.entries(statusEffects).map(([id, effect]) => [
+      id,
+      {
+        ...effect,
+        name: effect.name ?? id,
+        stacking: effect.stacking ?? 'refresh',
+        maxStacks: effect.maxStacks ?? DEFAULT_MAX_STACKS,
+        stackEverySeconds: effect.stackEverySeconds ?? DEFAULT_STACK_EVERY_SECONDS,
+        damagePerSecond: effect.damagePerSecond ?? 0,
+        damageMix: toDamageMix(effect.damageType),
+        guard: effect.guard ?? 0,
+        resonance: effect.resonance ?? 0,
+        regenMultiplier: effect.regenMultiplier ?? 1
+      }
+    ])
+  );
+
+const normalizeItemTypes = (itemTypes = {}) =>
+  Object.fromEntries(
+    Object.entries(itemTypes).map(([id, itemType]) => [
+      id,
+      {
+        ...itemType,
+        name: itemType.name ?? id,
+        hp: itemType.hp ?? 0,
+        guard: itemType.guard ?? 0,
+        resonance: itemType.resonance ?? 0,
+        applies: itemType.applies ?? []
+      }
+    ])
+  );
+
+const normalizeItem = (item) => ({
+  ...item,
+  pickupRadiusMeters: item.pickupRadiusMeters ?? DEFAULT_PICKUP_RADIUS_METERS
+});
+
+const normalizeMovingHazard = (hazard) => {
+  const motion = { type: 'bounce', ...hazard.motion };
+  // Patrol routes do not need an arena; their first waypoint is the origin.
+  const center = hazard.center ?? motion.waypoints?.[0];
+
+  if (motion.type === 'patrol') {
+    motion.waypointOffsets = motion.waypoints.map((waypoint) => coordsToOffsets(center, waypoint));
+  }
+  if (motion.type === 'randomWalk') {
+    motion.turnDegreesPerSecond =
+      motion.turnDegreesPerSecond ?? DEFAULT_RANDOM_WALK_TURN_DEGREES_PER_SECOND;
+  }
+
+  return {
+    ...hazard,
+    center,
+    motion,
+    damageMix: toDamageMix(hazard.damageType),
+    applies: hazard.applies ?? [],
+    schedule: normalizeSchedule(hazard.schedule)
+  };
+};
+
+// Shapes may be given as a bare geometry or wrapped in a GeoJSON Feature.
+const unwrapShape = (shape) => (shape?.type === 'Feature' ? shape.geometry : shape);
+
+const normalizeDangerZone = (zone) => {
+  const shape = unwrapShape(zone.shape);
+  const schedule = normalizeSchedule(zone.schedule);
+  const damageMix = toDamageMix(zone.damageType);
+  const applies = zone.applies ?? [];
+  if (!shape) {
+    return { ...zone, schedule, damageMix, applies };
+  }
+  return {
+    ...zone,
+    schedule,
+    damageMix,
+    applies,
+    shape,
+    coords: zone.coords ?? shapeCentroid(shape)
+  };
+};
+
+const normalizeHealingZone = (zone) => {
+  const shape = unwrapShape(zone.shape);
+  const applies = zone.applies ?? [];
+  if (!shape) {
+    return { ...zone, applies };
+  }
+  return { ...zone, applies, shape, center: zone.center ?? shapeCentroid(shape) };
+};
+
+const normalizeObjectiveTarget = (target) => ({
+  ...target,
+  radiusMeters: target.radiusMeters ?? DEFAULT_OBJECTIVE_RADIUS_METERS
+});
+
+const normalizeObjective = (objective) => {
+  const normalized = { ...objective, timeLimitSeconds: objective.timeLimitSeconds ?? null };
+  if (objective.type === 'checkpoints') {
+    return { ...normalized, checkpoints: objective.checkpoints.map(normalizeObjectiveTarget) };
+  }
+  return normalizeObjectiveTarget(normalized);
+};
+
+// Resolves where each phase's circle ends up, as an offset from the initial
+// centre. The new circle always fits inside the previous one: explicit
+// centres are pulled in if needed, and without one the circle either stays
+// concentric or, when a `seed` is given, moves to a reproducible random spot.
+const normalizePlayArea = (playArea) => {
+  if (!playArea) {
+    return null;
+  }
+
+  let seed = playArea.seed;
+  let offset = { x: 0, y: 0 };
+  let { radiusMeters } = playArea;
+  let damagePerSecond = playArea.damagePerSecond ?? PLAY_AREA_DAMAGE_PER_SECOND;
+
+  const phases = playArea.phases.map((phase) => {
+    const slack = Math.max(radiusMeters - phase.radiusMeters, 0);
+    let shift = { x: 0, y: 0 };
+    if (phase.center) {
+      const target = coordsToOffsets(playArea.center, phase.center);
+      shift = { x: target.x - offset.x, y: target.y - offset.y };
+    } else if (seed != null) {
+      const angle = nextRandom(seed);
+      const distance = nextRandom(angle.seed);
+      seed = distance.seed;
+      const length = Math.sqrt(distance.value) * slack;
+      shift = {
+        x: Math.cos(angle.value * 2 * Math.PI) * length,
+        y: Math.sin(angle.value * 2 * Math.PI) * length
+      };
+    }
+    const clamped = clampOffsetToRadius(shift, slack);
+    offset = { x: offset.x + clamped.x, y: offset.y + clamped.y };
+    radiusMeters = phase.radiusMeters;
+    damagePerSecond = phase.damagePerSecond ?? damagePerSecond;
+
+    return {
+      ...phase,
+      warningSeconds: phase.warningSeconds ?? PLAY_AREA_WARNING_SECONDS,
+      damagePerSecond,
+      targetOffset: offset
+    };
+  });
+
+  return {
+    ...playArea,
+    damagePerSecond: playArea.damagePerSecond ?? PLAY_AREA_DAMAGE_PER_SECOND,
+    phases
+  };
+};
+
+const normalizeScenario = (scenario) => ({
+  ...scenario,
+  description: scenario.description ?? '',
+  initialStats: { ...scenario.initialStats },
+  regen: {
+    passivePerSecond: scenario.regen?.passivePerSecond ?? PASSIVE_REGEN_PER_SECOND,
+    healingZonePerSecond: scenario.regen?.healingZonePerSecond ?? HEALING_ZONE_REGEN_PER_SECOND
+  },
+  respawn: {
+    rule: scenario.respawn?.rule ?? 'healingZone',
+    // `regen.healingZoneZeroHpDelaySeconds` predates the respawn block.
+    waitSeconds:
+      scenario.respawn?.waitSeconds ??
+      scenario.regen?.healingZoneZeroHpDelaySeconds ??
+      HEALING_ZONE_ZERO_HP_DELAY_SECONDS,
+    hpOnRespawn: scenario.respawn?.hpOnRespawn ?? DEFAULT_RESPAWN_HP,
+    maxRespawns: scenario.respawn?.maxRespawns ?? null,
+    downedTimeoutSeconds: scenario.respawn?.downedTimeoutSeconds ?? null
+  },
+  resonanceEffects: {
+    detectionMetersPerPoint: scenario.resonanceEffects?.detectionMetersPerPoint ?? null,
+    healingBonusPerPoint: scenario.resonanceEffects?.healingBonusPerPoint ?? 0,
+    headingSenseThreshold: scenario.resonanceEffects?.headingSenseThreshold ?? null
+  },
+  positionAccuracy: {
+    rule: scenario.positionAccuracy?.rule ?? 'none',
+    maxAccuracyMeters: scenario.positionAccuracy?.maxAccuracyMeters ?? MAX_ACCURACY_METERS
+  },
+  antiCheat: {
+    penalty: scenario.antiCheat?.penalty ?? 'flag',
+    penaltySeverity: scenario.antiCheat?.penaltySeverity ?? 'high',
+    maxSpeedMetersPerSecond:
+      scenario.antiCheat?.maxSpeedMetersPerSecond ?? MAX_PLAUSIBLE_SPEED_METERS_PER_SECOND,
+    teleportMeters: scenario.antiCheat?.teleportMeters ?? TELEPORT_DISTANCE_METERS
+  },
+  damageTypes: normalizeDamageTypes(scenario.damageTypes),
+  statusEffects: normalizeStatusEffects(scenario.statusEffects),
+  itemTypes: normalizeItemTypes(scenario.itemTypes),
+  inventory: {
+    maxEquipped: scenario.inventory?.maxEquipped ?? DEFAULT_MAX_EQUIPPED
+  },
+  playArea: normalizePlayArea(scenario.playArea),
+  difficultyPhases: sortBy(scenario.difficultyPhases ?? [], 'atSeconds'),
+  dangerZones: scenario.dangerZones.map(normalizeDangerZone),
+  movingHazards: (scenario.movingHazards ?? []).map(normalizeMovingHazard),
+  healingZones: (scenario.healingZones ?? []).map(normalizeHealingZone),
+  objectives: (scenario.objectives ?? []).map(normalizeObjective),
+  items: (scenario.items ?? []).map(normalizeItem)
+});
+
+export const loadScenario = (scenario) => {
+  const errors = validateScenario(scenario);
+  if (errors.length > 0) {
+    throw new ScenarioValidationError(errors);
+  }
+  return normalizeScenario(scenario);
+};
+
+export const parseScenarioJson = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new ScenarioValidationError([
+      { path: '', message: `JSON として読み込めません（${error.message}）` }
+    ]);
+  }
+  return loadScenario(parsed);
+};
+
+export const fetchScenario = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`シナリオの取得に失敗しました（HTTP ${response.status}）`);
+  }
+  return parseScenarioJson(await response.text());
+};
+
+export const BUNDLED_SCENARIOS = [defaultScenario, practiceScenario, shrinkingCircleScenario].map(
+  loadScenario
+);
+
+export const DEFAULT_SCENARIO = BUNDLED_SCENARIOS[0];
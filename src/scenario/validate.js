@@ -0,0 +1,724 @@
+import {
+  ACCURACY_RULES,
+  DEFAULT_DAMAGE_TYPES,
+  INTEGRITY_PENALTIES,
+  ITEM_KINDS,
+  MAX_HP,
+  MITIGATION_RULES,
+  MOTION_TYPES,
+  OBJECTIVE_TYPES,
+  RESIST_STATS,
+  RESPAWN_RULES,
+  SECONDARY_STAT_MAX,
+  SHAPE_TYPES,
+  STACKING_RULES,
+  SUSPICION_SEVERITIES
+} from '../engine';
+
+const isPlainObject = (value) =>
+  value != null && typeof value === 'object' && !Array.isArray(value);
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const describe = (value) => {
+  if (value === undefined) {
+    return '未指定';
+  }
+  return JSON.stringify(value);
+};
+
+// Collects readable errors instead of stopping at the first one so an
+// organiser can fix a whole scenario file in one pass.
+const createReporter = () => {
+  const errors = [];
+  return {
+    errors,
+    report: (path, message) => {
+      errors.push({ path, message });
+    }
+  };
+};
+
+const checkString = (report, value, path, { required = true } = {}) => {
+  if (value === undefined && !required) {
+    return;
+  }
+  if (typeof value !== 'string' || value.trim() === '') {
+    report(path, `文字列で指定してください（現在: ${describe(value)}）`);
+  }
+};
+
+const checkNumber = (report, value, path, { required = true, min, max } = {}) => {
+  if (value === undefined || value === null) {
+    if (required) {
+      report(path, 'この項目は必須です');
+    }
+    return;
+  }
+  if (!isFiniteNumber(value)) {
+    report(path, `数値で指定してください（現在: ${describe(value)}）`);
+    return;
+  }
+  if (min != null && value < min) {
+    report(path, `${min} 以上で指定してください（現在: ${value}）`);
+  }
+  if (max != null && value > max) {
+    report(path, `${max} 以下で指定してください（現在: ${value}）`);
+  }
+};
+
+const checkRadius = (report, value, path, options = {}) =>
+  checkNumber(report, value, path, { min: 0, ...options });
+
+const checkCoords = (report, value, path) => {
+  if (!isPlainObject(value)) {
+    report(path, `{ "latitude": 緯度, "longitude": 経度 } の形式で指定してください（現在: ${describe(value)}）`);
+    return;
+  }
+  checkNumber(report, value.latitude, `${path}.latitude`, { min: -90, max: 90 });
+  checkNumber(report, value.longitude, `${path}.longitude`, { min: -180, max: 180 });
+};
+
+const checkOffset = (report, value, path) => {
+  if (value === undefined) {
+    return;
+  }
+  if (!isPlainObject(value)) {
+    report(path, `{ "x": メートル, "y": メートル } の形式で指定してください（現在: ${describe(value)}）`);
+    return;
+  }
+  checkNumber(report, value.x, `${path}.x`);
+  checkNumber(report, value.y, `${path}.y`);
+};
+
+const checkDamageType = (report, value, path, damageTypeIds) => {
+  if (value === undefined) {
+    return;
+  }
+  const known = `定義済みの種類（${damageTypeIds.join(' / ')}）`;
+  if (typeof value === 'string') {
+    if (!damageTypeIds.includes(value)) {
+      report(path, `${known}を指定してください（現在: ${describe(value)}）`);
+    }
+    return;
+  }
+  if (!isPlainObject(value) || Object.keys(value).length === 0) {
+    report(path, `種類の ID か、{ "種類": 割合 } のオブジェクトで指定してください（現在: ${describe(value)}）`);
+    return;
+  }
+  Object.entries(value).forEach(([type, share]) => {
+    if (!damageTypeIds.includes(type)) {
+      report(`${path}.${type}`, `${known}を指定してください`);
+    }
+    checkNumber(report, share, `${path}.${type}`, { min: 0 });
+  });
+  if (Object.values(value).every((share) => share === 0)) {
+    report(path, '割合の合計が 0 より大きくなるよう指定してください');
+  }
+};
+
+const checkDamageCurve = (report, zone, path, damageTypeIds) => {
+  checkRadius(report, zone.safeRadius, `${path}.safeRadius`);
+  checkRadius(report, zone.sourceRadius, `${path}.sourceRadius`, { required: false });
+  checkNumber(report, zone.baseDamage, `${path}.baseDamage`, { required: false, min: 0 });
+  checkNumber(report, zone.scale, `${path}.scale`, { required: false, min: 0 });
+  checkNumber(report, zone.offset, `${path}.offset`, { required: false });
+  checkNumber(report, zone.maxDamage, `${path}.maxDamage`, { required: false, min: 0 });
+  checkDamageType(report, zone.damageType, `${path}.damageType`, damageTypeIds);
+  checkSection(report, zone.schedule, `${path}.schedule`, (schedule) =>
+    checkSchedule(report, schedule, `${path}.schedule`)
+  );
+};
+
+// Optional settings block: skipped when absent, must be an object otherwise.
+// Normalized scenarios (e.g. restored from a snapshot) mark absent blocks null.
+const checkSection = (report, value, path, checkFields, { required = false } = {}) => {
+  if (value == null && !required) {
+    return;
+  }
+  if (!isPlainObject(value)) {
+    report(path, `オブジェクトで指定してください（現在: ${describe(value)}）`);
+    return;
+  }
+  checkFields(value);
+};
+
+// `applies`: ids of status effects defined in the scenario.
+const checkApplies = (report, value, path, statusEffectIds) => {
+  if (value === undefined) {
+    return;
+  }
+  if (!Array.isArray(value)) {
+    report(path, `状態効果の ID を配列で指定してください（現在: ${describe(value)}）`);
+    return;
+  }
+  value.forEach((id, index) => {
+    if (!statusEffectIds.includes(id)) {
+      report(
+        `${path}[${index}]`,
+        statusEffectIds.length > 0
+          ? `statusEffects に定義した ID（${statusEffectIds.join(' / ')}）を指定してください（現在: ${describe(id)}）`
+          : `statusEffects に定義されていません（現在: ${describe(id)}）`
+      );
+    }
+  });
+};
+
+const checkPositions = (report, positions, path, minimumCount) => {
+  if (!Array.isArray(positions) || positions.length < minimumCount) {
+    report(path, `${minimumCount} 点以上の [経度, 緯度] を配列で指定してください`);
+    return;
+  }
+  positions.forEach((position, index) => {
+    const positionPath = `${path}[${index}]`;
+    if (!Array.isArray(position) || position.length < 2) {
+      report(positionPath, `[経度, 緯度] の形式で指定してください（現在: ${describe(position)}）`);
+      return;
+    }
+    checkNumber(report, position[0], `${positionPath}[0]（経度）`, { min: -180, max: 180 });
+    checkNumber(report, position[1], `${positionPath}[1]（緯度）`, { min: -90, max: 90 });
+  });
+};
+
+const checkShape = (report, value, path) => {
+  const shape = value?.type === 'Feature' ? value.geometry : value;
+  if (!isPlainObject(shape) || !SHAPE_TYPES.includes(shape.type)) {
+    report(
+      path,
+      `GeoJSON の ${SHAPE_TYPES.join(' / ')} を指定してください（現在: ${describe(shape?.type ?? shape)}）`
+    );
+    return;
+  }
+  if (shape.type === 'LineString') {
+    checkPositions(report, shape.coordinates, `${path}.coordinates`, 2);
+    checkNumber(report, shape.bufferMeters, `${path}.bufferMeters`, { min: 0 });
+    return;
+  }
+  if (!Array.isArray(shape.coordinates) || shape.coordinates.length === 0) {
+    report(`${path}.coordinates`, '外周リングを含む配列で指定してください');
+    return;
+  }
+  shape.coordinates.forEach((ring, index) =>
+    checkPositions(report, ring, `${path}.coordinates[${index}]`, 3)
+  );
+};
+
+const checkEscalationPhases = (report, phases, path) => {
+  if (phases === undefined) {
+    return;
+  }
+  if (!Array.isArray(phases)) {
+    report(path, `配列で指定してください（現在: ${describe(phases)}）`);
+    return;
+  }
+  phases.forEach((phase, index) => {
+    const phasePath = `${path}[${index}]`;
+    if (!isPlainObject(phase)) {
+      report(phasePath, `オブジェクトで指定してください（現在: ${describe(phase)}）`);
+      return;
+    }
+    checkNumber(report, phase.atSeconds, `${phasePath}.atSeconds`, { min: 0 });
+    ['damageMultiplier', 'safeRadiusMultiplier'].forEach((key) =>
+      checkNumber(report, phase[key], `${phasePath}.${key}`, { required: false, min: 0 })
+    );
+  });
+};
+
+const checkSchedule = (report, schedule, path) => {
+  checkNumber(report, schedule.warmupSeconds, `${path}.warmupSeconds`, { required: false, min: 0 });
+  checkEscalationPhases(report, schedule.phases, `${path}.phases`);
+  if (schedule.windows === undefined) {
+    return;
+  }
+  if (!Array.isArray(schedule.windows) || schedule.windows.length === 0) {
+    report(`${path}.windows`, '1 つ以上の { "startSeconds": 秒 } を配列で指定してください');
+    return;
+  }
+  schedule.windows.forEach((window, index) => {
+    const windowPath = `${path}.windows[${index}]`;
+    if (!isPlainObject(window)) {
+      report(windowPath, `オブジェクトで指定してください（現在: ${describe(window)}）`);
+      return;
+    }
+    checkNumber(report, window.startSeconds, `${windowPath}.startSeconds`, { min: 0 });
+    checkNumber(report, window.endSeconds, `${windowPath}.endSeconds`, {
+      required: false,
+      min: isFiniteNumber(window.startSeconds) ? window.startSeconds : 0
+    });
+  });
+};
+
+const checkMotion = (report, motion, path) => {
+  if (!MOTION_TYPES.includes(motion.type)) {
+    report(
+      `${path}.type`,
+      `${MOTION_TYPES.join(' / ')} のいずれかを指定してください（現在: ${describe(motion.type)}）`
+    );
+    return;
+  }
+  if (motion.type === 'patrol') {
+    if (!Array.isArray(motion.waypoints) || motion.waypoints.length < 2) {
+      report(`${path}.waypoints`, '巡回には 2 点以上の座標を配列で指定してください');
+      return;
+    }
+    motion.waypoints.forEach((waypoint, index) =>
+      checkCoords(report, waypoint, `${path}.waypoints[${index}]`)
+    );
+  }
+  if (motion.type === 'randomWalk') {
+    checkNumber(report, motion.seed, `${path}.seed`);
+    checkNumber(report, motion.turnDegreesPerSecond, `${path}.turnDegreesPerSecond`, {
+      required: false,
+      min: 0
+    });
+  }
+};
+
+// A circular geofence: `coords` and an optional `radiusMeters`.
+const checkObjectiveTarget = (report, target, path) => {
+  checkCoords(report, target.coords, `${path}.coords`);
+  checkRadius(report, target.radiusMeters, `${path}.radiusMeters`, { required: false });
+};
+
+const checkObjective = (report, objective, path) => {
+  if (!OBJECTIVE_TYPES.includes(objective.type)) {
+    report(
+      `${path}.type`,
+      `${OBJECTIVE_TYPES.join(' / ')} のいずれかを指定してください（現在: ${describe(objective.type)}）`
+    );
+    return;
+  }
+  checkNumber(report, objective.score, `${path}.score`, { min: 0 });
+  checkNumber(report, objective.timeLimitSeconds, `${path}.timeLimitSeconds`, {
+    required: false,
+    min: 1
+  });
+
+  if (objective.type === 'checkpoints') {
+    if (!Array.isArray(objective.checkpoints) || objective.checkpoints.length === 0) {
+      report(`${path}.checkpoints`, '1 つ以上のチェックポイントを配列で指定してください');
+      return;
+    }
+    objective.checkpoints.forEach((checkpoint, index) => {
+      const checkpointPath = `${path}.checkpoints[${index}]`;
+      if (!isPlainObject(checkpoint)) {
+        report(checkpointPath, `オブジェクトで指定してください（現在: ${describe(checkpoint)}）`);
+        return;
+      }
+      checkString(report, checkpoint.name, `${checkpointPath}.name`, { required: false });
+      checkObjectiveTarget(report, checkpoint, checkpointPath);
+    });
+    return;
+  }
+
+  checkObjectiveTarget(report, objective, path);
+  if (objective.type === 'capture') {
+    checkNumber(report, objective.holdSeconds, `${path}.holdSeconds`, { min: 1 });
+  }
+  if (objective.type === 'reach') {
+    checkNumber(report, objective.minHp, `${path}.minHp`, { min: 0, max: MAX_HP });
+  }
+};
+
+const checkList = (report, value, path, checkEntry, { required = true } = {}) => {
+  if (value === undefined && !required) {
+    return;
+  }
+  if (!Array.isArray(value)) {
+    report(path, `配列で指定してください（現在: ${describe(value)}）`);
+    return;
+  }
+
+  const seenIds = new Set();
+  value.forEach((entry, index) => {
+    const entryPath = `${path}[${index}]`;
+    if (!isPlainObject(entry)) {
+      report(entryPath, `オブジェクトで指定してください（現在: ${describe(entry)}）`);
+      return;
+    }
+    checkString(report, entry.id, `${entryPath}.id`);
+    checkString(report, entry.name, `${entryPath}.name`);
+    if (typeof entry.id === 'string') {
+      if (seenIds.has(entry.id)) {
+        report(`${entryPath}.id`, `id "${entry.id}" が重複しています`);
+      }
+      seenIds.add(entry.id);
+    }
+    checkEntry(entry, entryPath);
+  });
+};
+
+export const validateScenario = (scenario) => {
+  const { errors, report } = createReporter();
+
+  if (!isPlainObject(scenario)) {
+    report('', `シナリオはオブジェクトで指定してください（現在: ${describe(scenario)}）`);
+    return errors;
+  }
+
+  checkString(report, scenario.id, 'id');
+  checkString(report, scenario.name, 'name');
+  checkString(report, scenario.description, 'description', { required: false });
+
+  if (!isPlainObject(scenario.initialStats)) {
+    report('initialStats', 'hp / guard / resonance を含むオブジェクトで指定してください');
+  } else {
+    checkNumber(report, scenario.initialStats.hp, 'initialStats.hp', { min: 0, max: MAX_HP });
+    checkNumber(report, scenario.initialStats.guard, 'initialStats.guard', {
+      min: 0,
+      max: SECONDARY_STAT_MAX
+    });
+    checkNumber(report, scenario.initialStats.resonance, 'initialStats.resonance', {
+      min: 0,
+      max: SECONDARY_STAT_MAX
+    });
+  }
+
+  checkSection(report, scenario.regen, 'regen', (regen) => {
+    ['passivePerSecond', 'healingZonePerSecond', 'healingZoneZeroHpDelaySeconds'].forEach((key) =>
+      checkNumber(report, regen[key], `regen.${key}`, { required: false, min: 0 })
+    );
+  });
+
+  checkSection(report, scenario.respawn, 'respawn', (respawn) => {
+    if (respawn.rule !== undefined && !RESPAWN_RULES.includes(respawn.rule)) {
+      report(
+        'respawn.rule',
+        `${RESPAWN_RULES.join(' / ')} のいずれかを指定してください（現在: ${describe(respawn.rule)}）`
+      );
+    }
+    checkNumber(report, respawn.waitSeconds, 'respawn.waitSeconds', { required: false, min: 0 });
+    checkNumber(report, respawn.hpOnRespawn, 'respawn.hpOnRespawn', {
+      required: false,
+      min: 1,
+      max: MAX_HP
+    });
+    checkNumber(report, respawn.downedTimeoutSeconds, 'respawn.downedTimeoutSeconds', {
+      required: false,
+      min: 0
+    });
+    if (respawn.maxRespawns != null && !Number.isInteger(respawn.maxRespawns)) {
+      report(
+        'respawn.maxRespawns',
+        `0 以上の整数で指定してください（現在: ${describe(respawn.maxRespawns)}）`
+      );
+    } else {
+      checkNumber(report, respawn.maxRespawns, 'respawn.maxRespawns', { required: false, min: 0 });
+    }
+  });
+
+  checkSection(report, scenario.resonanceEffects, 'resonanceEffects', (effects) => {
+    ['detectionMetersPerPoint', 'healingBonusPerPoint'].forEach((key) =>
+      checkNumber(report, effects[key], `resonanceEffects.${key}`, { required: false, min: 0 })
+    );
+    checkNumber(report, effects.headingSenseThreshold, 'resonanceEffects.headingSenseThreshold', {
+      required: false,
+      min: 0,
+      max: SECONDARY_STAT_MAX
+    });
+  });
+
+  checkSection(report, scenario.positionAccuracy, 'positionAccuracy', (accuracy) => {
+    if (accuracy.rule !== undefined && !ACCURACY_RULES.includes(accuracy.rule)) {
+      report(
+        'positionAccuracy.rule',
+        `${ACCURACY_RULES.join(' / ')} のいずれかを指定してください（現在: ${describe(accuracy.rule)}）`
+      );
+    }
+    checkNumber(report, accuracy.maxAccuracyMeters, 'positionAccuracy.maxAccuracyMeters', {
+      required: false,
+      min: 1
+    });
+  });
+
+  checkSection(report, scenario.antiCheat, 'antiCheat', (antiCheat) => {
+    if (antiCheat.penalty !== undefined && !INTEGRITY_PENALTIES.includes(antiCheat.penalty)) {
+      report(
+        'antiCheat.penalty',
+        `${INTEGRITY_PENALTIES.join(' / ')} のいずれかを指定してください（現在: ${describe(antiCheat.penalty)}）`
+      );
+    }
+    if (
+      antiCheat.penaltySeverity !== undefined &&
+      !SUSPICION_SEVERITIES.includes(antiCheat.penaltySeverity)
+    ) {
+      report(
+        'antiCheat.penaltySeverity',
+        `${SUSPICION_SEVERITIES.join(' / ')} のいずれかを指定してください（現在: ${describe(antiCheat.penaltySeverity)}）`
+      );
+    }
+    checkNumber(report, antiCheat.maxSpeedMetersPerSecond, 'antiCheat.maxSpeedMetersPerSecond', {
+      required: false,
+      min: 1
+    });
+    checkNumber(report, antiCheat.teleportMeters, 'antiCheat.teleportMeters', {
+      required: false,
+      min: 1
+    });
+  });
+
+  checkSection(report, scenario.damageTypes, 'damageTypes', (damageTypes) => {
+    Object.entries(damageTypes).forEach(([id, entry]) => {
+      const path = `damageTypes.${id}`;
+      checkSection(
+        report,
+        entry,
+        path,
+        (config) => {
+          checkString(report, config.name, `${path}.name`, { required: false });
+          if (config.resistStat != null && !RESIST_STATS.includes(config.resistStat)) {
+            report(
+              `${path}.resistStat`,
+              `${RESIST_STATS.join(' / ')} のいずれかを指定してください（現在: ${describe(config.resistStat)}）`
+            );
+          }
+          if (config.mitigation !== undefined && !MITIGATION_RULES.includes(config.mitigation)) {
+            report(
+              `${path}.mitigation`,
+              `${MITIGATION_RULES.join(' / ')} のいずれかを指定してください（現在: ${describe(config.mitigation)}）`
+            );
+          }
+          checkNumber(report, config.perPoint, `${path}.perPoint`, { required: false, min: 0 });
+          checkNumber(report, config.maxReduction, `${path}.maxReduction`, {
+            required: false,
+            min: 0,
+            max: 1
+          });
+        },
+        { required: true }
+      );
+    });
+  });
+  const damageTypeIds = Object.keys({
+    ...DEFAULT_DAMAGE_TYPES,
+    ...(isPlainObject(scenario.damageTypes) ? scenario.damageTypes : {})
+  });
+
+  checkSection(report, scenario.statusEffects, 'statusEffects', (statusEffects) => {
+    Object.entries(statusEffects).forEach(([id, entry]) => {
+      const path = `statusEffects.${id}`;
+      checkSection(
+        report,
+        entry,
+        path,
+        (effect) => {
+          checkString(report, effect.name, `${path}.name`, { required: false });
+          checkNumber(report, effect.durationSeconds, `${path}.durationSeconds`, { min: 1 });
+          if (effect.stacking !== undefined && !STACKING_RULES.includes(effect.stacking)) {
+            report(
+              `${path}.stacking`,
+              `${STACKING_RULES.join(' / ')} のいずれかを指定してください（現在: ${describe(effect.stacking)}）`
+            );
+          }
+          checkNumber(report, effect.maxStacks, `${path}.maxStacks`, { required: false, min: 1 });
+          checkNumber(report, effect.stackEverySeconds, `${path}.stackEverySeconds`, {
+            required: false,
+            min: 1
+          });
+          checkNumber(report, effect.damagePerSecond, `${path}.damagePerSecond`, {
+            required: false,
+            min: 0
+          });
+          checkDamageType(report, effect.damageType, `${path}.damageType`, damageTypeIds);
+          checkNumber(report, effect.guard, `${path}.guard`, { required: false });
+          checkNumber(report, effect.resonance, `${path}.resonance`, { required: false });
+          checkNumber(report, effect.regenMultiplier, `${path}.regenMultiplier`, {
+            required: false,
+            min: 0
+          });
+        },
+        { required: true }
+      );
+    });
+  });
+  const statusEffectIds = isPlainObject(scenario.statusEffects)
+    ? Object.keys(scenario.statusEffects)
+    : [];
+
+  checkSection(report, scenario.itemTypes, 'itemTypes', (itemTypes) => {
+    Object.entries(itemTypes).forEach(([id, entry]) => {
+      const path = `itemTypes.${id}`;
+      checkSection(
+        report,
+        entry,
+        path,
+        (itemType) => {
+          checkString(report, itemType.name, `${path}.name`, { required: false });
+          checkString(report, itemType.description, `${path}.description`, { required: false });
+          if (!ITEM_KINDS.includes(itemType.kind)) {
+            report(
+              `${path}.kind`,
+              `${ITEM_KINDS.join(' / ')} のいずれかを指定してください（現在: ${describe(itemType.kind)}）`
+            );
+          }
+          checkNumber(report, itemType.hp, `${path}.hp`, { required: false, min: 0, max: MAX_HP });
+          ['guard', 'resonance'].forEach((key) =>
+            checkNumber(report, itemType[key], `${path}.${key}`, {
+              required: false,
+              min: -SECONDARY_STAT_MAX,
+              max: SECONDARY_STAT_MAX
+            })
+          );
+          if (itemType.kind === 'equipment' && (itemType.hp > 0 || itemType.applies?.length > 0)) {
+            report(path, 'hp と applies は消耗品（"kind": "consumable"）にだけ指定できます');
+          }
+          checkApplies(report, itemType.applies, `${path}.applies`, statusEffectIds);
+        },
+        { required: true }
+      );
+    });
+  });
+  const itemTypeIds = isPlainObject(scenario.itemTypes) ? Object.keys(scenario.itemTypes) : [];
+
+  checkSection(report, scenario.inventory, 'inventory', (inventory) => {
+    if (inventory.maxEquipped !== undefined && !Number.isInteger(inventory.maxEquipped)) {
+      report(
+        'inventory.maxEquipped',
+        `0 以上の整数で指定してください（現在: ${describe(inventory.maxEquipped)}）`
+      );
+    } else {
+      checkNumber(report, inventory.maxEquipped, 'inventory.maxEquipped', {
+        required: false,
+        min: 0
+      });
+    }
+  });
+
+  checkEscalationPhases(report, scenario.difficultyPhases, 'difficultyPhases');
+
+  checkSection(report, scenario.playArea, 'playArea', (playArea) => {
+    checkCoords(report, playArea.center, 'playArea.center');
+    checkRadius(report, playArea.radiusMeters, 'playArea.radiusMeters');
+    checkNumber(report, playArea.damagePerSecond, 'playArea.damagePerSecond', {
+      required: false,
+      min: 0
+    });
+    checkNumber(report, playArea.seed, 'playArea.seed', { required: false });
+    if (!Array.isArray(playArea.phases)) {
+      report('playArea.phases', `配列で指定してください（現在: ${describe(playArea.phases)}）`);
+      return;
+    }
+
+    let previousRadius = playArea.radiusMeters;
+    playArea.phases.forEach((phase, index) => {
+      const path = `playArea.phases[${index}]`;
+      if (!isPlainObject(phase)) {
+        report(path, `オブジェクトで指定してください（現在: ${describe(phase)}）`);
+        return;
+      }
+      checkNumber(report, phase.waitSeconds, `${path}.waitSeconds`, { min: 0 });
+      checkNumber(report, phase.warningSeconds, `${path}.warningSeconds`, {
+        required: false,
+        min: 0
+      });
+      checkNumber(report, phase.shrinkSeconds, `${path}.shrinkSeconds`, { min: 0 });
+      checkRadius(report, phase.radiusMeters, `${path}.radiusMeters`);
+      if (
+        isFiniteNumber(phase.radiusMeters) &&
+        isFiniteNumber(previousRadius) &&
+        phase.radiusMeters > previousRadius
+      ) {
+        report(
+          `${path}.radiusMeters`,
+          `直前の半径（${previousRadius}）以下で指定してください（現在: ${phase.radiusMeters}）`
+        );
+      }
+      if (phase.center !== undefined) {
+        checkCoords(report, phase.center, `${path}.center`);
+      }
+      checkNumber(report, phase.damagePerSecond, `${path}.damagePerSecond`, {
+        required: false,
+        min: 0
+      });
+      previousRadius = phase.radiusMeters;
+    });
+  });
+
+  checkList(report, scenario.dangerZones, 'dangerZones', (zone, path) => {
+    if (zone.shape !== undefined) {
+      checkShape(report, zone.shape, `${path}.shape`);
+    }
+    if (zone.shape === undefined || zone.coords !== undefined) {
+      checkCoords(report, zone.coords, `${path}.coords`);
+    }
+    checkDamageCurve(report, zone, path, damageTypeIds);
+    checkApplies(report, zone.applies, `${path}.applies`, statusEffectIds);
+  });
+
+  checkList(
+    report,
+    scenario.movingHazards,
+    'movingHazards',
+    (hazard, path) => {
+      const motionType = hazard.motion?.type ?? 'bounce';
+      checkSection(report, hazard.motion, `${path}.motion`, (motion) =>
+        checkMotion(report, motion, `${path}.motion`)
+      );
+
+      if (motionType !== 'patrol' || hazard.center !== undefined) {
+        checkCoords(report, hazard.center, `${path}.center`);
+      }
+      checkRadius(report, hazard.radiusMeters, `${path}.radiusMeters`, {
+        required: motionType === 'bounce' || motionType === 'randomWalk'
+      });
+      checkNumber(report, hazard.speedMetersPerSecond, `${path}.speedMetersPerSecond`, { min: 0 });
+      checkNumber(report, hazard.initialHeadingDegrees, `${path}.initialHeadingDegrees`, {
+        required: false
+      });
+      checkOffset(report, hazard.initialOffsetMeters, `${path}.initialOffsetMeters`);
+      checkDamageCurve(report, hazard, path, damageTypeIds);
+      checkApplies(report, hazard.applies, `${path}.applies`, statusEffectIds);
+    },
+    { required: false }
+  );
+
+  checkList(
+    report,
+    scenario.healingZones,
+    'healingZones',
+    (zone, path) => {
+      checkApplies(report, zone.applies, `${path}.applies`, statusEffectIds);
+      if (zone.shape !== undefined) {
+        checkShape(report, zone.shape, `${path}.shape`);
+        return;
+      }
+      checkCoords(report, zone.center, `${path}.center`);
+      checkRadius(report, zone.radiusMeters, `${path}.radiusMeters`);
+    },
+    { required: false }
+  );
+
+  checkList(
+    report,
+    scenario.items,
+    'items',
+    (item, path) => {
+      if (!itemTypeIds.includes(item.type)) {
+        report(
+          `${path}.type`,
+          itemTypeIds.length > 0
+            ? `itemTypes に定義した ID（${itemTypeIds.join(' / ')}）を指定してください（現在: ${describe(item.type)}）`
+            : `itemTypes に定義されていません（現在: ${describe(item.type)}）`
+        );
+      }
+      checkCoords(report, item.coords, `${path}.coords`);
+      checkRadius(report, item.pickupRadiusMeters, `${path}.pickupRadiusMeters`, {
+        required: false
+      });
+    },
+    { required: false }
+  );
+
+  checkList(
+    report,
+    scenario.objectives,
+    'objectives',
+    (objective, path) => checkObjective(report, objective, path),
+    { required: false }
+  );
+
+  return errors;
+};
+
+export const formatScenarioErrors = (errors) =>
+  errors.map(({ path, message }) => (path ? `${path}: ${message}` : message)).join('\n');
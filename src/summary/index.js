@@ -0,0 +1,76 @@
+import { ITEM_STATUS, getMaxObjectiveScore, getScore, isResultValid } from '../engine';
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+const describeHazard = (zone, isDynamic, zones) => {
+  const entry = zones[zone.id];
+  return {
+    id: zone.id,
+    name: zone.name,
+    isDynamic,
+    damage: round(entry?.damage ?? 0),
+    secondsInside: round(entry?.secondsInside ?? 0, 1),
+    closestMeters: entry ? round(entry.closestMeters, 1) : null
+  };
+};
+
+// Freezes the running totals of a finished game into a plain object that can
+// be stored and listed later.
+export const buildSessionSummary = (state, finishedAt) => {
+  const {
+    scenario,
+    stats,
+    lifecycle,
+    sessionStats,
+    elapsedSeconds,
+    integrity,
+    objectives,
+    items
+  } = state;
+  const hazards = [
+    ...scenario.dangerZones.map((zone) => describeHazard(zone, false, sessionStats.zones)),
+    ...scenario.movingHazards.map((hazard) => describeHazard(hazard, true, sessionStats.zones))
+  ];
+
+  return {
+    id: `${scenario.id}-${finishedAt}`,
+    scenarioId: scenario.id,
+    scenarioName: scenario.name,
+    startedAt: Math.round(finishedAt - elapsedSeconds * 1000),
+    finishedAt,
+    durationSeconds: round(elapsedSeconds, 1),
+    totalDamage: round(sessionStats.totalDamage),
+    peakDamagePerSecond: round(sessionStats.peakDamagePerSecond),
+    lowestHp: round(sessionStats.lowestHp),
+    finalHp: round(stats.hp),
+    distanceWalkedMeters: round(sessionStats.distanceWalkedMeters, 1),
+    healingZoneSeconds: round(sessionStats.healingZoneSeconds, 1),
+    finalStatus: lifecycle.status,
+    respawnsUsed: lifecycle.respawnsUsed,
+    suspicionCount: integrity.suspicionCount,
+    highestSeverity: integrity.highestSeverity,
+    penalty: integrity.penalty,
+    isSimulated: integrity.isSimulated,
+    isValid: isResultValid(integrity),
+    hazards,
+    itemsCollected: items.filter((itemState) => itemState.status !== ITEM_STATUS.PLACED).length,
+    itemCount: items.length,
+    score: getScore(state),
+    maxScore: getMaxObjectiveScore(scenario.objectives),
+    objectives: objectives.map((progress, index) => ({
+      id: progress.id,
+      name: scenario.objectives[index].name,
+      status: progress.status,
+      score: scenario.objectives[index].score,
+      completedAtSeconds:
+        progress.completedAtSeconds == null ? null : round(progress.completedAtSeconds, 1)
+    })),
+    damageByType: Object.entries(scenario.damageTypes)
+      .filter(([type]) => sessionStats.damageByType[type] > 0)
+      .map(([type, config]) => ({
+        type,
+        name: config.name,
+        damage: round(sessionStats.damageByType[type])
+      }))
+  };
+};
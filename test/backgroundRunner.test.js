@@ -0,0 +1,95 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { NOTIFICATION_KINDS, createBackgroundRunner } from '../src/background';
+import { createInitialState, offsetsToCoords } from '../src/engine';
+import { createSnapshot } from '../src/persistence';
+import { BUNDLED_SCENARIOS } from '../src/scenario';
+
+const scenario = BUNDLED_SCENARIOS.find((entry) => entry.id === 'practice');
+const zoneCenter = scenario.dangerZones[0].coords;
+
+const fixAt = (coords, timestamp) => ({
+  timestamp,
+  coords: { ...coords, accuracy: 5 }
+});
+
+// Storage and notifications kept in memory; `order` records which hand-off
+// happened first.
+const createStubs = (snapshot, options = {}) => {
+  const stubs = { snapshot, events: [], notifications: [], order: [] };
+  stubs.runner = createBackgroundRunner({
+    loadSnapshot: async () => stubs.snapshot,
+    saveSnapshot: async (saved) => {
+      stubs.order.push('snapshot');
+      stubs.snapshot = saved;
+    },
+    appendEvents: (events) => {
+      stubs.order.push('events');
+      stubs.events.push(...events);
+    },
+    notify: async (notification) => {
+      stubs.notifications.push(notification);
+    },
+    ...options
+  });
+  return stubs;
+};
+
+test('runs location batches from the saved snapshot', async () => {
+  const start = offsetsToCoords(zoneCenter, 0, 60);
+  const stubs = createStubs(createSnapshot(createInitialState(scenario), 1000));
+
+  await stubs.runner.handleLocations([fixAt(start, 2000), fixAt(zoneCenter, 21000)]);
+
+  assert.equal(stubs.snapshot.savedAt, 21000);
+  assert.equal(stubs.snapshot.elapsedSeconds, 20);
+  assert.deepEqual(
+    stubs.notifications.map((notification) => notification.kind),
+    [NOTIFICATION_KINDS.SAFE_RADIUS_ENTER]
+  );
+});
+
+test('hands the step events to storage before the snapshot', async () => {
+  const stubs = createStubs(createSnapshot(createInitialState(scenario), 1000));
+
+  await stubs.runner.handleLocations([fixAt(zoneCenter, 6000)]);
+
+  assert.deepEqual(stubs.order, ['events', 'snapshot']);
+  const types = stubs.events.map((event) => event.type);
+  assert.equal(types.filter((type) => type === 'position').length, 1);
+  assert.ok(types.includes('zoneDamage'));
+  assert.ok(stubs.events.every((event) => event.timestamp <= 6000));
+});
+
+test('keeps the snapshot when the event log cannot be written', async () => {
+  const stubs = createStubs(createSnapshot(createInitialState(scenario), 1000), {
+    appendEvents: () => {
+      throw new Error('full');
+    }
+  });
+
+  await stubs.runner.handleLocations([fixAt(zoneCenter, 4000)]);
+
+  assert.equal(stubs.snapshot.savedAt, 4000);
+});
+
+test('continues from a snapshot the foreground saved in the meantime', async () => {
+  const stubs = createStubs(createSnapshot(createInitialState(scenario), 1000));
+  await stubs.runner.handleLocations([fixAt(zoneCenter, 3000)]);
+
+  stubs.snapshot = createSnapshot(createInitialState(scenario), 20000);
+  await stubs.runner.handleLocations([fixAt(zoneCenter, 21000)]);
+
+  assert.equal(stubs.snapshot.elapsedSeconds, 1);
+});
+
+test('does nothing while the app is active or without a saved game', async () => {
+  const active = createStubs(createSnapshot(createInitialState(scenario), 1000), {
+    isAppActive: () => true
+  });
+  const empty = createStubs(null);
+
+  assert.deepEqual(await active.runner.handleLocations([fixAt(zoneCenter, 2000)]), []);
+  assert.deepEqual(await empty.runner.handleLocations([fixAt(zoneCenter, 2000)]), []);
+  assert.deepEqual([...active.order, ...empty.order], []);
+});
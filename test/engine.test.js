@@ -0,0 +1,213 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import {
+  PLAYER_STATUS,
+  SUSPICION_TYPES,
+  catchUp,
+  createInitialState,
+  offsetsToCoords,
+  step
+} from '../src/engine';
+import { DEFAULT_SCENARIO, loadScenario } from '../src/scenario';
+import { buildSessionSummary } from '../src/summary';
+
+const ORIGIN = { latitude: 37.5637, longitude: 140.9932 };
+const FAR_AWAY = offsetsToCoords(ORIGIN, 0, 1000);
+const HEALING_CENTER = offsetsToCoords(ORIGIN, 0, 500);
+
+// One flat-damage zone and a healing zone far enough apart to test separately.
+const createScenario = ({
+  hp = 1000,
+  guard = 0,
+  respawn,
+  antiCheat,
+  damageTypes,
+  damageType
+} = {}) =>
+  loadScenario({
+    id: 'test',
+    name: 'test',
+    dangerZones: [
+      {
+        id: 'zone',
+        name: 'zone',
+        coords: ORIGIN,
+        safeRadius: 50,
+        baseDamage: 10,
+        scale: 0,
+        offset: 0.1,
+        maxDamage: 10,
+        damageType
+      }
+    ],
+    healingZones: [{ id: 'healing', name: 'healing', center: HEALING_CENTER, radiusMeters: 30 }],
+    initialStats: { hp, guard, resonance: 0 },
+    respawn,
+    antiCheat,
+    damageTypes
+  });
+
+const stepSeconds = (state, coords, seconds) => {
+  let next = state;
+  for (let second = 0; second < seconds; second += 1) {
+    next = step(next, { coords }, 1);
+  }
+  return next;
+};
+
+// A raw fix as expo-location reports it.
+const toFix = (coords, timestamp, extra = {}) => ({
+  coords: { ...coords, accuracy: 5 },
+  timestamp,
+  ...extra
+});
+
+const arriveAt = (scenario, coords) => step(createInitialState(scenario), { coords }, 0);
+
+test('zone damage is a rate applied over the time that passes', () => {
+  const arrived = arriveAt(createScenario(), ORIGIN);
+  const state = step(arrived, { coords: ORIGIN }, 2);
+
+  assert.equal(arrived.damagePerSecond, 10);
+  assert.equal(arrived.stats.hp, 1000);
+  assert.equal(state.lastDamage, 20);
+  // Passive regen (1 HP/s) still runs alongside.
+  assert.equal(state.stats.hp, 982);
+  assert.equal(state.zoneSummaries[0].rawDamage, 10);
+});
+
+test('position updates without elapsed time add no damage', () => {
+  let state = arriveAt(createScenario(), ORIGIN);
+  for (let update = 0; update < 10; update += 1) {
+    state = step(state, { coords: ORIGIN }, 0);
+  }
+
+  assert.equal(state.stats.hp, 1000);
+});
+
+test('guard is subtracted from the damage of each zone', () => {
+  const state = step(arriveAt(createScenario({ guard: 4 }), ORIGIN), { coords: ORIGIN }, 1);
+
+  assert.equal(state.zoneSummaries[0].mitigatedDamage, 6);
+  assert.equal(state.lastDamage, 6);
+});
+
+test('flat resistance is spent once across the types of a mixed zone', () => {
+  const scenario = createScenario({
+    guard: 4,
+    damageTypes: {
+      pierce: { name: 'pierce', resistStat: 'guard', mitigation: 'flat' },
+      spirit: { name: 'spirit', resistStat: 'resonance', mitigation: 'percent' }
+    },
+    damageType: { physical: 1, pierce: 1, spirit: 2 }
+  });
+  const state = step(arriveAt(scenario, ORIGIN), { coords: ORIGIN }, 1);
+
+  // 4 guard absorbs all 2.5 physical and 1.5 of the 2.5 pierce; spirit is
+  // resisted by resonance (0) only.
+  assert.deepEqual(
+    state.zoneSummaries[0].damageByType.map((entry) => [entry.type, entry.mitigatedDamage]),
+    [
+      ['physical', 0],
+      ['pierce', 1],
+      ['spirit', 5]
+    ]
+  );
+  assert.equal(state.lastDamage, 6);
+});
+
+test('HP regenerates passively away from danger and faster in the healing zone', () => {
+  const initial = createInitialState(createScenario({ hp: 500 }));
+  // Regen applies to where the previous step left the player.
+  const arrived = step(initial, { coords: HEALING_CENTER }, 0);
+
+  assert.equal(stepSeconds(initial, FAR_AWAY, 10).stats.hp, 510);
+  assert.equal(stepSeconds(arrived, HEALING_CENTER, 10).stats.hp, 540);
+});
+
+test('a downed player respawns after waiting in a healing zone', () => {
+  const scenario = createScenario({ hp: 0, respawn: { waitSeconds: 30, hpOnRespawn: 300 } });
+  const downed = step(createInitialState(scenario), { coords: FAR_AWAY }, 0);
+  const waiting = stepSeconds(downed, HEALING_CENTER, 29);
+  const respawned = stepSeconds(waiting, HEALING_CENTER, 2);
+
+  assert.equal(downed.lifecycle.status, PLAYER_STATUS.DOWNED);
+  assert.equal(waiting.lifecycle.status, PLAYER_STATUS.RESPAWNING);
+  assert.equal(respawned.lifecycle.status, PLAYER_STATUS.ALIVE);
+  assert.ok(respawned.stats.hp >= 300);
+});
+
+test('a player with no respawns left is eliminated at 0 HP', () => {
+  const scenario = createScenario({ respawn: { maxRespawns: 0 } });
+  const state = stepSeconds(createInitialState(scenario), ORIGIN, 120);
+
+  assert.equal(state.lifecycle.status, PLAYER_STATUS.ELIMINATED);
+  assert.equal(stepSeconds(state, HEALING_CENTER, 120).lifecycle.status, PLAYER_STATUS.ELIMINATED);
+});
+
+test('moving hazards only move when time passes', () => {
+  const initial = createInitialState(DEFAULT_SCENARIO);
+  const moved = step(initial, { coords: FAR_AWAY }, 5);
+
+  assert.deepEqual(step(initial, { coords: FAR_AWAY }, 0).movingHazards, initial.movingHazards);
+  assert.notDeepEqual(moved.movingHazards[0].offset, initial.movingHazards[0].offset);
+});
+
+test('catchUp credits passive regen but no damage', () => {
+  const damaged = stepSeconds(arriveAt(createScenario({ hp: 500 }), ORIGIN), ORIGIN, 10);
+  const next = catchUp(damaged, 10);
+
+  assert.equal(damaged.stats.hp, 410);
+  assert.equal(next.stats.hp, 420);
+});
+
+test('catchUp keeps moving hazards travelling', () => {
+  const initial = createInitialState(DEFAULT_SCENARIO);
+
+  assert.notDeepEqual(
+    catchUp(initial, 30).movingHazards[0].offset,
+    initial.movingHazards[0].offset
+  );
+});
+
+test('catchUp ignores empty or invalid durations', () => {
+  const initial = createInitialState(createScenario());
+
+  assert.equal(catchUp(initial, 0), initial);
+  assert.equal(catchUp(initial, Number.NaN), initial);
+});
+
+test('a jump no one could walk is flagged as a teleport', () => {
+  const start = step(createInitialState(createScenario()), { fix: toFix(ORIGIN, 0) }, 0);
+  const state = step(start, { fix: toFix(offsetsToCoords(ORIGIN, 0, 3000), 1000) }, 0);
+
+  assert.equal(state.integrity.suspicionCount, 1);
+  assert.equal(state.integrity.suspicions[0].type, SUSPICION_TYPES.TELEPORT);
+  assert.equal(state.integrity.penalty, 'flag');
+});
+
+test('a mock location provider is flagged once and can invalidate the result', () => {
+  let state = createInitialState(createScenario({ antiCheat: { penalty: 'invalidate' } }));
+  for (let second = 0; second < 3; second += 1) {
+    state = step(state, { fix: toFix(ORIGIN, second * 1000, { mocked: true }) }, 1);
+  }
+
+  assert.equal(state.integrity.suspicionCount, 1);
+  assert.equal(state.integrity.suspicions[0].type, SUSPICION_TYPES.MOCKED);
+  assert.equal(buildSessionSummary(state, 3000).isValid, false);
+});
+
+test('replayed positions are flagged as simulated and void the result', () => {
+  const start = step(createInitialState(createScenario()), { fix: toFix(ORIGIN, 0) }, 0);
+  const state = step(start, { fix: toFix(FAR_AWAY, 1000, { simulated: true }) }, 0);
+  const summary = buildSessionSummary(state, 1000);
+
+  // The replay's own jumps are not checked.
+  assert.deepEqual(
+    state.integrity.suspicions.map((suspicion) => suspicion.type),
+    [SUSPICION_TYPES.SIMULATED]
+  );
+  assert.equal(state.integrity.penalty, 'flag');
+  assert.equal(summary.isSimulated, true);
+  assert.equal(summary.isValid, false);
+});
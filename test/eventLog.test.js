@@ -0,0 +1,50 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { PLAYER_STATUS, createInitialState, step } from '../src/engine';
+import {
+  EVENT_TYPES,
+  describeNewGame,
+  describeStep,
+  eventLogToLines,
+  parseEventLines
+} from '../src/eventLog';
+import { BUNDLED_SCENARIOS } from '../src/scenario';
+
+const scenario = BUNDLED_SCENARIOS.find((entry) => entry.id === 'practice');
+const zoneCenter = scenario.dangerZones[0].coords;
+
+test('describeStep records zone damage and the feedback stage change', () => {
+  const previous = createInitialState(scenario);
+  const next = step(previous, { coords: zoneCenter }, 1);
+  const types = describeStep(previous, next, 1000).map((event) => event.type);
+
+  assert.ok(types.includes(EVENT_TYPES.ZONE_DAMAGE));
+  assert.ok(types.includes(EVENT_TYPES.HAPTIC_STAGE));
+});
+
+test('describeNewGame keeps the status a new game discards', () => {
+  const initial = createInitialState(scenario);
+  const eliminated = {
+    ...initial,
+    lifecycle: { ...initial.lifecycle, status: PLAYER_STATUS.ELIMINATED }
+  };
+  const [session, status] = describeNewGame(eliminated, initial, 1000);
+
+  assert.equal(session.reason, 'newGame');
+  assert.deepEqual(
+    [status.type, status.from, status.to, status.reason],
+    [EVENT_TYPES.STATUS, PLAYER_STATUS.ELIMINATED, PLAYER_STATUS.ALIVE, 'newGame']
+  );
+  assert.equal(describeNewGame(initial, initial, 1000).length, 1);
+});
+
+test('stored lines read back as the newest events, skipping cut-off lines', () => {
+  const events = [1, 2, 3].map((timestamp) => ({ timestamp, type: EVENT_TYPES.SESSION }));
+  const text = `${eventLogToLines(events)}{"timestamp":4,"ty`;
+
+  assert.deepEqual(parseEventLines(text), events);
+  assert.deepEqual(
+    parseEventLines(text, 2).map((event) => event.timestamp),
+    [2, 3]
+  );
+});
@@ -0,0 +1,48 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { PLAYER_STATUS, STANDARD_FEEDBACK_PROFILE, getFeedbackStage } from '../src/engine';
+import { createFeedbackPlayer, findFeedbackProfile } from '../src/feedback';
+
+const stateWith = ({ damagePerSecond = 0, distance = null, status = PLAYER_STATUS.ALIVE }) => ({
+  damagePerSecond,
+  zoneSummaries: distance == null ? [] : [{ isActive: true, distance }],
+  lifecycle: { status }
+});
+
+test('the strongest stage a damage rate reaches wins', () => {
+  const stageAt = (damagePerSecond) =>
+    getFeedbackStage(STANDARD_FEEDBACK_PROFILE, stateWith({ damagePerSecond })).stage;
+
+  assert.deepEqual([0.5, 1, 4, 10].map(stageAt), [0, 1, 2, 3]);
+});
+
+test('the proximity profile steps up as the nearest hazard gets closer', () => {
+  const profile = findFeedbackProfile('proximity');
+  const stageAt = (distance) => getFeedbackStage(profile, stateWith({ distance })).stage;
+
+  assert.deepEqual([150, 80, 30, 10].map(stageAt), [0, 1, 2, 3]);
+  assert.equal(getFeedbackStage(profile, stateWith({})).stage, 0);
+});
+
+test('players out of play get no feedback', () => {
+  const downed = stateWith({ damagePerSecond: 10, status: PLAYER_STATUS.DOWNED });
+
+  assert.equal(getFeedbackStage(STANDARD_FEEDBACK_PROFILE, downed).stage, 0);
+});
+
+test('unknown profile ids fall back to the standard profile', () => {
+  assert.equal(findFeedbackProfile('missing'), STANDARD_FEEDBACK_PROFILE);
+});
+
+test('the player plays a stronger stage at once and stops cleanly', () => {
+  const played = [];
+  const player = createFeedbackPlayer({
+    playStep: (step) => played.push(step.style),
+    playClick: () => {}
+  });
+
+  player.update(getFeedbackStage(STANDARD_FEEDBACK_PROFILE, stateWith({ damagePerSecond: 4 })));
+  player.stop();
+
+  assert.deepEqual(played, ['medium']);
+});
@@ -0,0 +1,142 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { createInitialState, offsetsToCoords, step } from '../src/engine';
+import {
+  ERROR_CODES,
+  createLoopbackTransport,
+  createMultiplayerClient,
+  createSessionServer,
+  rankPlayers
+} from '../src/multiplayer';
+import { BUNDLED_SCENARIOS } from '../src/scenario';
+
+const scenario = BUNDLED_SCENARIOS.find((entry) => entry.id === 'practice');
+
+// Loopback connections open on the next microtask.
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+const createServer = () => {
+  let tokenCount = 0;
+  return createSessionServer({
+    scenario,
+    createResumeToken: () => {
+      tokenCount += 1;
+      return `token-${tokenCount}`;
+    }
+  });
+};
+
+const joinAs = async (server, name, { sessionId = 'match', resumeToken = null } = {}) => {
+  const player = { welcome: null, states: [] };
+  player.client = createMultiplayerClient({
+    transport: createLoopbackTransport(server),
+    sessionId,
+    name,
+    resumeToken,
+    onWelcome: (welcome) => {
+      player.welcome = welcome;
+    },
+    onState: (state) => player.states.push(state)
+  });
+  await settle();
+  return player;
+};
+
+const lastState = (player) => player.states[player.states.length - 1];
+
+test('players of a session share the server state', async () => {
+  const server = createServer();
+  const alice = await joinAs(server, 'alice');
+  const bob = await joinAs(server, 'bob');
+
+  assert.equal(alice.welcome.scenario.id, scenario.id);
+  assert.notEqual(alice.welcome.playerId, bob.welcome.playerId);
+
+  server.tick(1);
+  assert.equal(lastState(alice).elapsedSeconds, 1);
+  assert.deepEqual(
+    lastState(bob).players.map((player) => player.name),
+    ['alice', 'bob']
+  );
+});
+
+test('updates carry position, HP and result validity', async () => {
+  const server = createServer();
+  const alice = await joinAs(server, 'alice');
+  const coords = offsetsToCoords(scenario.dangerZones[0].coords, 0, 500);
+
+  alice.client.update(step(createInitialState(scenario), { coords }, 1));
+
+  const [player] = server.getSession('match').players;
+  assert.equal(player.hp, scenario.initialStats.hp);
+  assert.equal(player.isValid, true);
+  assert.ok(Math.abs(player.coords.latitude - coords.latitude) < 1e-9);
+});
+
+test('a resume token rejoins as the same player', async () => {
+  const server = createServer();
+  const alice = await joinAs(server, 'alice');
+  const bob = await joinAs(server, 'bob');
+  const { playerId, resumeToken } = alice.welcome;
+
+  alice.client.close();
+  const away = lastState(bob).players.find((player) => player.id === playerId);
+  assert.equal(away.isConnected, false);
+
+  const again = await joinAs(server, 'alice', { resumeToken });
+  assert.equal(again.welcome.playerId, playerId);
+  assert.equal(again.welcome.resumeToken, resumeToken);
+  assert.equal(server.getSession('match').players.length, 2);
+});
+
+test('a resume token only counts in its own session', async () => {
+  const server = createServer();
+  const alice = await joinAs(server, 'alice');
+  await joinAs(server, 'bob', { sessionId: 'other' });
+
+  const elsewhere = await joinAs(server, 'alice', {
+    sessionId: 'other',
+    resumeToken: alice.welcome.resumeToken
+  });
+
+  assert.notEqual(elsewhere.welcome.playerId, alice.welcome.playerId);
+});
+
+test('a session is dropped once everyone has left', async () => {
+  const server = createServer();
+  const alice = await joinAs(server, 'alice');
+
+  alice.client.close();
+
+  assert.equal(server.getSession('match'), null);
+});
+
+test('malformed messages are answered with an error', () => {
+  const server = createServer();
+  const received = [];
+  const connection = server.connect((text) => received.push(JSON.parse(text)));
+
+  connection.receive('{"type":"update"}');
+
+  assert.equal(received[0].code, ERROR_CODES.BAD_MESSAGE);
+});
+
+test('invalidated players are left out of the standings', async () => {
+  const server = createServer();
+  const alice = await joinAs(server, 'alice');
+  const bob = await joinAs(server, 'bob');
+  const state = createInitialState(scenario);
+
+  alice.client.update({ ...state, integrity: { ...state.integrity, penalty: 'invalidate' } });
+  bob.client.update(state);
+  server.tick(1);
+
+  const standings = rankPlayers(lastState(bob).players);
+  assert.deepEqual(
+    standings.map((player) => [player.name, player.rank]),
+    [
+      ['bob', 1],
+      ['alice', null]
+    ]
+  );
+});
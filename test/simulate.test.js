@@ -0,0 +1,77 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { createInitialState } from '../src/engine';
+import {
+  BUNDLED_TRACKS,
+  getTrackDurationMs,
+  parseTrack,
+  samplePositionAt,
+  simulateTrack
+} from '../src/location';
+import { DEFAULT_SCENARIO } from '../src/scenario';
+
+const { track } = BUNDLED_TRACKS.find((entry) => entry.id === 'sample-walk');
+
+test('simulateTrack steps through the whole track', () => {
+  const { frames } = simulateTrack(createInitialState(DEFAULT_SCENARIO), track, {
+    stepSeconds: 2
+  });
+  const durationSeconds = getTrackDurationMs(track) / 1000;
+
+  assert.equal(frames.length, Math.ceil(durationSeconds / 2));
+  assert.equal(frames[0].elapsedSeconds, 2);
+  assert.ok(frames[frames.length - 1].elapsedSeconds >= durationSeconds);
+});
+
+test('simulateTrack reports damage, feedback and healing along the way', () => {
+  const { state, frames } = simulateTrack(createInitialState(DEFAULT_SCENARIO), track, {
+    stepSeconds: 2
+  });
+
+  assert.ok(frames.some((frame) => frame.hp < DEFAULT_SCENARIO.initialStats.hp));
+  assert.ok(frames.some((frame) => frame.hapticStage > 0));
+  assert.ok(frames.some((frame) => frame.isInHealingZone));
+  assert.equal(state.stats.hp, frames[frames.length - 1].hp);
+});
+
+test('simulateTrack is deterministic', () => {
+  const run = () => simulateTrack(createInitialState(DEFAULT_SCENARIO), track).frames;
+
+  assert.deepEqual(run(), run());
+});
+
+test('simulateTrack calls onFrame with every frame and state', () => {
+  const seen = [];
+  const { frames } = simulateTrack(createInitialState(DEFAULT_SCENARIO), track, {
+    stepSeconds: 5,
+    onFrame: (frame, state) => seen.push([frame, state])
+  });
+
+  assert.equal(seen.length, frames.length);
+  seen.forEach(([frame, state]) => assert.equal(frame.hp, state.stats.hp));
+});
+
+test('parseTrack keeps the timing recorded in a GPX file', () => {
+  const track = parseTrack(`<gpx><trk><trkseg>
+    <trkpt lat="37.5630" lon="140.9925"><time>2024-05-01T10:00:00Z</time></trkpt>
+    <trkpt lat="37.5640" lon="140.9925"><time>2024-05-01T10:02:00Z</time></trkpt>
+  </trkseg></trk></gpx>`);
+
+  assert.equal(getTrackDurationMs(track), 120000);
+  assert.ok(Math.abs(samplePositionAt(track, 60000).coords.latitude - 37.5635) < 1e-9);
+});
+
+test('parseTrack times an untimed GeoJSON line at walking speed', () => {
+  const track = parseTrack(
+    JSON.stringify({
+      type: 'LineString',
+      coordinates: [
+        [140.9925, 37.563],
+        [140.9925, 37.564]
+      ]
+    })
+  );
+
+  // About 111 m at the default 1.4 m/s.
+  assert.ok(Math.abs(getTrackDurationMs(track) / 1000 - 111.32 / 1.4) < 1);
+});